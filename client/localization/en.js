@@ -18,9 +18,42 @@ const localizationData = {
     points: 'Points',
     claimReward: 'Claim Reward',
     dailyRewardDescription: 'Claim your daily bonus to boost your score',
+    dailyRewardClaimed: 'Come Back Tomorrow',
+    dailyRewardTomorrow: 'Tomorrow: +{amount}',
+    dailyStreak: 'Streak: {days} days',
+    dailyCalendar: 'Daily reward calendar',
+    dailyCalendarDay: 'Day {day}',
+    achievements: 'Achievements',
+    showAchievements: 'Show achievements',
+    closeAchievements: 'Close achievements',
+    achievementsUnlocked: '{unlocked} of {total} unlocked',
+    achievementHidden: 'Hidden Achievement',
+    achievementHiddenDescription: 'Keep playing to discover it',
+    achievementTiers: {
+      bronze: 'Bronze',
+      silver: 'Silver',
+      gold: 'Gold',
+      platinum: 'Platinum'
+    },
     powerUps: 'Power-Ups',
     leaderboard: 'Leaderboard',
     refreshLeaderboard: 'Refresh leaderboard',
+    leaderboardTabs: 'Leaderboard period',
+    leaderboardViewTabs: 'Leaderboard view',
+    leaderboardViews: {
+      top: 'Top',
+      around: 'Around Me',
+      friends: 'Friends'
+    },
+    leaderboardAroundEmpty: 'Play a round to see where you rank!',
+    leaderboardFriendsEmpty: 'Invite friends to compete with them here.',
+    inviteFriends: 'Invite Friends',
+    leaderboardBoards: {
+      daily: 'Today',
+      weekly: 'This Week',
+      season: 'Season',
+      all: 'All Time'
+    },
     shareScore: 'Share Score',
     toggleMute: 'Toggle sound on/off',
     showHelp: 'Show help and instructions',
@@ -42,15 +75,15 @@ const localizationData = {
     },
     rapidFire: {
       name: 'Rapid Fire',
-      description: 'Increased tap rate limit for 15 seconds'
+      description: 'Double tap rate, 1.5x points and half gas cost for 15 seconds'
     },
     shield: {
       name: 'Shield',
-      description: 'Protection from combo breaks for 1 minute'
+      description: 'Blocks arena damage and keeps your combo alive longer for 1 minute'
     },
     magnet: {
       name: 'Score Magnet',
-      description: 'Attracts bonus points for 20 seconds'
+      description: 'Collects arena pickups from 3x farther away for 20 seconds'
     },
     boost: {
       name: 'Mega Boost',
@@ -150,17 +183,27 @@ const localizationData = {
 
   // Achievements
   achievements: {
-    firstSlap: 'Welcome Slapper',
-    score100: 'Century Slapper',
-    score1000: 'Thousand Slapper',
-    score10000: 'Ten Thousand Slapper',
-    combo10: 'Combo Master',
-    combo25: 'Combo Legend',
-    dailyPlayer: 'Daily Dedication',
-    powerUpUser: 'Power Player',
-    leaderboardTop10: 'Top Ten',
-    leaderboardTop3: 'Podium Finisher',
-    leaderboardFirst: 'Champion Slapper'
+    score_100: { name: 'Century Slapper', description: 'Reach a score of 100' },
+    score_500: { name: 'Rising Slapper', description: 'Reach a score of 500' },
+    score_1000: { name: 'Thousand Slapper', description: 'Reach a score of 1,000' },
+    score_5000: { name: 'Slap Veteran', description: 'Reach a score of 5,000' },
+    score_10000: { name: 'Ten Thousand Slapper', description: 'Reach a score of 10,000' },
+    score_50000: { name: 'Slap Legend', description: 'Reach a score of 50,000' },
+    score_100000: { name: 'Slap Royalty', description: 'Reach a score of 100,000' },
+    slaps_100: { name: 'Warming Up', description: 'Slap 100 times' },
+    slaps_1000: { name: 'Sore Palm', description: 'Slap 1,000 times' },
+    slaps_10000: { name: 'Iron Hand', description: 'Slap 10,000 times' },
+    combo_10: { name: 'Combo Master', description: 'Build a 10x combo' },
+    combo_25: { name: 'Combo Legend', description: 'Build a 25x combo' },
+    combo_50: { name: 'Unstoppable', description: 'Max out your combo at 50x' },
+    playtime_1h: { name: 'Dedicated', description: 'Play for an hour in total' },
+    playtime_10h: { name: 'No Life, No Gas', description: 'Play for ten hours in total' },
+    ko_1: { name: 'First Knockout', description: 'Knock out a player in multiplayer' },
+    ko_25: { name: 'Brawler', description: 'Knock out 25 players in multiplayer' },
+    ko_100: { name: 'Arena Terror', description: 'Knock out 100 players in multiplayer' },
+    streak_3: { name: 'Daily Dedication', description: 'Claim the daily reward 3 days in a row' },
+    streak_7: { name: 'Full Week', description: 'Claim the daily reward 7 days in a row' },
+    streak_30: { name: 'Creature of Habit', description: 'Claim the daily reward 30 days in a row' }
   },
 
   // Time and Date
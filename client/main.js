@@ -8,10 +8,10 @@
  */
 
 // Import all game modules
-import { initTelegram, getTheme, onThemeChanged, getUser, onReady, onClose, isInsideTelegram } from './modules/telegram-api.js';
+import { initTelegram, getTheme, onThemeChanged, getUser, onReady, onClose, isInsideTelegram, shareReferralLink } from './modules/telegram-api.js';
 import { initUI, updateUI, announce, focusSlapButton, showOnboarding, hideOnboarding, showHelp } from './modules/ui.js';
 import { initState, getState, onStateChange, slap, initPowerUps, claimDailyReward, onPowerUpChange, activatePowerUp } from './modules/state.js';
-import { syncLeaderboard, getLeaderboard, onLeaderboardChange, updateLeaderboard, refreshLeaderboard } from './modules/leaderboard-api.js';
+import { syncLeaderboard, getLeaderboard, onLeaderboardChange, updateLeaderboard, refreshLeaderboard, setActiveBoard, setActiveView } from './modules/leaderboard-api.js';
 import { showError, clearError, showSuccess, onErrorChange } from './modules/error.js';
 import { verifyInitData, sanitizeInput } from './modules/security.js';
 import { initPersistence, onSyncQueueChange } from './modules/persistence.js';
@@ -122,6 +122,9 @@ async function initializeApp() {
       onClaimDaily: handleClaimDaily,
       onActivatePowerUp: handleActivatePowerUp,
       onRefreshLeaderboard: handleRefreshLeaderboard,
+      onSelectLeaderboard: handleSelectLeaderboard,
+      onSelectLeaderboardView: handleSelectLeaderboardView,
+      onInviteFriends: () => shareReferralLink(),
       onShowHelp: () => showHelp(),
       onToggleMute: toggleMute,
       onShare: handleShare
@@ -131,6 +134,7 @@ async function initializeApp() {
     // Set up reactive updates
     onStateChange(handleStateChange);
     onPowerUpChange(updateUI);
+    document.addEventListener('achievementUnlocked', handleAchievementUnlocked);
     onLeaderboardChange(updateUI);
     onErrorChange(updateUI);
 
@@ -267,6 +271,15 @@ async function handleClaimDaily() {
   }
 }
 
+/**
+ * Celebrate an unlocked achievement
+ */
+function handleAchievementUnlocked(event) {
+  const name = t(`achievements.${event.detail.achievement}.name`);
+  showSuccess(t('success.achievementUnlocked', { achievement: name }));
+  announce(t('success.achievementUnlocked', { achievement: name }));
+}
+
 /**
  * Handle power-up activation
  */
@@ -306,6 +319,30 @@ async function handleRefreshLeaderboard() {
   }
 }
 
+/**
+ * Handle leaderboard tab selection
+ */
+async function handleSelectLeaderboard(board) {
+  try {
+    await setActiveBoard(board);
+  } catch (error) {
+    logError('Error switching leaderboard:', error);
+    showError(error.message || t('errors.leaderboardRefreshFailed'));
+  }
+}
+
+/**
+ * Handle switching between the top, around me and friends views
+ */
+async function handleSelectLeaderboardView(view) {
+  try {
+    await setActiveView(view);
+  } catch (error) {
+    logError('Error switching leaderboard view:', error);
+    showError(error.message || t('errors.leaderboardRefreshFailed'));
+  }
+}
+
 /**
  * Handle state changes
  */
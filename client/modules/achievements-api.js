@@ -0,0 +1,60 @@
+/**
+ * Achievements API Module
+ * Persists achievement unlocks server-side and fetches the ones the server
+ * grants itself. The catalog lives in shared/achievements.ts.
+ */
+
+import { getInitData, authHeaders } from './telegram-api.js';
+import { logDev } from './testing.js';
+
+// Configuration
+const ACHIEVEMENTS_ENDPOINT = '/api/achievements';
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Unlocks are stored per verified Telegram user, so server sync only
+ * happens inside Telegram
+ */
+export function isAchievementSyncAvailable() {
+  return Boolean(getInitData());
+}
+
+/**
+ * Everything the server has unlocked for the player, plus the counters it
+ * keeps for server-granted achievements:
+ * { achievements: [{ id, unlockedAt }], stats, unlocked }
+ */
+export async function fetchAchievements() {
+  logDev('Fetching achievements...');
+
+  const response = await fetch(ACHIEVEMENTS_ENDPOINT, {
+    headers: authHeaders(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Achievements request failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Report achievements unlocked on this device. Resolves to the same shape
+ * as fetchAchievements.
+ * @param {string[]} ids
+ */
+export async function submitAchievements(ids) {
+  logDev('Submitting achievements:', ids);
+
+  const response = await fetch(ACHIEVEMENTS_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ ids }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Achievement sync failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
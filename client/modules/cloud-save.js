@@ -0,0 +1,70 @@
+/**
+ * Cloud Save Module
+ * Uploads and downloads progress snapshots so progress follows the player
+ * across devices. Reconciliation rules live in shared/progress.ts.
+ */
+
+import { PROGRESS_SCHEMA_VERSION, progressSchema } from '@shared/progress';
+import { getInitData, authHeaders } from './telegram-api.js';
+import { logDev } from './testing.js';
+
+// Configuration
+const PROGRESS_ENDPOINT = '/api/progress';
+const REQUEST_TIMEOUT = 5000; // Don't hold up startup on a slow network
+
+/**
+ * Cloud saves belong to a verified Telegram user, so they are only
+ * available inside Telegram
+ */
+export function isCloudSaveAvailable() {
+  return Boolean(getInitData());
+}
+
+/**
+ * Download the player's cloud save. Resolves to null when there is none
+ * yet; throws when the server can't be reached.
+ */
+export async function fetchCloudSave() {
+  logDev('Fetching cloud save...');
+
+  const response = await fetch(PROGRESS_ENDPOINT, {
+    headers: authHeaders(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Cloud save request failed with status ${response.status}`);
+  }
+
+  const { save } = await response.json();
+  if (!save) return null;
+
+  // A save written by a newer client may have fields we can't merge safely
+  const parsed = progressSchema.safeParse(save.progress);
+  if (save.schemaVersion !== PROGRESS_SCHEMA_VERSION || !parsed.success) {
+    throw new Error(`Unsupported cloud save version ${save.schemaVersion}`);
+  }
+
+  return { ...save, progress: parsed.data };
+}
+
+/**
+ * Upload a progress snapshot. The server merges it with its copy and
+ * returns the reconciled save.
+ * @param {{ schemaVersion: number, progress: object }} snapshot
+ */
+export async function uploadProgress(snapshot) {
+  logDev('Uploading progress snapshot...');
+
+  const response = await fetch(PROGRESS_ENDPOINT, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(snapshot),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Progress upload failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  return body.save;
+}
@@ -0,0 +1,62 @@
+/**
+ * Daily Reward Module
+ * Talks to the server that records daily claims and tracks streaks.
+ * Reward rules live in shared/daily-reward.ts.
+ */
+
+import { getInitData, authHeaders } from './telegram-api.js';
+import { logDev } from './testing.js';
+
+// Configuration
+const DAILY_REWARD_ENDPOINT = '/api/daily-reward';
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Claims belong to a verified Telegram user, so daily rewards are only
+ * available inside Telegram
+ */
+export function isDailyRewardAvailable() {
+  return Boolean(getInitData());
+}
+
+/**
+ * Current streak, whether today's reward is due, and the reward calendar
+ */
+export async function fetchDailyRewardStatus() {
+  logDev('Fetching daily reward status...');
+
+  const response = await fetch(DAILY_REWARD_ENDPOINT, {
+    headers: authHeaders(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Daily reward request failed with status ${response.status}`);
+  }
+
+  const { status } = await response.json();
+  return status;
+}
+
+/**
+ * Claim today's reward. Resolves to { claim, status }; rejects with the
+ * server's message when the reward was already claimed today, with the
+ * latest status attached as `error.status`.
+ */
+export async function claimDailyRewardOnServer() {
+  logDev('Claiming daily reward...');
+
+  const response = await fetch(`${DAILY_REWARD_ENDPOINT}/claim`, {
+    method: 'POST',
+    headers: authHeaders(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.message || `Daily reward claim failed with status ${response.status}`);
+    error.status = body.status || null;
+    throw error;
+  }
+
+  return body;
+}
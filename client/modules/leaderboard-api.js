@@ -4,16 +4,26 @@
  */
 
 import { loadState, saveState, enqueueSync, getOnlineStatus } from './persistence.js';
-import { getUser, isInsideTelegram } from './telegram-api.js';
+import { getUser, isInsideTelegram, authHeaders } from './telegram-api.js';
 import { sanitizeInput } from './security.js';
 import { logError, logInfo, logDev } from './testing.js';
 
 // Configuration
 const LEADERBOARD_KEY = 'ngs_leaderboard_v2';
 const CACHE_KEY = 'ngs_leaderboard_cache_v1';
+const BOARDS_CACHE_KEY = 'ngs_leaderboard_boards_v1';
 const MAX_LEADERBOARD_SIZE = 100;
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 const SYNC_RETRY_DELAY = 30000; // 30 seconds
+const LEADERBOARD_ENDPOINT = '/api/leaderboard';
+
+// Boards served by the API; 'all' is the all-time board kept in `leaderboard`
+export const LEADERBOARD_BOARDS = ['daily', 'weekly', 'season', 'all'];
+
+// Ways to look at a board: the top scores, the player's neighbours at their
+// exact rank, or only friends from referral and invite links
+export const LEADERBOARD_VIEWS = ['top', 'around', 'friends'];
+const AROUND_RADIUS = 5;
 
 // State
 let leaderboard = [];
@@ -21,6 +31,13 @@ let leaderboardCache = null;
 let lastCacheTime = 0;
 let syncInProgress = false;
 let retryTimeout = null;
+let activeBoard = 'all';
+// Timed boards by name: { entries, window: { start, end, season }, fetchedAt }
+let boardCache = {};
+let activeView = 'top';
+// Personal views by name: { board, entries, fetchedAt }; these need a
+// verified Telegram user, so they are never persisted
+const viewCache = {};
 
 // Event listeners
 const leaderboardListeners = [];
@@ -49,6 +66,15 @@ export async function initLeaderboard() {
     // Validate and sanitize leaderboard data
     leaderboard = validateLeaderboard(leaderboard);
 
+    // Restore timed boards and the tab the player last looked at
+    const savedBoards = await loadState(BOARDS_CACHE_KEY);
+    if (savedBoards && typeof savedBoards === 'object') {
+      if (LEADERBOARD_BOARDS.includes(savedBoards.active)) {
+        activeBoard = savedBoards.active;
+      }
+      boardCache = savedBoards.boards || {};
+    }
+
     logInfo('✅ Leaderboard initialized with', leaderboard.length, 'entries');
     notifyListeners();
 
@@ -64,10 +90,75 @@ export async function initLeaderboard() {
 }
 
 /**
- * Get current leaderboard
+ * Get the active board for display. Timed boards show the server standings
+ * plus local scores set since the board last rolled over.
  */
 export function getLeaderboard() {
-  return [...leaderboard].slice(0, 50); // Return top 50 for display
+  if (activeView !== 'top') {
+    const cached = viewCache[activeView];
+    return cached && cached.board === activeBoard ? [...cached.entries] : [];
+  }
+
+  if (activeBoard === 'all') {
+    return [...leaderboard].slice(0, 50); // Return top 50 for display
+  }
+
+  const cached = boardCache[activeBoard];
+  const window = cached?.window;
+  if (!window || (window.end && window.end <= Date.now())) {
+    // Never fetched, or the board rolled over since the last fetch
+    return [];
+  }
+
+  const localEntries = leaderboard.filter(entry => !window.start || entry.timestamp >= window.start);
+  return mergeLeaderboards(cached.entries, localEntries).slice(0, 50);
+}
+
+/**
+ * Board currently shown: 'daily', 'weekly', 'season' or 'all'
+ */
+export function getActiveBoard() {
+  return activeBoard;
+}
+
+/**
+ * View currently shown: 'top', 'around' or 'friends'
+ */
+export function getActiveView() {
+  return activeView;
+}
+
+/**
+ * Switch between the top scores and the personal views
+ */
+export async function setActiveView(view) {
+  if (!LEADERBOARD_VIEWS.includes(view) || view === activeView) {
+    return;
+  }
+
+  activeView = view;
+  notifyListeners();
+
+  if (getOnlineStatus()) {
+    await refreshLeaderboard();
+  }
+}
+
+/**
+ * Switch boards, showing cached standings right away and fetching fresh ones
+ */
+export async function setActiveBoard(board) {
+  if (!LEADERBOARD_BOARDS.includes(board) || board === activeBoard) {
+    return;
+  }
+
+  activeBoard = board;
+  notifyListeners();
+  await saveBoardsCache();
+
+  if (getOnlineStatus()) {
+    await refreshLeaderboard();
+  }
 }
 
 /**
@@ -136,10 +227,33 @@ export async function refreshLeaderboard() {
     syncInProgress = true;
     logInfo('🔄 Refreshing leaderboard...');
 
-    // Simulate API call for now - replace with actual endpoint
-    const refreshedData = await fetchLeaderboardFromServer();
-    
-    if (refreshedData && Array.isArray(refreshedData)) {
+    const board = activeBoard;
+    const view = activeView;
+    const response = view === 'top'
+      ? await fetchLeaderboardFromServer(board)
+      : await fetchPersonalView(view, board);
+    const refreshedData = response?.entries;
+
+    if (view !== 'top' && Array.isArray(refreshedData)) {
+      viewCache[view] = {
+        board,
+        entries: validateLeaderboard(refreshedData),
+        fetchedAt: Date.now()
+      };
+
+      logInfo(`✅ ${view} leaderboard refreshed successfully`);
+      notifyListeners();
+    } else if (board !== 'all' && Array.isArray(refreshedData)) {
+      boardCache[board] = {
+        entries: validateLeaderboard(refreshedData),
+        window: response.window,
+        fetchedAt: Date.now()
+      };
+      await saveBoardsCache();
+
+      logInfo(`✅ ${board} leaderboard refreshed successfully`);
+      notifyListeners();
+    } else if (refreshedData && Array.isArray(refreshedData)) {
       // Validate server data
       const validatedData = validateLeaderboard(refreshedData);
       
@@ -242,9 +356,16 @@ export async function syncLeaderboard(syncQueue) {
 }
 
 /**
- * Get player rank
+ * Get player rank. Prefers the exact server rank from the "around me" view
+ * of the all-time board, falling back to the cached top scores.
  */
 export function getPlayerRank(playerId) {
+  const around = viewCache.around;
+  if (around && around.board === 'all') {
+    const entry = around.entries.find(entry => entry.id === playerId);
+    if (entry?.rank) return entry.rank;
+  }
+
   const index = leaderboard.findIndex(entry => entry.id === playerId);
   return index >= 0 ? index + 1 : null;
 }
@@ -258,7 +379,8 @@ export function getPlayerStats(playerId) {
 
   const rank = getPlayerRank(playerId);
   const totalPlayers = leaderboard.length;
-  const percentile = totalPlayers > 0 ? ((totalPlayers - rank + 1) / totalPlayers) * 100 : 0;
+  // The exact server rank can sit below everything cached locally
+  const percentile = totalPlayers > 0 ? Math.max(0, ((totalPlayers - rank + 1) / totalPlayers) * 100) : 0;
 
   return {
     rank,
@@ -286,6 +408,7 @@ function validateLeaderboard(data) {
              entry.name.length > 0;
     })
     .map(entry => ({
+      ...(Number.isInteger(entry.rank) && entry.rank > 0 ? { rank: entry.rank } : {}),
       id: sanitizeInput(entry.id),
       name: sanitizeInput(entry.name).slice(0, 50), // Limit name length
       score: Math.floor(Math.max(0, entry.score)),
@@ -352,32 +475,68 @@ async function updateCache() {
 }
 
 /**
- * Fetch leaderboard from server (placeholder)
+ * Save timed boards and the active tab
  */
-async function fetchLeaderboardFromServer() {
-  // This would be replaced with actual API endpoint
-  // For now, return empty array to indicate no server data
-  logDev('Fetching leaderboard from server...');
+async function saveBoardsCache() {
+  try {
+    await saveState(BOARDS_CACHE_KEY, { active: activeBoard, boards: boardCache });
+  } catch (error) {
+    logError('Error saving leaderboard boards:', error);
+  }
+}
+
+/**
+ * Fetch the top scores of one board along with the time window it covers.
+ * Throws when the server can't be reached, so callers keep showing the
+ * cached board.
+ */
+async function fetchLeaderboardFromServer(board = 'all') {
+  logDev('Fetching leaderboard from server...', board);
   
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  const response = await fetch(`${LEADERBOARD_ENDPOINT}?limit=${MAX_LEADERBOARD_SIZE}&board=${board}`);
+  if (!response.ok) {
+    throw new Error(`Leaderboard request failed with status ${response.status}`);
+  }
   
-  // Return empty array - real implementation would call actual API
-  return [];
+  return response.json();
+}
+
+/**
+ * Fetch the "around me" or friends view of a board. Both are personal, so
+ * the request carries Telegram auth; they fail outside Telegram.
+ */
+async function fetchPersonalView(view, board) {
+  logDev('Fetching personal leaderboard view...', view, board);
+
+  const query = view === 'around'
+    ? `radius=${AROUND_RADIUS}&board=${board}`
+    : `limit=${MAX_LEADERBOARD_SIZE}&board=${board}`;
+  const response = await fetch(`${LEADERBOARD_ENDPOINT}/${view}?${query}`, { headers: authHeaders() });
+  if (!response.ok) {
+    throw new Error(`Leaderboard request failed with status ${response.status}`);
+  }
+
+  return response.json();
 }
 
 /**
- * Submit score to server (placeholder)
+ * Submit a score. The server files it under the verified Telegram user from
+ * the auth header; only the score itself is sent.
  */
 async function submitScoreToServer(scoreData) {
-  // This would be replaced with actual API endpoint
   logDev('Submitting score to server:', scoreData);
   
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 500));
+  const response = await fetch(LEADERBOARD_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ score: scoreData.score })
+  });
+  if (!response.ok) {
+    throw new Error(`Score submission failed with status ${response.status}`);
+  }
   
-  // Simulate success - real implementation would handle actual submission
-  return { success: true, scoreData };
+  const body = await response.json();
+  return { success: true, entry: body.entry };
 }
 
 /**
@@ -4,26 +4,77 @@
  * Handles real-time multiplayer connections and synchronization
  */
 
+import { PROTOCOL_VERSION, SESSION_REPLACED_CLOSE_CODE, createProtocolSender, decodeServerMessage } from '@shared/protocol';
+import { SnapshotReceiver, decodeSnapshot } from '@shared/snapshot';
+import { zoneCircleAt } from '@shared/zone';
+import { getTeam, teamScores } from '@shared/teams';
+import { getInitData, getLaunchInviteCode, shareInviteLink } from './telegram-api.js';
+
 let ws = null;
 let playerId = null;
 let players = {};
+let roomId = null;
+let room = null;
+let roomList = [];
+let inviteCode = null;
+let inviteLink = null;
+let round = null;
+let inputSeq = 0;
+let pingTimer = null;
+let rtt = null;
+// Issued in every init; lets a reconnect reclaim the same player
+let resumeToken = null;
+// Running power-ups as { [playerId]: { [powerUpId]: localExpiresAt } }, and
+// when each of ours may next be used, on the local clock
+let powerUps = {};
+let powerUpReadyAt = {};
+// Pickups lying in the arena, by pickup id
+let pickups = {};
+// Battle-royale zone stage, stamped with when it reached us
+let zone = null;
+// The newest round the server recorded for us, as { id, round }
+let lastReplay = null;
+// Rebuilds the world from the server's delta snapshots
+const snapshots = new SnapshotReceiver();
+
+// Round-trip time is sampled this often and smoothed
+const PING_INTERVAL_MS = 2000;
+const RTT_SMOOTHING = 0.2;
 let connectionAttempts = 0;
 let maxReconnectAttempts = 5;
 let reconnectDelay = 1000;
 
+// One validated send function per client message type, built from the shared schema
+const protocol = createProtocolSender((raw) => {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(raw);
+  return true;
+});
+
 /**
- * Initialize multiplayer connection
+ * Initialize multiplayer connection. After a drop the resume token reclaims
+ * our player if the server still holds it; otherwise a private match invite
+ * from the launch link (or the room we were in) is joined directly.
  */
-export function initMultiplayer() {
+export function initMultiplayer(options = {}) {
   return new Promise((resolve, reject) => {
     try {
-      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${protocol}//${window.location.host}`;
+      const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      const wsUrl = `${scheme}//${window.location.host}`;
+      const invite = options.inviteCode || inviteCode || getLaunchInviteCode();
       
       ws = new WebSocket(wsUrl);
+      ws.binaryType = 'arraybuffer';
       
       ws.onopen = () => {
         connectionAttempts = 0;
+        const hello = { version: PROTOCOL_VERSION, encoding: 'binary' };
+        if (invite) hello.invite = invite;
+        if (resumeToken) hello.resume = resumeToken;
+        const initData = getInitData();
+        if (initData) hello.initData = initData;
+        protocol.hello(hello);
+        startPing();
         console.log('✅ Multiplayer connected');
         announceToScreenReader('Connected to multiplayer game');
         resolve(true);
@@ -54,14 +105,88 @@ export function initMultiplayer() {
  */
 function handleMessage(event) {
   try {
-    const data = JSON.parse(event.data);
+    const decoded = typeof event.data === 'string'
+      ? decodeServerMessage(event.data)
+      : decodeBinaryFrame(event.data);
+    if (!decoded.ok) {
+      console.warn('Ignoring invalid multiplayer message:', decoded.error.message);
+      return;
+    }
+    
+    const data = decoded.message;
     
     switch (data.type) {
+      case 'error':
+        console.error(`❌ Multiplayer protocol error (${data.code}):`, data.message);
+        if (data.code === 'unsupported_version') {
+          // Reconnecting with the same client will not help
+          connectionAttempts = maxReconnectAttempts;
+          showError('This version of the game is out of date. Please reload.');
+        } else if (data.code === 'unauthorized') {
+          connectionAttempts = maxReconnectAttempts;
+          showError('Could not verify your Telegram account. Please reopen the game from Telegram.');
+        }
+        break;
+        
+
       case 'init':
+        snapshots.reset();
+        resumeToken = data.resumeToken;
+        if (data.resumed) {
+          console.log(`🔁 Resumed as player ${data.id}`);
+          announceToScreenReader('Reconnected. Your score and position were kept.');
+        }
         playerId = data.id;
         players = data.players;
+        powerUps = {};
+        data.powerUps.forEach(({ id, powerUpId, remainingMs }) => setPowerUpActive(id, powerUpId, remainingMs));
+        // A resumed player keeps their server-side cooldowns
+        if (!data.resumed) powerUpReadyAt = {};
+        pickups = Object.fromEntries(data.pickups.map(pickup => [pickup.id, pickup]));
+        zone = withLocalStart(data.zone);
+        roomId = data.roomId;
+        room = data.room;
+        inviteCode = data.inviteCode;
+        if (!inviteCode) inviteLink = null;
+        round = withLocalDeadline(data.round);
         updateMultiplayerUI();
-        announceToScreenReader(`You are player ${playerId}. ${Object.keys(players).length} players in game.`);
+        const team = getTeam(players[playerId]?.team);
+        announceToScreenReader(`You are player ${playerId} in ${room?.name || 'the arena'}. ${Object.keys(players).length} players in game.${team ? ` You are on the ${team.name} team.` : ''}`);
+        break;
+        
+      case 'roomList':
+        roomList = data.rooms;
+        break;
+        
+      case 'roomError':
+        announceToScreenReader(ROOM_ERROR_MESSAGES[data.reason] || 'Room action failed');
+        showError(ROOM_ERROR_MESSAGES[data.reason] || `Room action failed: ${data.reason}`);
+        break;
+        
+      case 'phaseChanged':
+        round = withLocalDeadline(data);
+        if (room) room.phase = data.phase;
+        announcePhase(round);
+        break;
+        
+      case 'inviteCreated':
+        inviteCode = data.code;
+        inviteLink = data.link;
+        announceToScreenReader(`Private match created. Invite code ${data.code}`);
+        break;
+        
+      case 'ownerChanged':
+        if (room && room.id === data.roomId) {
+          room.ownerId = data.ownerId;
+        }
+        if (data.ownerId === playerId) {
+          announceToScreenReader('You are now the owner of this match');
+        }
+        break;
+        
+      case 'kicked':
+        announceToScreenReader('You were removed from the match by its owner');
+        showError('You were removed from the private match');
         break;
         
       case 'playerJoined':
@@ -72,10 +197,24 @@ function handleMessage(event) {
         
       case 'playerLeft':
         delete players[data.id];
+        delete powerUps[data.id];
         updateMultiplayerUI();
         announceToScreenReader(`Player ${data.id} left the game`);
         break;
         
+      case 'snapshot': {
+        const state = snapshots.apply(data);
+        if (!state) return; // stale, or a baseline we never saw
+        
+        protocol.snapshotAck({ seq: data.seq });
+        players = state;
+        for (const id in players) {
+          updatePlayerPosition(id, players[id].x, players[id].y);
+        }
+        updateAllPlayerStats();
+        break;
+      }
+        
       case 'playerMoved':
         if (players[data.id]) {
           players[data.id].x = data.x;
@@ -84,6 +223,19 @@ function handleMessage(event) {
         }
         break;
         
+      case 'pong': {
+        const sample = Date.now() - data.t;
+        rtt = rtt === null ? sample : rtt + (sample - rtt) * RTT_SMOOTHING;
+        break;
+      }
+        
+      case 'positionCorrection':
+        if (players[playerId]) {
+          players[playerId].x = data.x;
+          players[playerId].y = data.y;
+        }
+        break;
+        
       case 'playerHit':
         if (players[data.id]) {
           players[data.id].health = data.health;
@@ -95,14 +247,35 @@ function handleMessage(event) {
         }
         break;
         
+      case 'hazardHit':
+        if (players[data.id]) {
+          players[data.id].health = data.health;
+          showHitEffect(data.id, null, data.damage);
+          
+          if (data.id === playerId) {
+            announceToScreenReader(data.source === 'zone'
+              ? `You are outside the safe zone! Health: ${data.health}`
+              : `You are standing in a hazard! Health: ${data.health}`);
+          }
+        }
+        break;
+        
+      case 'zoneChanged':
+        zone = withLocalStart(data.zone);
+        if (zone) {
+          announceToScreenReader(`Safe zone stage ${zone.stage + 1} of ${zone.stages}. Shrinking in ${Math.ceil(zone.shrinkInMs / 1000)} seconds`);
+        }
+        break;
+        
       case 'playerDied':
         if (players[data.id]) {
           players[data.id].alive = false;
           showDeathEffect(data.id);
           
           if (data.id === playerId) {
-            announceToScreenReader('You were eliminated! Respawning in 5 seconds...');
-            setTimeout(() => respawnPlayer(), 5000);
+            announceToScreenReader('You were eliminated! You will rejoin next round.');
+          } else if (data.killerId === null) {
+            announceToScreenReader(`Player ${data.id} was eliminated by the arena`);
           } else {
             announceToScreenReader(`Player ${data.id} was eliminated by player ${data.killerId}`);
           }
@@ -125,9 +298,58 @@ function handleMessage(event) {
         
       case 'gameReset':
         players = data.players;
+        if (room) room.mapId = data.mapId;
+        // Effects end with the round; cooldowns carry over
+        powerUps = {};
+        pickups = {};
+        zone = null;
         updateMultiplayerUI();
         announceToScreenReader('Game reset! All players respawned.');
         break;
+        
+      case 'powerUpActivated':
+        setPowerUpActive(data.id, data.powerUpId, data.durationMs);
+        if (data.id === playerId) {
+          powerUpReadyAt[data.powerUpId] = Date.now() + data.cooldownMs;
+          announceToScreenReader(`Power-up ${data.powerUpId} activated`);
+        }
+        break;
+        
+      case 'powerUpExpired':
+        if (powerUps[data.id]) delete powerUps[data.id][data.powerUpId];
+        if (data.id === playerId) {
+          announceToScreenReader(`Power-up ${data.powerUpId} wore off`);
+        }
+        break;
+        
+      case 'powerUpRejected':
+        if (data.retryInMs !== undefined) {
+          powerUpReadyAt[data.powerUpId] = Date.now() + data.retryInMs;
+        }
+        announceToScreenReader(POWER_UP_REJECTION_MESSAGES[data.reason] || 'Power-up unavailable');
+        break;
+        
+      case 'pickupSpawned':
+        pickups[data.pickup.id] = data.pickup;
+        break;
+        
+      case 'pickupCollected':
+        delete pickups[data.id];
+        if (data.playerId === playerId) {
+          announceToScreenReader(data.kind === 'powerUp'
+            ? `Picked up power-up ${data.powerUpId}`
+            : `Picked up ${data.amount} ${PICKUP_NAMES[data.kind]}`);
+        }
+        break;
+        
+      case 'pickupExpired':
+        delete pickups[data.id];
+        break;
+        
+      case 'replaySaved':
+        lastReplay = { id: data.id, round: data.round };
+        announceToScreenReader(`Replay of round ${data.round} is ready`);
+        break;
     }
     
     // Dispatch custom event for other modules
@@ -140,11 +362,30 @@ function handleMessage(event) {
   }
 }
 
+/**
+ * Binary frames only ever carry snapshots
+ */
+function decodeBinaryFrame(buffer) {
+  try {
+    return { ok: true, message: decodeSnapshot(buffer) };
+  } catch (error) {
+    return { ok: false, error: { message: error.message } };
+  }
+}
+
 /**
  * Handle disconnection and reconnection
  */
-function handleDisconnect() {
+function handleDisconnect(event) {
   console.log('🔌 Multiplayer disconnected');
+  stopPing();
+  
+  // Our player was resumed on another connection; reconnecting would steal it back
+  if (event && event.code === SESSION_REPLACED_CLOSE_CODE) {
+    resumeToken = null;
+    announceToScreenReader('Multiplayer session continued in another window.');
+    return;
+  }
   announceToScreenReader('Disconnected from multiplayer. Attempting to reconnect...');
   
   if (connectionAttempts < maxReconnectAttempts) {
@@ -162,12 +403,36 @@ function handleDisconnect() {
 }
 
 /**
- * Send player movement
+ * Send player movement. Returns the input sequence number the server will
+ * acknowledge, or null when nothing was sent.
  */
 export function sendMovement(x, y) {
   if (ws && ws.readyState === WebSocket.OPEN && playerId) {
-    ws.send(JSON.stringify({ type: 'move', x, y }));
+    const seq = ++inputSeq;
+    return protocol.move({ x, y, seq }) ? seq : null;
   }
+  return null;
+}
+
+/**
+ * Latency figures for debug overlays
+ */
+export function getNetworkStats() {
+  return {
+    rtt: rtt === null ? null : Math.round(rtt),
+    lastInputSeq: inputSeq
+  };
+}
+
+function startPing() {
+  stopPing();
+  protocol.ping({ t: Date.now() });
+  pingTimer = setInterval(() => protocol.ping({ t: Date.now() }), PING_INTERVAL_MS);
+}
+
+function stopPing() {
+  if (pingTimer) clearInterval(pingTimer);
+  pingTimer = null;
 }
 
 /**
@@ -180,12 +445,42 @@ export function sendSlap(targetId = null) {
       targetId = findNearestPlayer();
     }
     
-    ws.send(JSON.stringify({ type: 'slap', targetId }));
-    return true;
+    return protocol.slap({ targetId });
   }
   return false;
 }
 
+/**
+ * Ask the server to activate one of our power-ups. The result arrives as a
+ * 'powerUpActivated' update for everyone, or 'powerUpRejected' for us.
+ */
+export function sendPowerUp(powerUpId) {
+  if (ws && ws.readyState === WebSocket.OPEN && playerId) {
+    return protocol.activatePowerUp({ powerUpId });
+  }
+  return false;
+}
+
+/**
+ * Ids of the power-ups running on a player
+ */
+export function getActivePowerUps(id) {
+  const now = Date.now();
+  return Object.keys(powerUps[id] || {}).filter(powerUpId => powerUps[id][powerUpId] > now);
+}
+
+/**
+ * Milliseconds until we may use a power-up again, 0 when it is ready
+ */
+export function getPowerUpCooldownRemaining(powerUpId) {
+  return Math.max(0, (powerUpReadyAt[powerUpId] || 0) - Date.now());
+}
+
+function setPowerUpActive(id, powerUpId, remainingMs) {
+  if (!powerUps[id]) powerUps[id] = {};
+  powerUps[id][powerUpId] = Date.now() + remainingMs;
+}
+
 /**
  * Find nearest player for auto-targeting
  */
@@ -217,7 +512,100 @@ function findNearestPlayer() {
  */
 export function updateProfile(name) {
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: 'updateProfile', name }));
+    protocol.updateProfile({ name });
+  }
+}
+
+/**
+ * Request the list of open rooms; the reply arrives as a 'roomList' update
+ */
+export function listRooms() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.listRooms();
+  }
+}
+
+/**
+ * Create a new room and move into it. `options` may pick the mode, team
+ * settings, bots, map pool, round timings and pickups (see createRoom in
+ * shared/protocol.ts). Passing `teams` plays either mode in teams, e.g.
+ * { mode: 'battleRoyale', teams: { count: 3 } } or
+ * { bots: { fill: 4, difficulty: 'hard' } }
+ */
+export function createRoom(name, options = {}) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.createRoom(name ? { ...options, name } : options);
+  }
+}
+
+/**
+ * Move into an existing room
+ */
+export function joinRoom(id) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.joinRoom({ roomId: id });
+  }
+}
+
+/**
+ * Create a private, invite-only room and move into it; the invite code
+ * arrives as an 'inviteCreated' update. Takes the same options as createRoom.
+ */
+export function createPrivateRoom(name, options = {}) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.createPrivateRoom(name ? { ...options, name } : options);
+  }
+}
+
+/**
+ * Join a private room by invite code
+ */
+export function joinInvite(code) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.joinInvite({ code });
+  }
+}
+
+/**
+ * Share the current private room's invite link
+ */
+export function shareInvite() {
+  if (!inviteCode) return false;
+  shareInviteLink(inviteCode, inviteLink);
+  return true;
+}
+
+/**
+ * Remove a player from the current room (owner only)
+ */
+export function kickPlayer(targetId) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.kickPlayer({ playerId: targetId });
+  }
+}
+
+/**
+ * Start a new round in the current room (owner only)
+ */
+export function startRound() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.startRound();
+  }
+}
+
+/**
+ * Whether the local player owns the current room
+ */
+export function isRoomOwner() {
+  return Boolean(room && playerId !== null && room.ownerId === playerId);
+}
+
+/**
+ * Leave the current room and return to the lobby
+ */
+export function leaveRoom() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    protocol.leaveRoom();
   }
 }
 
@@ -229,6 +617,16 @@ export function getMultiplayerState() {
     connected: ws && ws.readyState === WebSocket.OPEN,
     playerId,
     players,
+    roomId,
+    room,
+    roomList,
+    inviteCode,
+    round,
+    powerUps,
+    pickups,
+    zone,
+    lastReplay,
+    isOwner: isRoomOwner(),
     playerCount: Object.keys(players).length,
     isMultiplayer: true
   };
@@ -255,7 +653,9 @@ function updateMultiplayerUI() {
   // Update player count display
   const playerCountEl = document.getElementById('player-count');
   if (playerCountEl) {
-    playerCountEl.textContent = `${Object.keys(players).length} players online`;
+    playerCountEl.textContent = room
+      ? `${Object.keys(players).length} players in ${room.name}`
+      : `${Object.keys(players).length} players online`;
   }
 }
 
@@ -382,13 +782,117 @@ function showFloatingText(element, text, color) {
   }, 1000);
 }
 
-function respawnPlayer() {
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: 'respawn' }));
+
+// Helper functions
+const ROOM_ERROR_MESSAGES = {
+  not_found: 'That room no longer exists',
+  full: 'That room is full',
+  invalid_invite: 'That invite code is not valid',
+  not_owner: 'Only the match owner can do that',
+  kicked: 'The owner removed you from that match',
+  bot: 'Bots cannot be kicked; they leave as players join',
+  not_enough_players: 'At least two players are needed to start a round',
+  round_in_progress: 'A round is already in progress'
+};
+
+const PICKUP_NAMES = {
+  gas: 'gas',
+  health: 'health',
+  score: 'points'
+};
+
+const POWER_UP_REJECTION_MESSAGES = {
+  unknown: 'That power-up does not exist',
+  cooling_down: 'That power-up is still recharging',
+  already_active: 'That power-up is already active',
+  not_in_combat: 'Power-ups can only be used during a round',
+  locked: 'You have not unlocked that power-up yet'
+};
+
+/**
+ * Convert the server's remaining time into a local-clock deadline so
+ * countdowns are not thrown off by clock skew between client and server
+ */
+function withLocalDeadline(roundState) {
+  if (!roundState) return null;
+  return {
+    ...roundState,
+    localEndsAt: roundState.remainingMs === null ? null : Date.now() + roundState.remainingMs
+  };
+}
+
+/**
+ * Stamp a zone stage with the local time it arrived, for the same reason as
+ * withLocalDeadline
+ */
+function withLocalStart(zoneState) {
+  if (!zoneState) return null;
+  return { ...zoneState, localStartedAt: Date.now() };
+}
+
+/**
+ * The battle-royale safe zone circle right now, or null when there is none
+ */
+export function getZoneCircle() {
+  if (!zone) return null;
+  return zoneCircleAt(zone, Date.now() - zone.localStartedAt);
+}
+
+/**
+ * Milliseconds until the zone starts shrinking; 0 while it shrinks or once
+ * it has closed, null when there is no zone
+ */
+export function getZoneShrinkIn() {
+  if (!zone) return null;
+  return Math.max(0, zone.shrinkInMs - (Date.now() - zone.localStartedAt));
+}
+
+/**
+ * Live score of each team, indexed like TEAMS, or null in rooms without teams
+ */
+export function getTeamScores() {
+  if (!room?.teams) return null;
+  return teamScores(players, room.teams.count);
+}
+
+/**
+ * Milliseconds left in the current round phase, or null for untimed phases
+ */
+export function getPhaseTimeRemaining() {
+  if (!round || round.localEndsAt === null) return null;
+  return Math.max(0, round.localEndsAt - Date.now());
+}
+
+function announcePhase(roundState) {
+  switch (roundState.phase) {
+    case 'waiting':
+      announceToScreenReader(`Waiting for at least ${roundState.minPlayers} players`);
+      break;
+    case 'countdown':
+      announceToScreenReader(`Round ${roundState.round} starts in ${Math.ceil(roundState.remainingMs / 1000)} seconds`);
+      break;
+    case 'active':
+      announceToScreenReader('Fight!');
+      break;
+    case 'sudden_death':
+      announceToScreenReader('Sudden death! Double damage and no gas recharge');
+      break;
+    case 'results': {
+      const mine = roundState.results?.find(result => result.id === playerId);
+      if (mine && roundState.teamResults) {
+        const team = getTeam(mine.team)?.name ?? 'Your';
+        announceToScreenReader(`Round over. ${team} team placed ${mine.rank} of ${roundState.teamResults.length}`);
+      } else {
+        announceToScreenReader(mine ? `Round over. You placed ${mine.rank} of ${roundState.results.length}` : 'Round over');
+      }
+      break;
+    }
+    case 'intermission':
+      announceToScreenReader('Next round starting soon');
+      break;
   }
 }
 
-// Helper functions
 function announceToScreenReader(message) {
   const announcer = document.getElementById('sr-announcer');
   if (announcer) {
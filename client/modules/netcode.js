@@ -0,0 +1,159 @@
+/**
+ * No_Gas_Slaps™ - Netcode Module
+ * Client-side prediction for the local player and snapshot interpolation
+ * for remote players
+ */
+
+import { INTERPOLATION_DELAY_MS, clampToBounds } from '@shared/arena';
+import { moveWithCollision } from '@shared/maps';
+
+export { INTERPOLATION_DELAY_MS };
+
+// How far past the newest snapshot we are willing to guess
+export const MAX_EXTRAPOLATION_MS = 150;
+
+// Snapshots older than this are dropped from the timeline
+const BUFFER_RETENTION_MS = 1000;
+
+// Inputs the server never acknowledged are dropped after this many
+const MAX_PENDING_INPUTS = 120;
+
+/**
+ * Tracks unacknowledged movement inputs for the local player. Each input is
+ * applied immediately; when the server acknowledges sequence N with its
+ * authoritative position, inputs after N are replayed on top of it against
+ * the same map collision the server uses.
+ */
+export class InputPredictor {
+  constructor(map) {
+    this.map = map;
+    this.pending = [];
+    this.lastAckedSeq = 0;
+  }
+
+  /**
+   * Record an input that was already applied locally
+   */
+  record(seq, dx, dy) {
+    if (seq === null || seq === undefined) return;
+    this.pending.push({ seq, dx, dy });
+    if (this.pending.length > MAX_PENDING_INPUTS) {
+      this.pending.shift();
+    }
+  }
+
+  /**
+   * Rebase on the server's position for `seq` and replay newer inputs.
+   * Returns the predicted position the local sprite should be at now.
+   */
+  reconcile(seq, x, y) {
+    if (seq !== null && seq !== undefined) {
+      if (seq < this.lastAckedSeq) return null; // stale ack
+      this.lastAckedSeq = seq;
+      this.pending = this.pending.filter(input => input.seq > seq);
+    }
+
+    let position = { x, y };
+    for (const input of this.pending) {
+      position = moveWithCollision(this.map, position, position.x + input.dx, position.y + input.dy);
+    }
+    return position;
+  }
+
+  get pendingCount() {
+    return this.pending.length;
+  }
+
+  reset() {
+    this.pending = [];
+  }
+}
+
+/**
+ * Time-ordered position snapshots for one remote player. Extrapolated
+ * positions are kept inside `bounds`.
+ */
+export class InterpolationBuffer {
+  constructor(bounds) {
+    this.bounds = bounds;
+    this.snapshots = [];
+    this.extrapolating = false;
+  }
+
+  push(time, x, y) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time < last.time) return;
+
+    this.snapshots.push({ time, x, y });
+
+    const cutoff = time - BUFFER_RETENTION_MS;
+    while (this.snapshots.length > 2 && this.snapshots[0].time < cutoff) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Replace the timeline with a single authoritative position
+   */
+  reset(time, x, y) {
+    this.snapshots = [{ time, x, y }];
+    this.extrapolating = false;
+  }
+
+  /**
+   * Snapshots newer than the render time, i.e. how much smoothing headroom
+   * we currently have
+   */
+  depth(renderTime) {
+    return this.snapshots.filter(snapshot => snapshot.time >= renderTime).length;
+  }
+
+  /**
+   * Position at `renderTime`: interpolated between the surrounding
+   * snapshots, or extrapolated (capped) past the newest one
+   */
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const newest = snapshots[snapshots.length - 1];
+    if (snapshots.length === 1) {
+      this.extrapolating = false;
+      return { x: newest.x, y: newest.y };
+    }
+
+    if (renderTime <= snapshots[0].time) {
+      this.extrapolating = false;
+      return { x: snapshots[0].x, y: snapshots[0].y };
+    }
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (renderTime >= from.time && renderTime <= to.time) {
+        const span = to.time - from.time || 1;
+        const t = (renderTime - from.time) / span;
+        this.extrapolating = false;
+        return {
+          x: from.x + (to.x - from.x) * t,
+          y: from.y + (to.y - from.y) * t
+        };
+      }
+    }
+
+    // Past the newest snapshot: continue along the last known velocity for
+    // at most two update intervals, then hold there. A longer silence means
+    // they stopped; snapping back to the newest snapshot would jerk the
+    // sprite backwards only for the next snapshot to pull it forward again.
+    const previous = snapshots[snapshots.length - 2];
+    const span = newest.time - previous.time || 1;
+    const ahead = Math.min(renderTime - newest.time, MAX_EXTRAPOLATION_MS, span * 2);
+    
+    this.extrapolating = true;
+    return clampToBounds(
+      newest.x + ((newest.x - previous.x) / span) * ahead,
+      newest.y + ((newest.y - previous.y) / span) * ahead,
+      this.bounds
+    );
+  }
+}
@@ -5,6 +5,8 @@
 
 import { logError, logInfo, logDev } from './testing.js';
 import { sanitizeInput } from './security.js';
+import { uploadProgress } from './cloud-save.js';
+import { submitAchievements } from './achievements-api.js';
 
 // Configuration
 const STORAGE_PREFIX = 'ngs_';
@@ -190,6 +192,12 @@ export function enqueueSync(item) {
       retries: item.retries || 0
     };
 
+    // Items marked `replace` supersede anything of the same type still
+    // waiting, e.g. only the newest progress snapshot is worth uploading
+    if (item.replace) {
+      syncQueue = syncQueue.filter(queueItem => queueItem.type !== sanitizedItem.type);
+    }
+
     // Add to queue
     syncQueue.push(sanitizedItem);
     
@@ -347,10 +355,10 @@ async function processSyncItem(item) {
         return await simulateLeaderboardSync(item.data);
       
       case 'achievement_unlock':
-        return await simulateAchievementSync(item.data);
+        return await syncAchievements(item.data);
       
       case 'user_progress':
-        return await simulateProgressSync(item.data);
+        return await syncProgress(item.data);
       
       default:
         logError('Unknown sync item type:', item.type);
@@ -379,25 +387,34 @@ async function simulateLeaderboardSync(data) {
   return true;
 }
 
-async function simulateAchievementSync(data) {
-  await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 500));
+/**
+ * Upload a progress snapshot. The reconciled save comes back as a
+ * 'cloudProgressSynced' event so the state module can adopt progress made
+ * on other devices.
+ */
+async function syncProgress(data) {
+  const save = await uploadProgress(data);
   
-  if (Math.random() < 0.05) {
-    throw new Error('Server error');
-  }
+  document.dispatchEvent(new CustomEvent('cloudProgressSynced', {
+    detail: { save }
+  }));
   
-  logDev('Achievement sync completed for:', data);
+  logDev('Progress sync completed, revision:', save.revision);
   return true;
 }
 
-async function simulateProgressSync(data) {
-  await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 300));
+/**
+ * Persist achievements unlocked on this device. The server answers with
+ * everything it has, including achievements it granted itself.
+ */
+async function syncAchievements(data) {
+  const result = await submitAchievements(data.ids);
   
-  if (Math.random() < 0.02) {
-    throw new Error('Authentication error');
-  }
+  document.dispatchEvent(new CustomEvent('achievementsSynced', {
+    detail: result
+  }));
   
-  logDev('Progress sync completed for:', data);
+  logDev('Achievement sync completed for:', data.ids);
   return true;
 }
 
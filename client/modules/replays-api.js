@@ -0,0 +1,50 @@
+/**
+ * Replays API Module
+ * Fetches match replays recorded by the server. The format lives in
+ * shared/replay.ts.
+ */
+
+import { decodeReplay } from '@shared/replay';
+import { logDev } from './testing.js';
+
+// Configuration
+const REPLAYS_ENDPOINT = '/api/replays';
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Download and validate a replay
+ * @param {string} id
+ */
+export async function fetchReplay(id) {
+  logDev('Fetching replay:', id);
+
+  const response = await fetch(`${REPLAYS_ENDPOINT}/${encodeURIComponent(id)}`, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Replay request failed with status ${response.status}`);
+  }
+
+  return parseReplay(await response.json());
+}
+
+/**
+ * Validate replay JSON, e.g. from a file saved earlier. Throws when it is
+ * not a replay this version can play.
+ * @param {unknown} raw
+ */
+export function parseReplay(raw) {
+  const result = decodeReplay(raw);
+  if (!result.ok) {
+    throw new Error(`Invalid replay: ${result.error}`);
+  }
+  return result.replay;
+}
+
+/**
+ * Link that saves the replay as a file
+ * @param {string} id
+ */
+export function replayDownloadUrl(id) {
+  return `${REPLAYS_ENDPOINT}/${encodeURIComponent(id)}?download`;
+}
@@ -185,7 +185,9 @@ export function checkRateLimit(identifier = 'default') {
 }
 
 /**
- * Verify Telegram init data integrity
+ * Sanity-check Telegram init data on the client. This only validates its
+ * shape; the signature is verified by the server (hello handshake and the
+ * `Authorization: tma` header on API calls), which holds the bot token.
  */
 export function verifyInitData() {
   if (!isInsideTelegram()) {
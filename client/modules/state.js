@@ -3,9 +3,15 @@
  * Handles all game logic, state transitions, and persistence
  */
 
-import { loadState, saveState } from './persistence.js';
+import { loadState, saveState, enqueueSync } from './persistence.js';
 import { showError } from './error.js';
 import { sanitizeInput } from './security.js';
+import { isCloudSaveAvailable, fetchCloudSave } from './cloud-save.js';
+import { isDailyRewardAvailable, fetchDailyRewardStatus, claimDailyRewardOnServer } from './daily-reward.js';
+import { isAchievementSyncAvailable, fetchAchievements } from './achievements-api.js';
+import { PROGRESS_SCHEMA_VERSION, mergeProgress } from '@shared/progress';
+import { ACHIEVEMENTS, getAchievement, isServerAchievement, reachedAchievements, achievementProgress } from '@shared/achievements';
+import { POWER_UPS, getPowerUp, effectModifiers } from '@shared/powerups';
 
 // State configuration
 const STATE_KEY = 'ngs_game_state_v2';
@@ -37,44 +43,23 @@ let gameState = {
   }
 };
 
-// Power-ups state
-let powerUpsState = {
-  doublePoints: {
-    unlocked: false,
-    active: false,
-    cooldown: 0,
-    duration: 0,
-    unlockThreshold: 500
-  },
-  rapidFire: {
-    unlocked: false,
-    active: false,
-    cooldown: 0,
-    duration: 0,
-    unlockThreshold: 1000
-  },
-  shield: {
-    unlocked: false,
-    active: false,
-    cooldown: 0,
-    duration: 0,
-    unlockThreshold: 2000
-  },
-  magnet: {
-    unlocked: false,
-    active: false,
-    cooldown: 0,
-    duration: 0,
-    unlockThreshold: 5000
-  },
-  boost: {
-    unlocked: false,
-    active: false,
-    cooldown: 0,
-    duration: 0,
-    unlockThreshold: 10000
-  }
-};
+// Power-ups state, one entry per definition in shared/powerups.ts
+let powerUpsState = Object.fromEntries(POWER_UPS.map(powerUp => [powerUp.id, {
+  unlocked: false,
+  active: false,
+  cooldown: 0,
+  duration: 0
+}]));
+
+// Cloud save fetched during initState; its power-up unlocks are applied
+// once initPowerUps has loaded the local ones
+let cloudProgress = null;
+// Last snapshot queued for upload, to skip uploads when nothing changed
+let lastQueuedProgress = null;
+// Daily reward status from the server; null outside Telegram or until loaded
+let dailyReward = null;
+// Counters the server keeps for the achievements it grants itself
+let serverAchievementStats = { knockouts: 0, dailyStreak: 0 };
 
 // Anti-cheat tracking
 let tapsWindow = [];
@@ -99,6 +84,11 @@ export async function initState() {
       validateGameState();
     }
     
+    // Bring in progress made on other devices
+    await loadCloudProgress();
+    await refreshDailyReward();
+    await loadServerAchievements();
+    
     // Update session info
     gameState.sessionStartTime = Date.now();
     gameState.statistics.sessionsPlayed = (gameState.statistics.sessionsPlayed || 0) + 1;
@@ -123,14 +113,27 @@ export async function initState() {
  */
 export async function initPowerUps() {
   try {
-    // Load saved power-ups state
+    // Load saved power-ups state. Timers don't survive a reload, so only
+    // unlocks and remaining cooldowns are restored; retired power-ups are dropped.
     const savedPowerUps = await loadState(POWERUPS_KEY);
     if (savedPowerUps && typeof savedPowerUps === 'object') {
-      powerUpsState = { ...powerUpsState, ...savedPowerUps };
+      Object.entries(powerUpsState).forEach(([id, powerUp]) => {
+        const saved = savedPowerUps[id];
+        if (!saved) return;
+        powerUp.unlocked = Boolean(saved.unlocked);
+        powerUp.cooldown = Math.max(0, Number(saved.cooldown) || 0);
+      });
+    }
+    
+    // Apply unlocks from the cloud save, then upload the reconciled copy
+    if (cloudProgress) {
+      applyProgress(mergeProgress(toProgress(), cloudProgress));
+      cloudProgress = null;
     }
     
     // Check for newly unlocked power-ups
     checkPowerUpUnlocks();
+    queueProgressSync();
     
     console.log('✅ Power-ups initialized:', powerUpsState);
     notifyPowerUpListeners();
@@ -154,7 +157,7 @@ export async function slap() {
     }
     
     // Anti-cheat: Minimum interval
-    if (now - gameState.lastSlapAt < MIN_INTERVAL) {
+    if (now - gameState.lastSlapAt < MIN_INTERVAL / activeEffects().tapRate) {
       return; // Silently ignore rapid taps
     }
     
@@ -165,7 +168,6 @@ export async function slap() {
     
     // Calculate combo
     const newCombo = calculateCombo(now);
-    const prevScore = gameState.score;
     
     // Calculate base points
     let points = 1;
@@ -194,7 +196,7 @@ export async function slap() {
     trackScoreHistory(gameState.score, now);
     
     // Check for achievements
-    checkAchievements(prevScore, gameState.score);
+    checkAchievements();
     
     // Check for power-up unlocks
     checkPowerUpUnlocks();
@@ -220,8 +222,8 @@ function isValidTapRate(now) {
   // Clean old taps from window
   tapsWindow = tapsWindow.filter(time => now - time < 1000);
   
-  // Check if within rate limit
-  if (tapsWindow.length >= MAX_TAPS_PER_SECOND) {
+  // Check if within rate limit (Rapid Fire raises it)
+  if (tapsWindow.length >= MAX_TAPS_PER_SECOND * activeEffects().tapRate) {
     console.warn('Rate limit exceeded:', tapsWindow.length, 'taps in last second');
     return false;
   }
@@ -233,7 +235,7 @@ function isValidTapRate(now) {
  * Calculate combo multiplier
  */
 function calculateCombo(now) {
-  if (now - gameState.lastComboTick < COMBO_TIMEOUT) {
+  if (now - gameState.lastComboTick < COMBO_TIMEOUT * activeEffects().comboWindow) {
     // Combo continues - increase multiplier
     return Math.min(gameState.combo + 1, 50); // Cap at 50x
   } else {
@@ -242,28 +244,19 @@ function calculateCombo(now) {
   }
 }
 
+/**
+ * Combined effects of the active power-ups (see shared/powerups.ts)
+ */
+export function activeEffects() {
+  const activeIds = Object.keys(powerUpsState).filter(id => powerUpsState[id].active);
+  return effectModifiers(activeIds);
+}
+
 /**
  * Apply power-up effects to points
  */
 function applyPowerUpEffects(basePoints) {
-  let points = basePoints;
-  
-  // Double Points power-up
-  if (powerUpsState.doublePoints.active) {
-    points *= 2;
-  }
-  
-  // Rapid Fire power-up (allows higher tap rate)
-  if (powerUpsState.rapidFire.active) {
-    points *= 1.5;
-  }
-  
-  // Boost power-up
-  if (powerUpsState.boost.active) {
-    points *= 3;
-  }
-  
-  return Math.floor(points);
+  return Math.floor(basePoints * activeEffects().scoreMultiplier);
 }
 
 /**
@@ -300,41 +293,114 @@ function trackScoreHistory(score, timestamp) {
 }
 
 /**
- * Check for achievements
+ * Counters achievements are measured against (see shared/achievements.ts)
  */
-function checkAchievements(prevScore, newScore) {
-  const milestones = [100, 500, 1000, 5000, 10000, 50000, 100000];
-  
-  milestones.forEach(milestone => {
-    if (prevScore < milestone && newScore >= milestone) {
-      unlockAchievement(`score_${milestone}`);
-    }
-  });
-  
-  // Combo achievements
-  if (gameState.combo === 10 && !gameState.achievements.includes('combo_10')) {
-    unlockAchievement('combo_10');
-  }
-  
-  if (gameState.combo === 25 && !gameState.achievements.includes('combo_25')) {
-    unlockAchievement('combo_25');
-  }
+function getAchievementStats() {
+  return {
+    score: gameState.score,
+    totalSlaps: gameState.totalSlaps,
+    highestCombo: gameState.statistics.highestCombo || 0,
+    playTime: gameState.statistics.totalPlayTime || 0,
+    ...serverAchievementStats
+  };
+}
+
+/**
+ * Unlock every achievement on our own counters that has reached its
+ * target. Server-counted ones arrive through loadServerAchievements.
+ */
+function checkAchievements() {
+  reachedAchievements(getAchievementStats())
+    .filter(id => !isServerAchievement(getAchievement(id)))
+    .forEach(id => unlockAchievement(id));
 }
 
 /**
- * Unlock achievement
+ * Unlock achievement and persist it server-side
  */
 function unlockAchievement(achievementId) {
-  if (!gameState.achievements.includes(achievementId)) {
-    gameState.achievements.push(achievementId);
-    console.log('🏆 Achievement unlocked:', achievementId);
-    
-    // Could trigger celebration animation here
+  if (addAchievement(achievementId)) {
+    queueAchievementSync([achievementId]);
+  }
+}
+
+/**
+ * Record an unlock locally and, unless it was earned elsewhere earlier,
+ * celebrate it. Returns false if it was already unlocked.
+ */
+function addAchievement(achievementId, celebrate = true) {
+  if (gameState.achievements.includes(achievementId)) return false;
+  
+  gameState.achievements.push(achievementId);
+  console.log('🏆 Achievement unlocked:', achievementId);
+  
+  if (celebrate) {
     const event = new CustomEvent('achievementUnlocked', { 
       detail: { achievement: achievementId } 
     });
     document.dispatchEvent(event);
   }
+  return true;
+}
+
+/**
+ * Queue achievements unlocked on this device for upload
+ */
+function queueAchievementSync(ids) {
+  if (!isAchievementSyncAvailable() || ids.length === 0) return;
+  
+  enqueueSync({
+    type: 'achievement_unlock',
+    data: { ids },
+    priority: 'normal'
+  });
+}
+
+/**
+ * Adopt the server's achievements and counters. Only `celebrate` and the
+ * ones this response newly unlocked are celebrated; the rest were earned
+ * earlier, on this or another device. Returns the ids of local unlocks the
+ * server doesn't have yet.
+ */
+function applyServerAchievements({ achievements, stats, unlocked = [] }, celebrate = []) {
+  serverAchievementStats = { ...serverAchievementStats, ...stats };
+  
+  const fresh = new Set(celebrate.concat(unlocked));
+  const serverIds = new Set(achievements.map(achievement => achievement.id));
+  serverIds.forEach(id => addAchievement(id, fresh.has(id)));
+  
+  return gameState.achievements.filter(id => {
+    const achievement = getAchievement(id);
+    return achievement && !isServerAchievement(achievement) && !serverIds.has(id);
+  });
+}
+
+/**
+ * Fetch achievements from the server, including ones it granted for
+ * knockouts or daily streaks, and upload any unlocked while offline
+ * @param {string[]} celebrate - server-granted ids we were just told about
+ */
+async function loadServerAchievements(celebrate = []) {
+  if (!isAchievementSyncAvailable()) return;
+  
+  try {
+    const missing = applyServerAchievements(await fetchAchievements(), celebrate);
+    queueAchievementSync(missing);
+  } catch (error) {
+    console.warn('Achievements unavailable, using local unlocks:', error.message);
+  }
+}
+
+/**
+ * Every achievement in the catalog with its unlock state and progress
+ */
+export function getAchievements() {
+  const stats = getAchievementStats();
+  return ACHIEVEMENTS.map(achievement => ({
+    ...achievement,
+    unlocked: gameState.achievements.includes(achievement.id),
+    progress: achievementProgress(achievement, stats)
+  }));
 }
 
 /**
@@ -343,8 +409,11 @@ function unlockAchievement(achievementId) {
 function checkPowerUpUnlocks() {
   let unlocked = false;
   
+  const stats = getAchievementStats();
+  
   Object.entries(powerUpsState).forEach(([id, powerUp]) => {
-    if (!powerUp.unlocked && gameState.score >= powerUp.unlockThreshold) {
+    const { unlock } = getPowerUp(id);
+    if (!powerUp.unlocked && stats[unlock.stat] >= unlock.atLeast) {
       powerUp.unlocked = true;
       unlocked = true;
       console.log('🚀 Power-up unlocked:', id);
@@ -368,8 +437,9 @@ function checkPowerUpUnlocks() {
  */
 export async function activatePowerUp(powerUpId) {
   const powerUp = powerUpsState[powerUpId];
+  const definition = getPowerUp(powerUpId);
   
-  if (!powerUp) {
+  if (!powerUp || !definition) {
     throw new Error('Invalid power-up ID');
   }
   
@@ -387,8 +457,8 @@ export async function activatePowerUp(powerUpId) {
   
   // Activate power-up
   powerUp.active = true;
-  powerUp.duration = getPowerUpDuration(powerUpId);
-  powerUp.cooldown = getPowerUpCooldown(powerUpId);
+  powerUp.duration = definition.durationMs;
+  powerUp.cooldown = definition.cooldownMs;
   
   console.log(`⚡ Power-up activated: ${powerUpId}`);
   
@@ -419,63 +489,63 @@ function deactivatePowerUp(powerUpId) {
 }
 
 /**
- * Get power-up duration in milliseconds
+ * Claim today's daily reward. The server checks the claim and decides the
+ * streak and the amount; we only add the points it grants.
  */
-function getPowerUpDuration(powerUpId) {
-  const durations = {
-    doublePoints: 30000,   // 30 seconds
-    rapidFire: 15000,      // 15 seconds
-    shield: 60000,         // 60 seconds
-    magnet: 20000,         // 20 seconds
-    boost: 10000           // 10 seconds
-  };
+export async function claimDailyReward() {
+  if (!isDailyRewardAvailable()) {
+    throw new Error('Daily rewards need a Telegram account');
+  }
+  
+  let result;
+  try {
+    result = await claimDailyRewardOnServer();
+  } catch (error) {
+    // Already claimed, perhaps on another device: show the server's view
+    if (error.status) {
+      applyDailyReward(error.status);
+      notifyStateListeners();
+    }
+    throw error;
+  }
+  
+  const { claim, status, achievements = [] } = result;
+  gameState.score += claim.reward;
+  gameState.lastDailyClaim = claim.claimedAt;
+  applyDailyReward(status);
+  
+  console.log(`🎁 Daily reward claimed: ${claim.reward} points (day ${claim.streak})`);
   
-  return durations[powerUpId] || 30000;
+  await saveGameState();
+  queueProgressSync();
+  notifyStateListeners();
+  
+  // Pick up streak achievements the claim unlocked
+  loadServerAchievements(achievements).then(notifyStateListeners);
+  
+  return claim.reward;
 }
 
 /**
- * Get power-up cooldown in milliseconds
+ * Adopt the server's daily reward status
  */
-function getPowerUpCooldown(powerUpId) {
-  const cooldowns = {
-    doublePoints: 120000,  // 2 minutes
-    rapidFire: 90000,      // 1.5 minutes
-    shield: 180000,        // 3 minutes
-    magnet: 150000,        // 2.5 minutes
-    boost: 300000          // 5 minutes
-  };
-  
-  return cooldowns[powerUpId] || 120000;
+function applyDailyReward(status) {
+  dailyReward = status;
+  gameState.dailyClaimed = !status.canClaim;
 }
 
 /**
- * Claim daily reward
+ * Fetch the daily reward status. Outside Telegram, or when the server
+ * can't be reached, there is no daily reward to show.
  */
-export async function claimDailyReward() {
-  const now = Date.now();
-  const lastClaim = gameState.lastDailyClaim || 0;
-  const daysSinceLastClaim = Math.floor((now - lastClaim) / (24 * 60 * 60 * 1000));
+async function refreshDailyReward() {
+  if (!isDailyRewardAvailable()) return;
   
-  if (gameState.dailyClaimed && daysSinceLastClaim < 1) {
-    throw new Error('Daily reward already claimed today');
+  try {
+    applyDailyReward(await fetchDailyRewardStatus());
+  } catch (error) {
+    console.warn('Daily reward unavailable:', error.message);
   }
-  
-  // Calculate reward amount
-  const baseReward = 100;
-  const streakBonus = Math.min(daysSinceLastClaim, 7) * 20; // Max 7-day streak
-  const totalReward = baseReward + streakBonus;
-  
-  // Apply reward
-  gameState.score += totalReward;
-  gameState.dailyClaimed = true;
-  gameState.lastDailyClaim = now;
-  
-  console.log(`🎁 Daily reward claimed: ${totalReward} points`);
-  
-  await saveGameState();
-  notifyStateListeners();
-  
-  return totalReward;
 }
 
 /**
@@ -503,22 +573,19 @@ function startBackgroundTasks() {
     gameState.statistics.totalPlayTime += 1000;
   }, 1000);
   
-  // Auto-save game state
+  // Auto-save game state and upload it if it changed
   setInterval(async () => {
+    checkAchievements(); // Play time achievements
     await saveGameState();
+    queueProgressSync();
   }, 30000); // Every 30 seconds
   
-  // Reset daily claim status at midnight
-  setInterval(() => {
-    const now = new Date();
-    const lastClaimDate = new Date(gameState.lastDailyClaim || 0);
+  // Pick up the next daily reward once the UTC day rolls over
+  setInterval(async () => {
+    if (!dailyReward || dailyReward.canClaim || Date.now() < dailyReward.nextClaimAt) return;
     
-    if (now.getDate() !== lastClaimDate.getDate() || 
-        now.getMonth() !== lastClaimDate.getMonth() || 
-        now.getFullYear() !== lastClaimDate.getFullYear()) {
-      gameState.dailyClaimed = false;
-      notifyStateListeners();
-    }
+    await refreshDailyReward();
+    notifyStateListeners();
   }, 60000); // Check every minute
 }
 
@@ -583,6 +650,133 @@ function resetGameState() {
   notifyStateListeners();
 }
 
+/**
+ * Durable progress in the cloud save format (see shared/progress.ts)
+ */
+function toProgress() {
+  const powerUps = {};
+  Object.entries(powerUpsState).forEach(([id, powerUp]) => {
+    powerUps[id] = { unlocked: Boolean(powerUp.unlocked) };
+  });
+  
+  return {
+    score: Math.floor(gameState.score),
+    totalSlaps: gameState.totalSlaps,
+    dailyClaimed: Boolean(gameState.dailyClaimed),
+    lastDailyClaim: gameState.lastDailyClaim || 0,
+    achievements: [...gameState.achievements],
+    statistics: {
+      totalPlayTime: gameState.statistics.totalPlayTime || 0,
+      highestCombo: gameState.statistics.highestCombo || 0,
+      totalTaps: gameState.statistics.totalTaps || 0,
+      sessionsPlayed: gameState.statistics.sessionsPlayed || 0
+    },
+    powerUps
+  };
+}
+
+/**
+ * Adopt reconciled progress. Power-ups we don't know about are ignored.
+ */
+function applyProgress(progress) {
+  gameState.score = progress.score;
+  gameState.totalSlaps = progress.totalSlaps;
+  // The server's daily reward status beats what another device remembers
+  gameState.dailyClaimed = dailyReward ? !dailyReward.canClaim : progress.dailyClaimed;
+  gameState.lastDailyClaim = progress.lastDailyClaim;
+  gameState.achievements = [...progress.achievements];
+  gameState.statistics = { ...gameState.statistics, ...progress.statistics };
+  
+  Object.entries(progress.powerUps).forEach(([id, { unlocked }]) => {
+    if (powerUpsState[id]) {
+      powerUpsState[id].unlocked = unlocked;
+    }
+  });
+}
+
+/**
+ * Fetch the cloud save and merge its progress into the local state. Offline
+ * or outside Telegram the local copy is used as is.
+ */
+async function loadCloudProgress() {
+  if (!isCloudSaveAvailable()) return;
+  
+  try {
+    const save = await fetchCloudSave();
+    if (!save) return;
+    
+    cloudProgress = save.progress;
+    applyProgress(mergeProgress(toProgress(), cloudProgress));
+    console.log('☁️ Cloud save merged, revision', save.revision);
+  } catch (error) {
+    console.warn('Cloud save unavailable, using local progress:', error.message);
+  }
+}
+
+/**
+ * Queue the current progress for upload unless it matches the last upload
+ */
+function queueProgressSync() {
+  if (!isCloudSaveAvailable()) return;
+  
+  const progress = toProgress();
+  const serialized = JSON.stringify(progress);
+  if (serialized === lastQueuedProgress) return;
+  
+  lastQueuedProgress = serialized;
+  enqueueSync({
+    type: 'user_progress',
+    data: { schemaVersion: PROGRESS_SCHEMA_VERSION, progress },
+    priority: 'low',
+    replace: true
+  });
+}
+
+/**
+ * The server answers every upload with the reconciled save, which may
+ * include progress from another device
+ */
+function handleCloudProgressSynced(event) {
+  const save = event.detail?.save;
+  if (!save?.progress) return;
+  
+  applyProgress(mergeProgress(toProgress(), save.progress));
+  lastQueuedProgress = JSON.stringify(toProgress());
+  
+  saveGameState();
+  savePowerUpsState();
+  notifyStateListeners();
+  notifyPowerUpListeners();
+}
+
+/**
+ * Achievement uploads come back with everything the server has
+ */
+function handleAchievementsSynced(event) {
+  if (!event.detail?.achievements) return;
+  
+  applyServerAchievements(event.detail);
+  saveGameState();
+  notifyStateListeners();
+}
+
+/**
+ * The room tells us when a round earned server-granted achievements
+ */
+async function handleMultiplayerUpdate(event) {
+  if (event.detail?.type !== 'achievementsUnlocked') return;
+  
+  await loadServerAchievements(event.detail.data.ids);
+  saveGameState();
+  notifyStateListeners();
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('cloudProgressSynced', handleCloudProgressSynced);
+  document.addEventListener('achievementsSynced', handleAchievementsSynced);
+  window.addEventListener('ngs:multiplayer:update', handleMultiplayerUpdate);
+}
+
 /**
  * Save game state to persistence
  */
@@ -611,7 +805,8 @@ async function savePowerUpsState() {
 export function getState() {
   return { 
     ...gameState, 
-    powerUps: { ...powerUpsState }
+    powerUps: { ...powerUpsState },
+    dailyReward
   };
 }
 
@@ -111,6 +111,21 @@ export function getUser() {
   return user;
 }
 
+/**
+ * Raw signed launch data, for the server to verify. Null outside Telegram.
+ */
+export function getInitData() {
+  return tg?.initData || null;
+}
+
+/**
+ * Headers that identify the player on REST calls
+ */
+export function authHeaders() {
+  const initData = getInitData();
+  return initData ? { Authorization: `tma ${initData}` } : {};
+}
+
 /**
  * Get current theme
  */
@@ -207,6 +222,95 @@ export function shareScore(score) {
   }
 }
 
+/**
+ * Prefix used in start_param for private match invites
+ */
+export const INVITE_START_PARAM_PREFIX = 'room_';
+
+/**
+ * Get the deep-link start parameter the Mini App was launched with.
+ * Outside Telegram the `startapp` query parameter is used instead.
+ */
+export function getStartParam() {
+  const webApp = tg || window.Telegram?.WebApp;
+  const fromTelegram = webApp?.initDataUnsafe?.start_param;
+  if (fromTelegram) return fromTelegram;
+
+  const params = new URLSearchParams(window.location.search);
+  return params.get('tgWebAppStartParam') || params.get('startapp');
+}
+
+/**
+ * Get the private match invite code from the launch link, if any
+ */
+export function getLaunchInviteCode() {
+  const startParam = getStartParam();
+  if (!startParam || !startParam.startsWith(INVITE_START_PARAM_PREFIX)) return null;
+  return startParam.slice(INVITE_START_PARAM_PREFIX.length).toUpperCase();
+}
+
+/**
+ * Prefix used in start_param for referral links; the referrer's Telegram id follows
+ */
+export const REFERRAL_START_PARAM_PREFIX = 'ref_';
+
+/**
+ * Share a referral link. Whoever opens it shows up on both players'
+ * friends leaderboards.
+ */
+export function shareReferralLink() {
+  const user = getUser();
+  if (!user?.id) return false;
+
+  const url = `${window.location.origin}${window.location.pathname}?startapp=${REFERRAL_START_PARAM_PREFIX}${user.id}`;
+  const text = 'Come slap with me in No_Gas_Slaps™! 👋';
+
+  if (!isInsideTelegram()) {
+    if (navigator.share) {
+      navigator.share({ title: 'No_Gas_Slaps™', text, url });
+    } else {
+      navigator.clipboard.writeText(`${text} ${url}`);
+    }
+    return true;
+  }
+
+  const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`;
+
+  if (tg?.openTelegramLink) {
+    tg.openTelegramLink(shareUrl);
+  } else {
+    window.open(shareUrl, '_blank');
+  }
+  return true;
+}
+
+/**
+ * Share a private match invite via Telegram
+ * @param {string} code - Invite code issued by the server
+ * @param {string|null} link - Mini App deep link from the server, if configured
+ */
+export function shareInviteLink(code, link = null) {
+  const url = link || `${window.location.origin}${window.location.pathname}?startapp=${INVITE_START_PARAM_PREFIX}${code}`;
+  const text = `Join my private No_Gas_Slaps™ match! 👋 Invite code: ${code}`;
+
+  if (!isInsideTelegram()) {
+    if (navigator.share) {
+      navigator.share({ title: 'No_Gas_Slaps™', text, url });
+    } else {
+      navigator.clipboard.writeText(`${text} ${url}`);
+    }
+    return;
+  }
+
+  const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`;
+
+  if (tg?.openTelegramLink) {
+    tg.openTelegramLink(shareUrl);
+  } else {
+    window.open(shareUrl, '_blank');
+  }
+}
+
 /**
  * Open invoice for in-app purchases
  */
@@ -3,15 +3,16 @@
  * Implements WCAG 2.1 AA accessibility standards
  */
 
-import { getState } from './state.js';
-import { getLeaderboard } from './leaderboard-api.js';
+import { getState, getAchievements } from './state.js';
+import { getLeaderboard, getActiveBoard, getActiveView, LEADERBOARD_BOARDS, LEADERBOARD_VIEWS } from './leaderboard-api.js';
 import { getUser, hapticFeedback, isInsideTelegram } from './telegram-api.js';
 import { getError, getCurrentSuccess } from './error.js';
 import { t } from '../localization/en.js';
+import { getPowerUp } from '@shared/powerups';
 
 // UI Element References
 let appEl, slapBtn, scoreEl, comboEl, leaderboardList, powerupsGrid;
-let onboardingOverlay, helpOverlay, errorToast, successToast;
+let onboardingOverlay, helpOverlay, achievementsOverlay, errorToast, successToast;
 let gameHeader, dailyRewardSection;
 
 // UI State
@@ -64,6 +65,9 @@ function createMainUI() {
         <button class="btn-icon" id="mute-btn" aria-label="${t('ui.toggleMute')}" title="${t('ui.toggleMute')}">
           🔊
         </button>
+        <button class="btn-icon" id="achievements-btn" aria-label="${t('ui.showAchievements')}" title="${t('ui.showAchievements')}">
+          🏆
+        </button>
         <button class="btn-icon" id="help-btn" aria-label="${t('ui.showHelp')}" title="${t('ui.showHelp')}">
           ❓
         </button>
@@ -102,7 +106,9 @@ function createMainUI() {
     <!-- Daily Reward Section -->
     <section class="daily-reward hidden" id="daily-reward" role="region" aria-labelledby="daily-title">
       <h3 class="daily-reward-title" id="daily-title">${t('ui.dailyReward')}</h3>
-      <div class="daily-reward-amount" id="daily-amount">+100 ${t('ui.points')}</div>
+      <div class="daily-reward-amount" id="daily-amount"></div>
+      <div class="daily-reward-streak" id="daily-streak"></div>
+      <ol class="daily-calendar" id="daily-calendar" aria-label="${t('ui.dailyCalendar')}"></ol>
       <button class="daily-reward-button" id="daily-btn" aria-describedby="daily-description">
         ${t('ui.claimReward')}
       </button>
@@ -129,6 +135,22 @@ function createMainUI() {
           🔄
         </button>
       </div>
+      <div class="leaderboard-tabs" role="tablist" aria-label="${t('ui.leaderboardViewTabs')}">
+        ${LEADERBOARD_VIEWS.map(view => `
+          <button class="leaderboard-tab" role="tab" data-view="${view}"
+                  aria-selected="false" aria-controls="leaderboard-list">
+            ${t(`ui.leaderboardViews.${view}`)}
+          </button>
+        `).join('')}
+      </div>
+      <div class="leaderboard-tabs" role="tablist" aria-label="${t('ui.leaderboardTabs')}">
+        ${LEADERBOARD_BOARDS.map(board => `
+          <button class="leaderboard-tab" role="tab" data-board="${board}"
+                  aria-selected="false" aria-controls="leaderboard-list">
+            ${t(`ui.leaderboardBoards.${board}`)}
+          </button>
+        `).join('')}
+      </div>
       <ol class="leaderboard-list" id="leaderboard-list" 
           role="list" 
           aria-labelledby="leaderboard-title"
@@ -160,6 +182,7 @@ function cacheUIElements() {
   // Overlay elements
   onboardingOverlay = document.getElementById('onboarding-overlay');
   helpOverlay = document.getElementById('help-overlay');
+  achievementsOverlay = document.getElementById('achievements-overlay');
   errorToast = document.getElementById('error-toast');
   successToast = document.getElementById('success-toast');
   
@@ -188,16 +211,26 @@ function setupEventListeners() {
   // Header button events
   const muteBtn = document.getElementById('mute-btn');
   const helpBtn = document.getElementById('help-btn');
+  const achievementsBtn = document.getElementById('achievements-btn');
   const refreshBtn = document.getElementById('refresh-btn');
   const shareBtn = document.getElementById('share-btn');
   const dailyBtn = document.getElementById('daily-btn');
   
   muteBtn?.addEventListener('click', () => eventHandlers.onToggleMute?.());
   helpBtn?.addEventListener('click', () => eventHandlers.onShowHelp?.());
+  achievementsBtn?.addEventListener('click', showAchievements);
   refreshBtn?.addEventListener('click', () => eventHandlers.onRefreshLeaderboard?.());
   shareBtn?.addEventListener('click', () => eventHandlers.onShare?.());
   dailyBtn?.addEventListener('click', () => eventHandlers.onClaimDaily?.());
   
+  // Leaderboard board tabs
+  document.querySelectorAll('.leaderboard-tab[data-board]').forEach(tab => {
+    tab.addEventListener('click', () => eventHandlers.onSelectLeaderboard?.(tab.dataset.board));
+  });
+  document.querySelectorAll('.leaderboard-tab[data-view]').forEach(tab => {
+    tab.addEventListener('click', () => eventHandlers.onSelectLeaderboardView?.(tab.dataset.view));
+  });
+  
   // Onboarding events
   const onboardingStart = document.getElementById('onboarding-start');
   const onboardingSkip = document.getElementById('onboarding-skip');
@@ -209,6 +242,10 @@ function setupEventListeners() {
   const helpClose = document.getElementById('help-close');
   helpClose?.addEventListener('click', hideHelp);
   
+  // Achievements overlay events
+  const achievementsClose = document.getElementById('achievements-close');
+  achievementsClose?.addEventListener('click', hideAchievements);
+  
   // Toast events
   const errorClose = errorToast?.querySelector('.toast-close');
   const successClose = successToast?.querySelector('.toast-close');
@@ -224,6 +261,8 @@ function setupEventListeners() {
     if (e.key === 'Escape') {
       if (!helpOverlay?.classList.contains('hidden')) {
         hideHelp();
+      } else if (!achievementsOverlay?.classList.contains('hidden')) {
+        hideAchievements();
       } else if (!onboardingOverlay?.classList.contains('hidden')) {
         hideOnboarding();
       }
@@ -422,7 +461,12 @@ export function updateUI() {
   updateLeaderboard(leaderboard, user);
   
   // Update daily reward
-  updateDailyReward(state.dailyClaimed);
+  updateDailyReward(state.dailyReward);
+  
+  // Keep an open achievements screen current
+  if (achievementsOverlay && !achievementsOverlay.classList.contains('hidden')) {
+    renderAchievements();
+  }
   
   // Update error/success states
   if (error) {
@@ -510,7 +554,7 @@ function createPowerUpElement(id, powerUp) {
   powerUpEl.setAttribute('aria-describedby', `powerup-desc-${id}`);
   
   powerUpEl.innerHTML = `
-    <div class="powerup-icon">${getPowerUpIcon(id)}</div>
+    <div class="powerup-icon">${getPowerUp(id)?.icon ?? '⭐'}</div>
     <div class="powerup-name">${t(`powerups.${id}.name`)}</div>
     <div class="powerup-description" id="powerup-desc-${id}">
       ${t(`powerups.${id}.description`)}
@@ -532,34 +576,30 @@ function createPowerUpElement(id, powerUp) {
   return powerUpEl;
 }
 
-/**
- * Get power-up icon
- */
-function getPowerUpIcon(id) {
-  const icons = {
-    doublePoints: '⚡',
-    rapidFire: '🔥',
-    shield: '🛡️',
-    magnet: '🧲',
-    boost: '🚀'
-  };
-  
-  return icons[id] || '⭐';
-}
-
 /**
  * Update leaderboard display
  */
 function updateLeaderboard(leaderboard, currentUser) {
   if (!leaderboardList || !Array.isArray(leaderboard)) return;
   
+  // Mark the selected view and board tabs
+  const activeBoard = getActiveBoard();
+  const activeView = getActiveView();
+  document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+    const selected = tab.dataset.board ? tab.dataset.board === activeBoard : tab.dataset.view === activeView;
+    tab.classList.toggle('active', selected);
+    tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+  });
+  
   // Clear existing items
   leaderboardList.innerHTML = '';
   
-  // Add each leaderboard entry
+  // Add each leaderboard entry. Personal views start mid-board, so they
+  // carry their real ranks from the server.
   leaderboard.forEach((entry, index) => {
-    const isCurrentUser = currentUser && entry.id === currentUser.id;
-    const listItem = createLeaderboardItem(entry, index + 1, isCurrentUser);
+    const isCurrentUser = currentUser && entry.id === String(currentUser.id);
+    const rank = activeView === 'top' ? index + 1 : entry.rank || index + 1;
+    const listItem = createLeaderboardItem(entry, rank, isCurrentUser);
     leaderboardList.appendChild(listItem);
   });
   
@@ -567,8 +607,22 @@ function updateLeaderboard(leaderboard, currentUser) {
   if (leaderboard.length === 0) {
     const emptyItem = document.createElement('li');
     emptyItem.className = 'leaderboard-empty';
-    emptyItem.textContent = t('ui.leaderboardEmpty');
     emptyItem.setAttribute('role', 'status');
+    
+    if (activeView === 'friends') {
+      emptyItem.textContent = t('ui.leaderboardFriendsEmpty');
+      
+      const inviteBtn = document.createElement('button');
+      inviteBtn.className = 'btn btn-secondary leaderboard-invite';
+      inviteBtn.textContent = t('ui.inviteFriends');
+      inviteBtn.addEventListener('click', () => eventHandlers.onInviteFriends?.());
+      emptyItem.appendChild(inviteBtn);
+    } else if (activeView === 'around') {
+      emptyItem.textContent = t('ui.leaderboardAroundEmpty');
+    } else {
+      emptyItem.textContent = t('ui.leaderboardEmpty');
+    }
+    
     leaderboardList.appendChild(emptyItem);
   }
 }
@@ -613,15 +667,45 @@ function createLeaderboardItem(entry, rank, isCurrentUser) {
 }
 
 /**
- * Update daily reward section
+ * Update daily reward section from the server's status. Without one
+ * (outside Telegram, or offline) there is nothing to claim.
  */
-function updateDailyReward(dailyClaimed) {
+function updateDailyReward(status) {
   if (!dailyRewardSection) return;
   
-  if (dailyClaimed) {
+  if (!status) {
     dailyRewardSection.classList.add('hidden');
-  } else {
-    dailyRewardSection.classList.remove('hidden');
+    return;
+  }
+  dailyRewardSection.classList.remove('hidden');
+  
+  const amountEl = document.getElementById('daily-amount');
+  const streakEl = document.getElementById('daily-streak');
+  const calendarEl = document.getElementById('daily-calendar');
+  const dailyBtn = document.getElementById('daily-btn');
+  
+  if (amountEl) {
+    amountEl.textContent = status.canClaim
+      ? `+${formatNumber(status.nextReward)} ${t('ui.points')}`
+      : t('ui.dailyRewardTomorrow', { amount: formatNumber(status.nextReward) });
+  }
+  
+  if (streakEl) {
+    streakEl.textContent = t('ui.dailyStreak', { days: status.streak });
+  }
+  
+  if (calendarEl) {
+    calendarEl.innerHTML = status.calendar.map(day => `
+      <li class="daily-calendar-day ${day.state}" aria-current="${day.state === 'today' ? 'date' : 'false'}">
+        <span class="daily-calendar-label">${t('ui.dailyCalendarDay', { day: day.streak })}</span>
+        <span class="daily-calendar-reward">+${formatNumber(day.reward)}</span>
+      </li>
+    `).join('');
+  }
+  
+  if (dailyBtn) {
+    dailyBtn.disabled = !status.canClaim;
+    dailyBtn.textContent = status.canClaim ? t('ui.claimReward') : t('ui.dailyRewardClaimed');
   }
 }
 
@@ -690,6 +774,91 @@ export function hideHelp() {
   setTimeout(() => helpBtn?.focus(), 100);
 }
 
+/**
+ * Show achievements overlay
+ */
+export function showAchievements() {
+  if (!achievementsOverlay) return;
+  
+  renderAchievements();
+  achievementsOverlay.classList.remove('hidden');
+  
+  // Focus management
+  const closeButton = achievementsOverlay.querySelector('#achievements-close');
+  setTimeout(() => closeButton?.focus(), 100);
+}
+
+/**
+ * Hide achievements overlay
+ */
+export function hideAchievements() {
+  if (!achievementsOverlay) return;
+  
+  achievementsOverlay.classList.add('hidden');
+  
+  // Return focus to achievements button
+  const achievementsBtn = document.getElementById('achievements-btn');
+  setTimeout(() => achievementsBtn?.focus(), 100);
+}
+
+/**
+ * Render the achievement catalog with progress. Hidden achievements stay
+ * a mystery until unlocked.
+ */
+function renderAchievements() {
+  const list = document.getElementById('achievements-list');
+  const summary = document.getElementById('achievements-summary');
+  if (!list) return;
+  
+  const achievements = getAchievements();
+  const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+  
+  if (summary) {
+    summary.textContent = t('ui.achievementsUnlocked', { unlocked, total: achievements.length });
+  }
+  
+  list.innerHTML = achievements.map(achievement => {
+    const secret = achievement.hidden && !achievement.unlocked;
+    const { current, target } = achievement.progress;
+    const name = secret ? t('ui.achievementHidden') : t(`achievements.${achievement.id}.name`);
+    const description = secret
+      ? t('ui.achievementHiddenDescription')
+      : t(`achievements.${achievement.id}.description`);
+    
+    return `
+      <li class="achievement ${achievement.tier} ${achievement.unlocked ? 'unlocked' : 'locked'}">
+        <span class="achievement-icon" aria-hidden="true">${secret ? '❔' : achievement.icon}</span>
+        <div class="achievement-body">
+          <div class="achievement-name">
+            ${name}
+            <span class="achievement-tier">${t(`ui.achievementTiers.${achievement.tier}`)}</span>
+          </div>
+          <div class="achievement-description">${description}</div>
+          ${secret ? '' : `
+            <div class="achievement-progress" role="progressbar"
+                 aria-valuemin="0" aria-valuemax="${target}" aria-valuenow="${current}">
+              <div class="achievement-progress-fill" style="width: ${Math.floor((current / target) * 100)}%"></div>
+            </div>
+            <div class="achievement-progress-label">${formatAchievementProgress(achievement)}</div>
+          `}
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * "current / target", with play time in minutes
+ */
+function formatAchievementProgress(achievement) {
+  const { current, target } = achievement.progress;
+  if (achievement.stat === 'playTime') {
+    const minutes = ms => Math.floor(ms / 60000);
+    return `${minutes(current)} / ${minutes(target)} ${t('time.minutes')}`;
+  }
+  return `${formatNumber(current)} / ${formatNumber(target)}`;
+}
+
 /**
  * Show error toast
  */
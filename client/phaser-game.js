@@ -4,19 +4,62 @@
  * Enhanced game implementation with physics and visual effects
  */
 
-import { initMultiplayer, sendMovement, sendSlap, getMultiplayerState } from './modules/multiplayer.js';
+import { initMultiplayer, sendMovement, sendSlap, sendPowerUp, getPowerUpCooldownRemaining, getZoneCircle, getZoneShrinkIn, getTeamScores, getMultiplayerState, createPrivateRoom, shareInvite, startRound, getPhaseTimeRemaining, getNetworkStats } from './modules/multiplayer.js';
+import { InputPredictor, InterpolationBuffer, INTERPOLATION_DELAY_MS } from './modules/netcode.js';
+import { fetchReplay } from './modules/replays-api.js';
 import { logInfo, logError } from './modules/testing.js';
+import { DEFAULT_MAP_ID, getMap, mapBounds, moveWithCollision, speedMultiplierAt, blocksLineOfSight } from '@shared/maps';
+import { POWER_UPS, getPowerUp } from '@shared/powerups';
+import { isInsideZone } from '@shared/zone';
+import { getTeam, isTeammate } from '@shared/teams';
 
-class GameScene extends Phaser.Scene {
-  constructor() {
-    super({ key: 'GameScene' });
+// Server corrections further off than this snap instantly instead of easing
+const CORRECTION_SNAP_DISTANCE = 60;
+// Fraction of the remaining prediction error removed each frame
+const CORRECTION_BLEND = 0.3;
+// Number keys reach this many power-ups, in POWER_UPS order
+const POWER_UP_SLOTS = Math.min(POWER_UPS.length, 9);
+// Innermost aura ring, and the gap between rings when effects stack
+const AURA_RADIUS = 28;
+const AURA_SPACING = 6;
+
+// Points on the drawn zone circle
+const ZONE_SEGMENTS = 64;
+// The zone warning turns red this close to a shrink
+const ZONE_WARNING_MS = 5000;
+
+// How each pickup kind is drawn; crates use their power-up's icon and color
+const PICKUP_STYLES = {
+  gas: { icon: '⛽', color: 0x00bcd4 },
+  health: { icon: '❤️', color: 0x4caf50 },
+  score: { icon: '💎', color: 0xffd60a },
+  powerUp: { icon: '🎁', color: 0xffffff }
+};
+
+/**
+ * The arena: renders the room's map and players and turns keyboard and
+ * touch input into multiplayer messages. The replay viewer
+ * (replay-viewer.js) reuses it under its own key.
+ */
+export class GameScene extends Phaser.Scene {
+  constructor(key = 'GameScene') {
+    super({ key });
     this.players = {};
+    // Pickup display objects by pickup id
+    this.pickups = {};
     this.localPlayer = null;
     this.cursors = null;
     this.slapKey = null;
     this.gameWidth = 800;
     this.gameHeight = 600;
     this.slapRange = 80;
+    this.roundPhase = 'waiting';
+    // Replaced by the room's map on init and whenever the room rotates maps
+    this.map = getMap(DEFAULT_MAP_ID);
+    this.mapLayer = null;
+    this.predictor = new InputPredictor(this.map);
+    this.correction = { x: 0, y: 0 };
+    this.showNetDebug = false;
   }
 
   preload() {
@@ -31,6 +74,12 @@ class GameScene extends Phaser.Scene {
       .fillRect(0, 0, 40, 40)
       .generateTexture('opponent', 40, 40);
     
+    // Tinted with each player's team color in rooms with teams
+    this.add.graphics()
+      .fillStyle(0xffffff)
+      .fillRect(0, 0, 40, 40)
+      .generateTexture('team-player', 40, 40);
+    
     this.add.graphics()
       .fillStyle(0x4caf50)
       .fillCircle(20, 20, 15)
@@ -42,20 +91,18 @@ class GameScene extends Phaser.Scene {
   }
 
   create() {
-    // Set world bounds
-    this.physics.world.setBounds(0, 0, this.gameWidth, this.gameHeight);
-    
-    // Create background
-    this.add.rectangle(this.gameWidth/2, this.gameHeight/2, this.gameWidth, this.gameHeight, 0x2d3748);
-    
-    // Add arena boundary
-    this.add.graphics()
-      .lineStyle(4, 0x00ff88)
-      .strokeRoundedRect(20, 20, this.gameWidth - 40, this.gameHeight - 40, 10);
+    // World bounds, background and obstacles all come from the map
+    this.applyMap(this.map.id);
     
     // Create controls
     this.cursors = this.input.keyboard.createCursorKeys();
     this.slapKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+    this.inviteKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.I);
+    this.startKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ENTER);
+    this.debugKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.F3);
+    this.replayKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
+    this.powerUpKeys = POWER_UPS.slice(0, POWER_UP_SLOTS)
+      .map((powerUp, index) => this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ONE + index));
     
     // Mobile touch controls
     this.setupMobileControls();
@@ -69,6 +116,55 @@ class GameScene extends Phaser.Scene {
     logInfo('🎮 Phaser 3 game initialized');
   }
 
+  /**
+   * Switch to a map from shared/maps.ts, redrawing it and pointing
+   * prediction and interpolation at its layout
+   */
+  applyMap(mapId) {
+    const map = getMap(mapId) || getMap(DEFAULT_MAP_ID);
+    if (map === this.map && this.mapLayer) return;
+    
+    this.map = map;
+    this.predictor.map = map;
+    this.physics.world.setBounds(0, 0, map.width, map.height);
+    Object.values(this.players).forEach(player => {
+      if (player.buffer) player.buffer.bounds = mapBounds(map);
+    });
+    this.drawMap();
+  }
+
+  drawMap() {
+    if (this.mapLayer) this.mapLayer.destroy();
+    
+    const { width, height, walls, cover, slowZones, hazards } = this.map;
+    const layer = this.add.graphics().setDepth(-1);
+    
+    layer.fillStyle(0x2d3748).fillRect(0, 0, width, height);
+    
+    // Mud slows you down, lava hurts
+    slowZones.forEach(zone => {
+      layer.fillStyle(0x8b5a2b, 0.35).fillRect(zone.x, zone.y, zone.width, zone.height);
+    });
+    hazards.forEach(hazard => {
+      layer.fillStyle(0xff4500, 0.5).fillRect(hazard.x, hazard.y, hazard.width, hazard.height);
+      layer.lineStyle(2, 0xffa500).strokeRect(hazard.x, hazard.y, hazard.width, hazard.height);
+    });
+    
+    // Cover can be walked through, walls cannot; both stop slaps
+    cover.forEach(area => {
+      layer.fillStyle(0x2f855a, 0.7).fillRect(area.x, area.y, area.width, area.height);
+    });
+    walls.forEach(wall => {
+      layer.fillStyle(0x718096).fillRect(wall.x, wall.y, wall.width, wall.height);
+      layer.lineStyle(2, 0xa0aec0).strokeRect(wall.x, wall.y, wall.width, wall.height);
+    });
+    
+    // Arena boundary
+    layer.lineStyle(4, 0x00ff88).strokeRoundedRect(2, 2, width - 4, height - 4, 10);
+    
+    this.mapLayer = layer;
+  }
+
   setupMobileControls() {
     // Add invisible touch zones for mobile
     const moveZone = this.add.zone(0, 0, this.gameWidth, this.gameHeight);
@@ -133,8 +229,27 @@ class GameScene extends Phaser.Scene {
     
     switch (type) {
       case 'init':
+        this.applyMap(data.room.mapId);
         this.setupLocalPlayer(playerId);
         this.updateAllPlayers(players);
+        this.syncPositions(players);
+        this.clearAuras();
+        data.powerUps.forEach(({ id, powerUpId }) => this.showAura(id, powerUpId));
+        this.clearPickups();
+        data.pickups.forEach(pickup => this.spawnPickup(pickup));
+        this.updateRoomInfo();
+        this.showPhase(data.round);
+        break;
+        
+      case 'phaseChanged':
+        this.showPhase(data);
+        this.updateRoomInfo();
+        break;
+        
+      case 'inviteCreated':
+      case 'ownerChanged':
+      case 'replaySaved':
+        this.updateRoomInfo();
         break;
         
       case 'playerJoined':
@@ -145,12 +260,31 @@ class GameScene extends Phaser.Scene {
         this.removePlayer(data.id);
         break;
         
+      case 'snapshot':
+        this.applySnapshot(players, data.ack);
+        break;
+        
       case 'playerMoved':
-        this.updatePlayerPosition(data.id, data.x, data.y);
+        if (data.id === this.localPlayerId) {
+          this.reconcileLocalPosition(data.x, data.y, data.seq);
+        } else {
+          this.updatePlayerPosition(data.id, data.x, data.y);
+        }
+        break;
+        
+      case 'positionCorrection':
+        this.reconcileLocalPosition(data.x, data.y, data.seq);
         break;
         
       case 'playerHit':
         this.showHitEffect(data.id, data.attacker, data.damage);
+        if (this.showNetDebug) {
+          logInfo(`Hit ${data.attacker} → ${data.id}: ${data.distance}px after ${data.rewindMs}ms rewind`);
+        }
+        break;
+        
+      case 'hazardHit':
+        this.showHitEffect(data.id, null, data.damage);
         break;
         
       case 'playerDied':
@@ -158,7 +292,29 @@ class GameScene extends Phaser.Scene {
         break;
         
       case 'gameReset':
+        this.applyMap(data.mapId);
         this.resetGame(players);
+        this.updateRoomInfo();
+        break;
+        
+      case 'powerUpActivated':
+        this.showAura(data.id, data.powerUpId);
+        break;
+        
+      case 'powerUpExpired':
+        this.hideAura(data.id, data.powerUpId);
+        break;
+        
+      case 'pickupSpawned':
+        this.spawnPickup(data.pickup);
+        break;
+        
+      case 'pickupCollected':
+        this.collectPickup(data);
+        break;
+        
+      case 'pickupExpired':
+        this.despawnPickup(data.id);
         break;
     }
   }
@@ -206,24 +362,51 @@ class GameScene extends Phaser.Scene {
     // Create container for UI elements
     const container = this.add.container(0, 0, [nameText, healthBarBg, healthBar, gasBarBg, gasBar]);
     
+    // Remote players render from a snapshot timeline rather than raw updates
+    const buffer = isLocal ? null : new InterpolationBuffer(mapBounds(this.map));
+    if (buffer) buffer.reset(performance.now(), playerData.x, playerData.y);
+    
     this.players[playerData.id] = {
       sprite,
       container,
       nameText,
       healthBar,
+      gasBarBg,
       gasBar,
+      buffer,
+      // Power-up auras by power-up id
+      auras: new Map(),
       data: playerData,
       isLocal
     };
     
+    this.applyTeamStyle(this.players[playerData.id]);
+    
     // Update container position
     this.updatePlayerUI(playerData.id);
   }
 
+  /**
+   * Color a player's sprite and name by team; in rooms without teams players
+   * keep the plain local/opponent textures
+   */
+  applyTeamStyle(player) {
+    const team = getTeam(player.data.team);
+    player.team = player.data.team;
+    player.baseTint = team ? Phaser.Display.Color.HexStringToColor(team.color).color : 0xffffff;
+    player.sprite.setTexture(team ? 'team-player' : (player.isLocal ? 'player' : 'opponent'));
+    player.sprite.setDisplaySize(40, 40);
+    player.sprite.setTint(player.baseTint);
+    const marker = team && player.isLocal ? '▶ ' : player.data.bot ? '🤖 ' : '';
+    player.nameText.setText(`${marker}P${player.data.id}`);
+    player.nameText.setColor(team ? team.color : '#ffffff');
+  }
+
   removePlayer(playerId) {
     if (!this.players[playerId]) return;
     
     const player = this.players[playerId];
+    this.clearAuras(playerId);
     player.sprite.destroy();
     player.container.destroy();
     delete this.players[playerId];
@@ -252,6 +435,8 @@ class GameScene extends Phaser.Scene {
     
     const player = this.players[playerId];
     player.data = playerData;
+    // Teams are rebalanced between rounds
+    if (playerData.team !== player.team) this.applyTeamStyle(player);
     
     // Update health bar
     const healthPercent = playerData.health / 100;
@@ -267,40 +452,185 @@ class GameScene extends Phaser.Scene {
     this.updatePlayerUI(playerId);
   }
 
+  /**
+   * Feed a reconstructed snapshot into prediction (local player, using the
+   * input ack) and interpolation (everyone else)
+   */
+  applySnapshot(playersData, ack) {
+    Object.values(playersData).forEach(playerData => {
+      if (playerData.id === this.localPlayerId) {
+        if (ack !== undefined) this.reconcileLocalPosition(playerData.x, playerData.y, ack);
+      } else {
+        this.updatePlayerPosition(playerData.id, playerData.x, playerData.y);
+      }
+      this.updatePlayer(playerData.id, playerData);
+    });
+  }
+
+  /**
+   * Jump every sprite to the server's positions, dropping any prediction or
+   * interpolation state (full state after joining or resuming)
+   */
+  syncPositions(playersData) {
+    const now = performance.now();
+    Object.values(playersData).forEach(playerData => {
+      const player = this.players[playerData.id];
+      if (!player) return;
+      player.sprite.setPosition(playerData.x, playerData.y);
+      player.buffer?.reset(now, playerData.x, playerData.y);
+    });
+    
+    this.predictor.reset();
+    this.correction = { x: 0, y: 0 };
+  }
+
   updatePlayerPosition(playerId, x, y) {
+    // The local sprite is predicted; the server steers it through reconcileLocalPosition
     if (!this.players[playerId] || playerId === this.localPlayerId) return;
     
     const player = this.players[playerId];
+    player.buffer?.push(performance.now(), x, y);
+  }
+
+  reconcileLocalPosition(x, y, seq) {
+    if (!this.localPlayer) return;
     
-    // Smooth movement for remote players
-    this.tweens.add({
-      targets: player.sprite,
-      x: x,
-      y: y,
-      duration: 100,
-      ease: 'Power2'
+    // Server position for `seq` plus every input it has not seen yet
+    const predicted = this.predictor.reconcile(seq, x, y);
+    if (!predicted) return;
+    
+    const sprite = this.localPlayer.sprite;
+    const errorX = predicted.x - sprite.x;
+    const errorY = predicted.y - sprite.y;
+    const error = Math.sqrt(errorX * errorX + errorY * errorY);
+    
+    if (error > CORRECTION_SNAP_DISTANCE) {
+      sprite.setPosition(predicted.x, predicted.y);
+      this.correction = { x: 0, y: 0 };
+    } else if (error >= 1) {
+      // Small mispredictions are blended out over the next few frames
+      this.correction = { x: errorX, y: errorY };
+    }
+  }
+
+  applyCorrection() {
+    if (!this.localPlayer || (this.correction.x === 0 && this.correction.y === 0)) return;
+    
+    const stepX = this.correction.x * CORRECTION_BLEND;
+    const stepY = this.correction.y * CORRECTION_BLEND;
+    this.localPlayer.sprite.x += stepX;
+    this.localPlayer.sprite.y += stepY;
+    this.correction.x -= stepX;
+    this.correction.y -= stepY;
+    
+    if (Math.abs(this.correction.x) < 0.5 && Math.abs(this.correction.y) < 0.5) {
+      this.correction = { x: 0, y: 0 };
+    }
+  }
+
+  interpolateRemotePlayers() {
+    const renderTime = performance.now() - INTERPOLATION_DELAY_MS;
+    
+    Object.values(this.players).forEach(player => {
+      if (!player.buffer) return;
+      const position = player.buffer.sample(renderTime);
+      if (position) player.sprite.setPosition(position.x, position.y);
     });
   }
 
+  updateNetDebug() {
+    if (Phaser.Input.Keyboard.JustDown(this.debugKey)) {
+      this.showNetDebug = !this.showNetDebug;
+      this.netDebugText.setVisible(this.showNetDebug);
+    }
+    if (!this.showNetDebug) return;
+    
+    const renderTime = performance.now() - INTERPOLATION_DELAY_MS;
+    const buffers = Object.values(this.players).filter(player => player.buffer).map(player => player.buffer);
+    const depth = buffers.length
+      ? buffers.reduce((sum, buffer) => sum + buffer.depth(renderTime), 0) / buffers.length
+      : 0;
+    const extrapolating = buffers.filter(buffer => buffer.extrapolating).length;
+    const { rtt } = getNetworkStats();
+    
+    this.netDebugText.setText([
+      `RTT: ${rtt === null ? '--' : rtt} ms`,
+      `Interp delay: ${INTERPOLATION_DELAY_MS} ms`,
+      `Buffer depth: ${depth.toFixed(1)} snapshots`,
+      `Extrapolating: ${extrapolating}/${buffers.length}`,
+      `Pending inputs: ${this.predictor.pendingCount}`
+    ].join('\n'));
+  }
+
   updatePlayerUI(playerId) {
     if (!this.players[playerId]) return;
     
     const player = this.players[playerId];
     player.container.x = player.sprite.x;
     player.container.y = player.sprite.y;
+    player.auras.forEach(aura => aura.setPosition(player.sprite.x, player.sprite.y));
+  }
+
+  /**
+   * Pulsing ring in the power-up's color; stacked effects get wider rings
+   */
+  showAura(playerId, powerUpId) {
+    const player = this.players[playerId];
+    const definition = getPowerUp(powerUpId);
+    if (!player || !definition || player.auras.has(powerUpId)) return;
+    
+    const color = Phaser.Display.Color.HexStringToColor(definition.color).color;
+    const radius = AURA_RADIUS + player.auras.size * AURA_SPACING;
+    const aura = this.add.circle(player.sprite.x, player.sprite.y, radius)
+      .setStrokeStyle(3, color, 0.9);
+    
+    this.tweens.add({
+      targets: aura,
+      scale: 1.15,
+      alpha: 0.4,
+      duration: 600,
+      yoyo: true,
+      repeat: -1
+    });
+    
+    player.auras.set(powerUpId, aura);
+  }
+
+  hideAura(playerId, powerUpId) {
+    const aura = this.players[playerId]?.auras.get(powerUpId);
+    if (!aura) return;
+    
+    this.tweens.killTweensOf(aura);
+    aura.destroy();
+    this.players[playerId].auras.delete(powerUpId);
+  }
+
+  /**
+   * Remove one player's auras, or everyone's when no id is given
+   */
+  clearAuras(playerId = null) {
+    const ids = playerId === null ? Object.keys(this.players).map(Number) : [playerId];
+    ids.forEach(id => {
+      Array.from(this.players[id]?.auras.keys() || []).forEach(powerUpId => this.hideAura(id, powerUpId));
+    });
   }
 
   movePlayer(deltaX, deltaY) {
     if (!this.localPlayer) return;
     
     const sprite = this.localPlayer.sprite;
-    const newX = Phaser.Math.Clamp(sprite.x + deltaX, 40, this.gameWidth - 40);
-    const newY = Phaser.Math.Clamp(sprite.y + deltaY, 40, this.gameHeight - 40);
+    // Same slow zones, walls and bounds the server enforces, so legal moves
+    // are never corrected
+    const slow = speedMultiplierAt(this.map, sprite.x, sprite.y);
+    const stepX = deltaX * slow;
+    const stepY = deltaY * slow;
+    const { x: newX, y: newY } = moveWithCollision(this.map, sprite, sprite.x + stepX, sprite.y + stepY);
     
+    // Predict locally, then remember the input until the server acknowledges it
     sprite.setPosition(newX, newY);
     
-    // Send position to server
-    sendMovement(newX, newY);
+    const seq = sendMovement(newX, newY);
+    this.predictor.record(seq, stepX, stepY);
   }
 
   performSlap() {
@@ -311,8 +641,13 @@ class GameScene extends Phaser.Scene {
     let nearestTarget = null;
     let nearestDistance = Infinity;
     
+    const { room } = getMultiplayerState();
     Object.values(this.players).forEach(player => {
       if (player.isLocal || !player.data.alive) return;
+      // Teammates are only worth aiming at when friendly fire is on
+      if (isTeammate(this.localPlayer.data, player.data) && !room?.teams?.friendlyFire) return;
+      // The server refuses slaps through walls and cover
+      if (blocksLineOfSight(this.map, mySprite.x, mySprite.y, player.sprite.x, player.sprite.y)) return;
       
       const distance = Phaser.Math.Distance.Between(
         mySprite.x, mySprite.y,
@@ -382,6 +717,110 @@ class GameScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Draw a pickup popping into the arena, then bobbing in place
+   */
+  spawnPickup(pickup) {
+    if (this.pickups[pickup.id]) return;
+    
+    const style = PICKUP_STYLES[pickup.kind];
+    const powerUp = pickup.kind === 'powerUp' ? getPowerUp(pickup.powerUpId) : null;
+    const color = powerUp ? Phaser.Display.Color.HexStringToColor(powerUp.color).color : style.color;
+    
+    const glow = this.add.circle(0, 0, 14, color, 0.35).setStrokeStyle(2, color);
+    const icon = this.add.text(0, 0, powerUp ? powerUp.icon : style.icon, {
+      fontSize: '16px'
+    }).setOrigin(0.5);
+    const item = this.add.container(pickup.x, pickup.y, [glow, icon]).setScale(0);
+    
+    this.tweens.add({
+      targets: item,
+      scale: 1,
+      duration: 300,
+      ease: 'Back.easeOut',
+      onComplete: () => {
+        this.tweens.add({
+          targets: item,
+          y: pickup.y - 4,
+          duration: 800,
+          yoyo: true,
+          repeat: -1,
+          ease: 'Sine.easeInOut'
+        });
+      }
+    });
+    
+    this.pickups[pickup.id] = item;
+  }
+
+  /**
+   * Pull the pickup into whoever collected it and show what they gained
+   */
+  collectPickup({ id, playerId, kind, amount, powerUpId }) {
+    const item = this.takePickup(id);
+    const collector = this.players[playerId]?.sprite;
+    if (!item) return;
+    
+    this.tweens.add({
+      targets: item,
+      x: collector ? collector.x : item.x,
+      y: collector ? collector.y : item.y,
+      scale: 0.3,
+      alpha: 0,
+      duration: 200,
+      onComplete: () => item.destroy()
+    });
+    
+    if (!collector) return;
+    const label = kind === 'powerUp'
+      ? getPowerUp(powerUpId)?.icon || PICKUP_STYLES.powerUp.icon
+      : `+${amount} ${PICKUP_STYLES[kind].icon}`;
+    const gainText = this.add.text(collector.x, collector.y - 20, label, {
+      fontSize: '14px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 2
+    }).setOrigin(0.5);
+    
+    this.tweens.add({
+      targets: gainText,
+      y: collector.y - 50,
+      alpha: 0,
+      duration: 1000,
+      onComplete: () => gainText.destroy()
+    });
+  }
+
+  /**
+   * Fade out a pickup nobody collected
+   */
+  despawnPickup(id) {
+    const item = this.takePickup(id);
+    if (!item) return;
+    
+    this.tweens.add({
+      targets: item,
+      scale: 0,
+      alpha: 0,
+      duration: 300,
+      onComplete: () => item.destroy()
+    });
+  }
+
+  clearPickups() {
+    Object.keys(this.pickups).forEach(id => this.takePickup(id)?.destroy());
+  }
+
+  // Forget a pickup and stop its bobbing, leaving the object for an exit effect
+  takePickup(id) {
+    const item = this.pickups[id];
+    if (!item) return null;
+    
+    delete this.pickups[id];
+    this.tweens.killTweensOf(item);
+    return item;
+  }
+
   showHitEffect(targetId, attackerId, damage) {
     if (!this.players[targetId]) return;
     
@@ -393,8 +832,8 @@ class GameScene extends Phaser.Scene {
       this.cameras.main.shake(200, 0.02);
     }
     
-    // Damage number
-    const damageText = this.add.text(sprite.x, sprite.y - 20, `-${damage}`, {
+    // Damage number, or a shield when a power-up absorbed the hit
+    const damageText = this.add.text(sprite.x, sprite.y - 20, damage > 0 ? `-${damage}` : '🛡️', {
       fontSize: '18px',
       fill: '#ff3366',
       stroke: '#000000',
@@ -415,7 +854,7 @@ class GameScene extends Phaser.Scene {
       tint: 0xff3366,
       duration: 100,
       yoyo: true,
-      onComplete: () => sprite.setTint(0xffffff)
+      onComplete: () => sprite.setTint(targetPlayer.baseTint)
     });
   }
 
@@ -456,26 +895,192 @@ class GameScene extends Phaser.Scene {
         player.sprite.setPosition(playerData.x, playerData.y);
         player.sprite.setScale(1);
         player.sprite.setAlpha(1);
-        player.sprite.setTint(0xffffff);
+        player.sprite.setTint(player.baseTint);
+        player.buffer?.reset(performance.now(), playerData.x, playerData.y);
         this.updatePlayer(playerData.id, playerData);
       }
     });
     
-    // Show reset message
-    const resetText = this.add.text(this.gameWidth/2, this.gameHeight/2, 'GAME RESET!', {
-      fontSize: '32px',
-      fill: '#00ff88',
+    // Power-ups and pickups end with the round
+    this.clearAuras();
+    this.clearPickups();
+    
+    // Server teleported everyone; queued inputs no longer apply
+    this.predictor.reset();
+    this.correction = { x: 0, y: 0 };
+  }
+
+  showPhase(roundState) {
+    if (!roundState) return;
+    
+    this.roundPhase = roundState.phase;
+    this.hideResults();
+    
+    switch (roundState.phase) {
+      case 'waiting':
+        this.phaseText.setText(`Waiting for players (${roundState.minPlayers} needed)`).setFontSize(20).setVisible(true);
+        break;
+      case 'countdown':
+        this.phaseText.setFontSize(64).setVisible(true);
+        break;
+      case 'active':
+        this.flashBanner('FIGHT!', '#00ff88');
+        this.phaseText.setVisible(false);
+        break;
+      case 'sudden_death':
+        this.flashBanner('SUDDEN DEATH!', '#ff3366');
+        this.phaseText.setVisible(false);
+        break;
+      case 'results':
+        this.phaseText.setVisible(false);
+        this.showResults(roundState.results || [], roundState.teamResults);
+        break;
+      case 'intermission':
+        this.phaseText.setText('Next round soon...').setFontSize(20).setVisible(true);
+        break;
+    }
+  }
+
+  flashBanner(message, color) {
+    const banner = this.add.text(this.gameWidth/2, this.gameHeight/2, message, {
+      fontSize: '40px',
+      fill: color,
       stroke: '#000000',
-      strokeThickness: 3
-    }).setOrigin(0.5);
+      strokeThickness: 4
+    }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
     
     this.tweens.add({
-      targets: resetText,
+      targets: banner,
       scale: 1.5,
       alpha: 0,
-      duration: 2000,
-      onComplete: () => resetText.destroy()
+      duration: 1500,
+      onComplete: () => banner.destroy()
+    });
+  }
+
+  showResults(results, teamResults = [], mode = getMultiplayerState().room?.mode) {
+    const playerId = this.localPlayerId;
+    const battleRoyale = mode === 'battleRoyale';
+    // Rooms with teams lead with the team standings
+    const teamRows = teamResults.map(result => {
+      const team = getTeam(result.team);
+      return `#${result.rank}  ${team?.name ?? `Team ${result.team + 1}`}  ${result.score}${result.rank === 1 ? '  🏆' : ''}`;
     });
+    if (teamRows.length > 0) teamRows.push('');
+    const rows = teamRows.concat(results.slice(0, 8).map(result => {
+      const name = result.name || `P${result.id}`;
+      const marker = result.id === playerId ? '▶ ' : '  ';
+      // Battle royale places by survival, so show how long each player lasted
+      return battleRoyale
+        ? `${marker}#${result.rank}  ${name}  ${formatDuration(result.survivedMs ?? 0)}${result.rank === 1 ? '  🏆' : ''}`
+        : `${marker}#${result.rank}  ${name}  ${result.score}${result.alive ? '  🏆' : ''}`;
+    }));
+    
+    const panel = this.add.rectangle(this.gameWidth/2, this.gameHeight/2, 360, 80 + rows.length * 24, 0x000000, 0.85)
+      .setStrokeStyle(2, 0x00ff88);
+    const heading = battleRoyale ? 'FINAL PLACEMENT' : teamRows.length > 0 ? 'TEAM RESULTS' : 'ROUND RESULTS';
+    const title = this.add.text(this.gameWidth/2, this.gameHeight/2 - panel.height/2 + 24, heading, {
+      fontSize: '22px',
+      fill: '#00ff88'
+    }).setOrigin(0.5);
+    const body = this.add.text(this.gameWidth/2, title.y + 24, rows.join('\n'), {
+      fontSize: '16px',
+      fill: '#ffffff',
+      lineSpacing: 6
+    }).setOrigin(0.5, 0);
+    
+    this.resultsPanel = this.add.container(0, 0, [panel, title, body])
+      .setScrollFactor(0)
+      .setDepth(1000);
+  }
+
+  hideResults() {
+    if (this.resultsPanel) {
+      this.resultsPanel.destroy();
+      this.resultsPanel = null;
+    }
+  }
+
+  updatePhaseTimer() {
+    const remaining = getPhaseTimeRemaining();
+    
+    if (this.roundPhase === 'countdown' && remaining !== null) {
+      this.phaseText.setText(String(Math.max(1, Math.ceil(remaining / 1000))));
+    }
+    
+    const timed = this.roundPhase === 'active' || this.roundPhase === 'sudden_death';
+    if (timed && remaining !== null) {
+      this.timerText.setText(formatDuration(remaining)).setColor(this.roundPhase === 'sudden_death' ? '#ff3366' : '#ffffff');
+    } else {
+      this.timerText.setText('');
+    }
+  }
+
+  /**
+   * Shade everything outside the battle-royale zone, outline where it is
+   * closing to, and keep the warning line above the timer up to date
+   */
+  updateZone() {
+    const circle = getZoneCircle();
+    this.zoneGraphics.clear();
+    if (!circle) {
+      this.zoneText.setText('');
+      return;
+    }
+    
+    const { zone } = getMultiplayerState();
+    this.drawZone(circle, zone.to);
+    
+    const shrinkIn = getZoneShrinkIn();
+    let label = '';
+    if (shrinkIn > 0) label = `Zone shrinks in ${Math.ceil(shrinkIn / 1000)}s`;
+    else if (circle.radius > zone.to.radius) label = 'Zone shrinking!';
+    else if (zone.stage === zone.stages - 1) label = 'Zone closed';
+    
+    const me = this.localPlayer;
+    const outside = me && me.data.alive && !isInsideZone(circle, me.sprite.x, me.sprite.y);
+    if (outside) label = `OUTSIDE THE ZONE! ${label}`;
+    
+    const urgent = outside || (shrinkIn > 0 && shrinkIn <= ZONE_WARNING_MS);
+    this.zoneText.setText(label ? `⚠ ${label}` : '').setColor(urgent ? '#ff3366' : '#ffb703');
+  }
+
+  // `circle` as it stands now, and the outline of `to` while closing on it
+  drawZone(circle, to) {
+    this.zoneGraphics.fillStyle(0x6b21a8, 0.3).fillPoints(this.zoneOutline(circle), true);
+    this.zoneGraphics.lineStyle(3, 0xc084fc).strokeCircle(circle.x, circle.y, circle.radius);
+    if (to.radius < circle.radius) {
+      this.zoneGraphics.lineStyle(2, 0xffffff, 0.6).strokeCircle(to.x, to.y, to.radius);
+    }
+  }
+
+  /**
+   * The area outside `circle` as a single polygon: a box well beyond the
+   * map, joined by a seam to the circle traced the opposite way round
+   */
+  zoneOutline(circle) {
+    const reach = Math.hypot(this.map.width, this.map.height);
+    const left = -reach;
+    const top = -reach;
+    const right = this.map.width + reach;
+    const bottom = this.map.height + reach;
+    
+    const points = [
+      { x: right, y: circle.y },
+      { x: right, y: top },
+      { x: left, y: top },
+      { x: left, y: bottom },
+      { x: right, y: bottom },
+      { x: right, y: circle.y }
+    ];
+    for (let i = 0; i <= ZONE_SEGMENTS; i++) {
+      const angle = (i / ZONE_SEGMENTS) * Math.PI * 2;
+      points.push({
+        x: circle.x + Math.cos(angle) * circle.radius,
+        y: circle.y + Math.sin(angle) * circle.radius
+      });
+    }
+    return points;
   }
 
   createUI() {
@@ -484,11 +1089,149 @@ class GameScene extends Phaser.Scene {
     uiPanel.setOrigin(0, 0);
     
     // Instructions text
-    this.add.text(20, 20, 'Arrow Keys: Move\nSpace: Slap\nDouble Tap: Slap (Mobile)', {
+    this.add.text(20, 20, `Arrow Keys: Move\nSpace: Slap\n1-${POWER_UP_SLOTS}: Power-ups\nDouble Tap: Slap (Mobile)`, {
       fontSize: '12px',
       fill: '#ffffff',
       lineSpacing: 4
     });
+    
+    // Room name, invite code and owner hints
+    this.roomText = this.add.text(this.gameWidth - 20, 20, '', {
+      fontSize: '12px',
+      fill: '#00ff88',
+      align: 'right',
+      lineSpacing: 4
+    }).setOrigin(1, 0);
+    
+    // Round phase overlay and timer
+    this.phaseText = this.add.text(this.gameWidth/2, this.gameHeight/2, '', {
+      fontSize: '20px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+    
+    this.timerText = this.add.text(this.gameWidth/2, 20, '', {
+      fontSize: '20px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(1000);
+    
+    // Battle-royale zone, drawn over the players it is hurting, and its warning
+    this.zoneGraphics = this.add.graphics().setDepth(1);
+    this.zoneText = this.add.text(this.gameWidth/2, 48, '', {
+      fontSize: '16px',
+      fill: '#ffb703',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(1000);
+    
+    // Live team scores in rooms with teams, under the zone warning
+    this.teamText = this.add.text(this.gameWidth/2, 72, '', {
+      fontSize: '16px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(1000);
+    
+    // Power-up bar; each slot shows its key and any cooldown, and can be tapped
+    this.powerUpSlots = POWER_UPS.slice(0, POWER_UP_SLOTS).map((powerUp, index) =>
+      this.add.text(20 + index * 72, this.gameHeight - 20, '', {
+        fontSize: '16px',
+        fill: '#ffffff',
+        backgroundColor: 'rgba(0,0,0,0.7)',
+        padding: { x: 6, y: 4 }
+      }).setOrigin(0, 1).setScrollFactor(0).setDepth(1000)
+        .setInteractive()
+        .on('pointerdown', () => sendPowerUp(powerUp.id))
+    );
+    
+    // Network debug overlay (F3)
+    this.netDebugText = this.add.text(20, 100, '', {
+      fontSize: '11px',
+      fill: '#00ff88',
+      backgroundColor: 'rgba(0,0,0,0.7)',
+      padding: { x: 6, y: 4 },
+      lineSpacing: 2
+    }).setScrollFactor(0).setDepth(1000).setVisible(false);
+  }
+
+  updateRoomInfo() {
+    if (!this.roomText) return;
+    
+    const { room, inviteCode, isOwner, lastReplay } = getMultiplayerState();
+    const lines = [`${room ? room.name : 'Arena'} · ${this.map.name}`];
+    
+    if (inviteCode) {
+      lines.push(`Invite: ${inviteCode} (I: Share)`);
+    } else {
+      lines.push('I: Create Private Match');
+    }
+    
+    if (isOwner) {
+      lines.push('Enter: Start Round');
+    }
+    
+    if (lastReplay) {
+      lines.push(`R: Watch Round ${lastReplay.round} Replay`);
+    }
+    
+    this.roomText.setText(lines.join('\n'));
+  }
+
+  handleRoomKeys() {
+    if (Phaser.Input.Keyboard.JustDown(this.inviteKey)) {
+      if (!shareInvite()) {
+        createPrivateRoom();
+      }
+    }
+    
+    if (Phaser.Input.Keyboard.JustDown(this.startKey) && getMultiplayerState().isOwner) {
+      startRound();
+    }
+    
+    if (Phaser.Input.Keyboard.JustDown(this.replayKey)) {
+      this.watchReplay();
+    }
+  }
+
+  /**
+   * Fetch the newest recorded round and open it in the replay viewer,
+   * putting the arena to sleep until the viewer closes. Multiplayer keeps
+   * running underneath, so the arena is up to date when it wakes.
+   */
+  watchReplay() {
+    const { lastReplay } = getMultiplayerState();
+    if (!lastReplay || this.loadingReplay) return;
+    
+    this.loadingReplay = true;
+    Promise.all([fetchReplay(lastReplay.id), import('./replay-viewer.js')])
+      .then(([replay, { ReplayScene }]) => {
+        if (!this.scene.get('ReplayScene')) this.scene.add('ReplayScene', ReplayScene);
+        this.scene.launch('ReplayScene', { replay, replayId: lastReplay.id, viewerId: this.localPlayerId });
+        this.scene.sleep();
+      })
+      .catch(error => logError('Failed to open replay:', error))
+      .finally(() => {
+        this.loadingReplay = false;
+      });
+  }
+
+  updateTeamScores() {
+    const scores = getTeamScores();
+    this.teamText.setText(scores
+      ? scores.map((score, team) => `${getTeam(team).name} ${score}`).join('  ·  ')
+      : '');
+  }
+
+  updatePowerUpSlots() {
+    this.powerUpSlots.forEach((slot, index) => {
+      const { id, icon } = POWER_UPS[index];
+      const cooldown = getPowerUpCooldownRemaining(id);
+      slot.setText(cooldown > 0 ? `${icon} ${Math.ceil(cooldown / 1000)}` : `${index + 1} ${icon}`);
+      slot.setAlpha(cooldown > 0 ? 0.5 : 1);
+    });
   }
 
   update() {
@@ -511,15 +1254,36 @@ class GameScene extends Phaser.Scene {
       if (Phaser.Input.Keyboard.JustDown(this.slapKey)) {
         this.performSlap();
       }
+      
+      this.powerUpKeys.forEach((key, index) => {
+        if (Phaser.Input.Keyboard.JustDown(key)) sendPowerUp(POWER_UPS[index].id);
+      });
+      
+      this.handleRoomKeys();
+      this.updateNetDebug();
     }
     
+    this.applyCorrection();
+    this.interpolateRemotePlayers();
+    
     // Update UI positions for all players
     Object.keys(this.players).forEach(playerId => {
       this.updatePlayerUI(parseInt(playerId));
     });
+    
+    this.updatePhaseTimer();
+    this.updateZone();
+    this.updateTeamScores();
+    this.updatePowerUpSlots();
   }
 }
 
+// m:ss
+function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 // Game configuration
 const config = {
   type: Phaser.AUTO,
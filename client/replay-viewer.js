@@ -0,0 +1,442 @@
+/**
+ * No_Gas_Slaps™ - Replay Viewer
+ * Plays back a recorded match (see shared/replay.ts) in the arena scene,
+ * with seeking, speed control and a free camera
+ */
+
+import { GameScene } from './phaser-game.js';
+import { parseReplay, replayDownloadUrl } from './modules/replays-api.js';
+import { logError } from './modules/testing.js';
+import { REPLAY_SAMPLE_MS, advanceReplay, initialReplayState, replayStateAt } from '@shared/replay';
+import { zoneCircleAt } from '@shared/zone';
+
+// Playback speeds, slowest first
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+// How far the arrow keys jump
+const SEEK_STEP_MS = 5000;
+// WASD camera speed in screen pixels per second
+const CAMERA_PAN_SPEED = 500;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 1.1;
+// Timeline bar along the bottom of the screen
+const TIMELINE_MARGIN = 20;
+const TIMELINE_HEIGHT = 10;
+const NOTICE_MS = 2500;
+
+/**
+ * The arena scene driven by a replay instead of the server. The replay
+ * clock advances by frame time times the playback speed; events up to it
+ * are applied with their usual effects, while seeking rebuilds the world
+ * silently from the start. The HUD draws through a second camera so
+ * zooming and panning only move the arena.
+ */
+export class ReplayScene extends GameScene {
+  constructor() {
+    super('ReplayScene');
+  }
+
+  /**
+   * `replayId` enables the download link; `viewerId` is marked as the
+   * local player when they took part in the match
+   * @param {{ replay: object, replayId?: string, viewerId?: number }} data
+   */
+  init(data) {
+    this.replay = data.replay;
+    this.replayId = data.replayId ?? null;
+    this.localPlayerId = data.viewerId ?? null;
+    // The scene object survives restarts, so start from a clean slate
+    this.players = {};
+    this.pickups = {};
+    this.mapLayer = null;
+    this.resultsPanel = null;
+    this.hudObjects = new Set();
+    this.state = initialReplayState(this.replay);
+    this.clock = 0;
+    this.speed = 1;
+    this.paused = false;
+    this.followingId = null;
+    this.scrubbing = false;
+  }
+
+  // Textures were generated when the arena scene loaded
+  preload() {}
+
+  create() {
+    this.applyMap(this.replay.mapId);
+    this.zoneGraphics = this.add.graphics().setDepth(1);
+    this.createHud();
+    this.setupReplayControls();
+    this.seek(0);
+    this.cameras.main.centerOn(this.map.width / 2, this.map.height / 2);
+  }
+
+  /**
+   * Keep `object` fixed on screen and out of the zoomed arena camera
+   */
+  hud(object) {
+    object.setScrollFactor(0).setDepth(1000);
+    this.cameras.main.ignore(object);
+    this.hudObjects.add(object);
+    return object;
+  }
+
+  createHud() {
+    this.hudCamera = this.cameras.add(0, 0, this.gameWidth, this.gameHeight);
+    
+    const { round, mode, teamResults } = this.replay;
+    const modeName = (mode === 'battleRoyale' ? 'Battle Royale' : 'Classic') + (teamResults ? ' Teams' : '');
+    this.hud(this.add.text(20, 20, `REPLAY · Round ${round} · ${this.map.name} · ${modeName}`, {
+      fontSize: '14px',
+      fill: '#00ff88',
+      stroke: '#000000',
+      strokeThickness: 3
+    }));
+    
+    this.statusText = this.hud(this.add.text(this.gameWidth/2, 20, '', {
+      fontSize: '18px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5, 0));
+    
+    this.noticeText = this.hud(this.add.text(this.gameWidth/2, 48, '', {
+      fontSize: '16px',
+      fill: '#ffb703',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5, 0));
+    
+    this.hud(this.add.text(20, this.gameHeight - TIMELINE_MARGIN - 20, [
+      'Space: Pause  ←/→: Seek  ↑/↓: Speed',
+      'WASD/Drag: Pan  Wheel: Zoom  F: Follow  O: Open File  Esc: Back'
+    ].join('\n'), {
+      fontSize: '12px',
+      fill: '#ffffff',
+      backgroundColor: 'rgba(0,0,0,0.7)',
+      padding: { x: 6, y: 4 },
+      lineSpacing: 2
+    }).setOrigin(0, 1));
+    
+    if (this.replayId) {
+      this.hud(this.add.text(this.gameWidth - 20, 20, '⬇ Download', {
+        fontSize: '14px',
+        fill: '#ffffff',
+        backgroundColor: 'rgba(0,0,0,0.7)',
+        padding: { x: 6, y: 4 }
+      }).setOrigin(1, 0)
+        .setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => this.download()));
+    }
+    
+    // Timeline, with a tick wherever someone was knocked out
+    const width = this.gameWidth - TIMELINE_MARGIN * 2;
+    const y = this.gameHeight - TIMELINE_MARGIN;
+    this.timeline = this.hud(this.add.rectangle(TIMELINE_MARGIN, y, width, TIMELINE_HEIGHT, 0x333333)
+      .setOrigin(0, 0.5)
+      .setInteractive({ useHandCursor: true }));
+    this.timelineFill = this.hud(this.add.rectangle(TIMELINE_MARGIN, y, 0, TIMELINE_HEIGHT, 0x00ff88).setOrigin(0, 0.5));
+    
+    const ticks = this.hud(this.add.graphics());
+    ticks.fillStyle(0xff3366);
+    this.replay.events
+      .filter(event => event[1] === 'death')
+      .forEach(([t]) => ticks.fillRect(this.timelineX(t) - 1, y - TIMELINE_HEIGHT, 2, TIMELINE_HEIGHT * 2));
+  }
+
+  timelineX(t) {
+    const width = this.gameWidth - TIMELINE_MARGIN * 2;
+    return TIMELINE_MARGIN + (this.replay.durationMs > 0 ? t / this.replay.durationMs : 0) * width;
+  }
+
+  setupReplayControls() {
+    const codes = Phaser.Input.Keyboard.KeyCodes;
+    this.replayKeys = this.input.keyboard.addKeys({
+      pause: codes.SPACE,
+      back: codes.LEFT,
+      forward: codes.RIGHT,
+      faster: codes.UP,
+      slower: codes.DOWN,
+      follow: codes.F,
+      open: codes.O,
+      exit: codes.ESC,
+      panUp: codes.W,
+      panLeft: codes.A,
+      panDown: codes.S,
+      panRight: codes.D
+    });
+    
+    // Click or drag along the timeline to seek; drag anywhere else to pan
+    const scrubTo = pointer => {
+      const width = this.gameWidth - TIMELINE_MARGIN * 2;
+      this.seek(((pointer.x - TIMELINE_MARGIN) / width) * this.replay.durationMs);
+    };
+    this.timeline.on('pointerdown', pointer => {
+      this.scrubbing = true;
+      scrubTo(pointer);
+    });
+    const stopScrubbing = () => {
+      this.scrubbing = false;
+    };
+    this.input.on('pointerup', stopScrubbing);
+    this.input.on('pointerupoutside', stopScrubbing);
+    this.input.on('pointermove', pointer => {
+      if (!pointer.isDown) return;
+      if (this.scrubbing) {
+        scrubTo(pointer);
+        return;
+      }
+      const camera = this.cameras.main;
+      this.stopFollowing();
+      camera.scrollX -= (pointer.x - pointer.prevPosition.x) / camera.zoom;
+      camera.scrollY -= (pointer.y - pointer.prevPosition.y) / camera.zoom;
+    });
+    
+    this.input.on('wheel', (pointer, over, deltaX, deltaY) => {
+      const camera = this.cameras.main;
+      const zoom = deltaY > 0 ? camera.zoom / ZOOM_STEP : camera.zoom * ZOOM_STEP;
+      camera.setZoom(Phaser.Math.Clamp(zoom, MIN_ZOOM, MAX_ZOOM));
+    });
+  }
+
+  handleReplayKeys(delta) {
+    const keys = this.replayKeys;
+    const pressed = key => Phaser.Input.Keyboard.JustDown(key);
+    
+    if (pressed(keys.pause)) {
+      // Play from the start again once the end is reached
+      if (this.paused && this.clock >= this.replay.durationMs) this.seek(0);
+      this.paused = !this.paused;
+    }
+    if (pressed(keys.back)) this.seek(this.clock - SEEK_STEP_MS);
+    if (pressed(keys.forward)) this.seek(this.clock + SEEK_STEP_MS);
+    
+    const speedIndex = SPEEDS.indexOf(this.speed);
+    if (pressed(keys.faster)) this.speed = SPEEDS[Math.min(SPEEDS.length - 1, speedIndex + 1)];
+    if (pressed(keys.slower)) this.speed = SPEEDS[Math.max(0, speedIndex - 1)];
+    
+    if (pressed(keys.follow)) this.followNext();
+    if (pressed(keys.open)) this.openFile();
+    if (pressed(keys.exit)) this.exit();
+    
+    const camera = this.cameras.main;
+    const step = (CAMERA_PAN_SPEED * delta) / 1000 / camera.zoom;
+    const panX = (keys.panRight.isDown ? step : 0) - (keys.panLeft.isDown ? step : 0);
+    const panY = (keys.panDown.isDown ? step : 0) - (keys.panUp.isDown ? step : 0);
+    if (panX !== 0 || panY !== 0) {
+      this.stopFollowing();
+      camera.scrollX += panX;
+      camera.scrollY += panY;
+    }
+  }
+
+  /**
+   * Jump to `t` ms into the match. The world is rebuilt from the start,
+   * so effects from skipped events never play.
+   */
+  seek(t) {
+    this.clock = Phaser.Math.Clamp(t, 0, this.replay.durationMs);
+    this.state = replayStateAt(this.replay, this.clock);
+    this.hideResults();
+    
+    Object.keys(this.players).forEach(id => {
+      if (!this.state.players[id]) this.removePlayer(parseInt(id));
+    });
+    Object.values(this.state.players).forEach(playerData => this.placePlayer(playerData));
+    if (this.followingId !== null && !this.players[this.followingId]) this.stopFollowing();
+  }
+
+  /**
+   * Show a player exactly as the replay has them, cancelling any effect
+   * still animating their sprite
+   */
+  placePlayer(playerData) {
+    if (!this.players[playerData.id]) this.addPlayer(playerData);
+    
+    const player = this.players[playerData.id];
+    this.tweens.killTweensOf(player.sprite);
+    player.sprite.setPosition(playerData.x, playerData.y);
+    player.sprite.setRotation(0);
+    player.sprite.setScale(playerData.alive ? 1 : 0);
+    player.sprite.setAlpha(playerData.alive ? 1 : 0.5);
+    player.sprite.setTint(player.baseTint);
+    this.updatePlayer(playerData.id, playerData);
+  }
+
+  addPlayer(playerData) {
+    super.addPlayer(playerData);
+    
+    // Gas isn't recorded
+    const player = this.players[playerData.id];
+    player.gasBarBg.setVisible(false);
+    player.gasBar.setVisible(false);
+  }
+
+  /**
+   * Play the effects for events the clock just passed. A slap with no hit
+   * right behind it missed.
+   */
+  showEvents(events) {
+    events.forEach((event, index) => {
+      const [t, kind] = event;
+      switch (kind) {
+        case 'join':
+          // Unless they already left again within the same frame
+          if (this.state.players[event[2].id]) this.placePlayer(this.state.players[event[2].id]);
+          break;
+        
+        case 'leave':
+          if (this.followingId === event[2]) this.stopFollowing();
+          this.removePlayer(event[2]);
+          break;
+        
+        case 'slap': {
+          const attacker = this.players[event[2]];
+          const target = event[3] === null ? undefined : this.players[event[3]];
+          const next = events[index + 1];
+          const landed = next && next[0] === t && next[1] === 'hit' && next[3] === event[2];
+          if (!attacker) break;
+          if (target && landed) {
+            this.showSlapEffect(attacker.sprite.x, attacker.sprite.y, target.sprite.x, target.sprite.y);
+          } else {
+            this.showMissEffect(attacker.sprite.x, attacker.sprite.y);
+          }
+          break;
+        }
+        
+        case 'hit':
+          if (this.state.players[event[2]]) this.updatePlayer(event[2], this.state.players[event[2]]);
+          this.showHitEffect(event[2], event[3], event[4]);
+          break;
+        
+        case 'death':
+          this.showDeathEffect(event[2]);
+          break;
+      }
+    });
+  }
+
+  /**
+   * Sprites ease towards their newest sampled position, so movement logged
+   * every REPLAY_SAMPLE_MS still looks smooth at any speed
+   */
+  moveSprites(delta) {
+    const blend = this.paused ? 0 : Math.min(1, (delta * this.speed) / REPLAY_SAMPLE_MS);
+    Object.entries(this.players).forEach(([id, player]) => {
+      const playerData = this.state.players[id];
+      if (!playerData) return;
+      player.sprite.x += (playerData.x - player.sprite.x) * blend;
+      player.sprite.y += (playerData.y - player.sprite.y) * blend;
+      this.updatePlayerUI(parseInt(id));
+    });
+  }
+
+  // Follow each living player in turn, then go back to the free camera
+  followNext() {
+    const ids = Object.values(this.state.players)
+      .filter(playerData => playerData.alive)
+      .map(playerData => playerData.id)
+      .sort((a, b) => a - b);
+    const nextId = ids.find(id => this.followingId === null || id > this.followingId);
+    
+    if (nextId === undefined) {
+      this.stopFollowing();
+      return;
+    }
+    this.followingId = nextId;
+    this.cameras.main.startFollow(this.players[nextId].sprite, true, 0.1, 0.1);
+  }
+
+  stopFollowing() {
+    if (this.followingId === null) return;
+    this.followingId = null;
+    this.cameras.main.stopFollow();
+  }
+
+  updateZone() {
+    this.zoneGraphics.clear();
+    const { zone, zoneAt } = this.state;
+    if (!zone) return;
+    this.drawZone(zoneCircleAt(zone, this.clock - zoneAt), zone.to);
+  }
+
+  updateHud() {
+    const followed = this.followingId === null ? null : this.state.players[this.followingId];
+    const camera = followed ? `Following ${followed.name || `P${followed.id}`}` : 'Free camera';
+    this.statusText.setText(
+      `${this.paused ? '⏸' : '▶'} ${formatClock(this.clock)} / ${formatClock(this.replay.durationMs)}` +
+      `  ·  ${this.speed}×  ·  ${camera}`
+    );
+    this.timelineFill.width = this.timelineX(this.clock) - TIMELINE_MARGIN;
+  }
+
+  notice(message) {
+    this.noticeText.setText(message);
+    this.time.delayedCall(NOTICE_MS, () => {
+      if (this.noticeText.text === message) this.noticeText.setText('');
+    });
+  }
+
+  download() {
+    const link = document.createElement('a');
+    link.href = replayDownloadUrl(this.replayId);
+    link.download = '';
+    link.click();
+  }
+
+  /**
+   * Play a replay file saved earlier, e.g. one shared to settle a dispute
+   */
+  openFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        const replay = parseReplay(JSON.parse(await file.text()));
+        this.scene.restart({ replay, viewerId: this.localPlayerId });
+      } catch (error) {
+        logError('Failed to open replay file:', error);
+        this.notice('That file is not a replay');
+      }
+    };
+    input.click();
+  }
+
+  // Back to the arena, which slept while the replay played
+  exit() {
+    this.scene.stop();
+    this.scene.wake('GameScene');
+  }
+
+  update(time, delta) {
+    this.handleReplayKeys(delta);
+    
+    if (!this.paused && this.clock < this.replay.durationMs) {
+      this.clock = Math.min(this.replay.durationMs, this.clock + delta * this.speed);
+      this.showEvents(advanceReplay(this.replay, this.state, this.clock));
+      
+      if (this.clock >= this.replay.durationMs) {
+        this.paused = true;
+        this.showResults(this.replay.results, this.replay.teamResults, this.replay.mode);
+        this.hud(this.resultsPanel);
+      }
+    }
+    
+    this.moveSprites(delta);
+    this.updateZone();
+    this.updateHud();
+    
+    // Everything outside the HUD belongs to the arena camera alone
+    this.hudCamera.ignore(this.children.list.filter(child => !this.hudObjects.has(child)));
+  }
+}
+
+// m:ss.t
+function formatClock(ms) {
+  const tenths = Math.floor(ms / 100);
+  const seconds = Math.floor(tenths / 10);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.${tenths % 10}`;
+}
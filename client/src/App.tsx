@@ -1,36 +1,37 @@
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Button } from './components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from './components/ui/card';
 import { Badge } from './components/ui/badge';
 import { Progress } from './components/ui/progress';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs';
 import { useIsMobile } from './hooks/use-is-mobile';
+import { useDailyReward } from './hooks/use-daily-reward';
 import { GameCanvas } from './components/GameCanvas';
 import { MobileGame } from './components/MobileGame';
+import { RoundOverlay, toRoundInfo, type RoundInfo } from './components/RoundOverlay';
+import { DailyRewardCalendar } from './components/DailyRewardCalendar';
 import { Trophy, Zap, Gift, Users, Volume2, VolumeX, HelpCircle } from 'lucide-react';
+import {
+  PROTOCOL_VERSION,
+  createProtocolSender,
+  decodeServerMessage,
+  type ArenaPlayer,
+  type ProtocolSender,
+  type ServerMessage
+} from '@shared/protocol';
+import { SnapshotReceiver } from '@shared/snapshot';
 
 interface GameState {
   score: number;
   combo: number;
   powerUps: { [key: string]: any };
-  dailyClaimed: boolean;
   health: number;
   gas: number;
   alive: boolean;
 }
 
-interface Player {
-  id: number;
-  x: number;
-  y: number;
-  health: number;
-  gas: number;
-  alive: boolean;
-  score: number;
-  combo: number;
-  name?: string;
-}
+type Player = ArenaPlayer;
 
 export default function App() {
   const isMobile = useIsMobile();
@@ -38,7 +39,6 @@ export default function App() {
     score: 0,
     combo: 1,
     powerUps: {},
-    dailyClaimed: false,
     health: 100,
     gas: 100,
     alive: true
@@ -51,26 +51,39 @@ export default function App() {
   const [showHelp, setShowHelp] = useState(false);
   const [ws, setWs] = useState<WebSocket | null>(null);
   const [playerId, setPlayerId] = useState<number | null>(null);
+  // The socket handler is bound once, so it reads the latest id through a ref
+  const playerIdRef = useRef<number | null>(null);
+  const protocolRef = useRef<ProtocolSender | null>(null);
+  const snapshotsRef = useRef(new SnapshotReceiver());
   const [lastSlapTime, setLastSlapTime] = useState(0);
+  const [round, setRound] = useState<RoundInfo | null>(null);
+  const dailyReward = useDailyReward();
 
   // WebSocket connection
   useEffect(() => {
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const wsUrl = `${scheme}//${window.location.host}`;
     
     const websocket = new WebSocket(wsUrl);
+    const protocol = createProtocolSender((raw) => {
+      if (websocket.readyState !== WebSocket.OPEN) return false;
+      websocket.send(raw);
+      return true;
+    });
+    protocolRef.current = protocol;
     
     websocket.onopen = () => {
       console.log('Connected to game server');
       setIsConnected(true);
+      protocol.hello({ version: PROTOCOL_VERSION });
     };
 
     websocket.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        handleWebSocketMessage(data);
-      } catch (error) {
-        console.error('Failed to parse WebSocket message:', error);
+      const decoded = decodeServerMessage(event.data);
+      if (decoded.ok) {
+        handleWebSocketMessage(decoded.message);
+      } else {
+        console.error('Invalid WebSocket message:', decoded.error.message);
       }
     };
 
@@ -90,11 +103,22 @@ export default function App() {
     };
   }, []);
 
-  const handleWebSocketMessage = (data: any) => {
+  const handleWebSocketMessage = (data: ServerMessage) => {
+    const playerId = playerIdRef.current;
+    let roster: Record<number, Player> | null = null;
+
     switch (data.type) {
+      case 'error':
+        console.error(`Game server rejected a message (${data.code}):`, data.message);
+        break;
+
       case 'init':
+        snapshotsRef.current.reset();
+        playerIdRef.current = data.id;
+        roster = data.players;
         setPlayerId(data.id);
         setPlayers(data.players);
+        setRound(toRoundInfo(data.round));
         if (data.players[data.id]) {
           setGameState(prev => ({
             ...prev,
@@ -134,6 +158,7 @@ export default function App() {
         break;
 
       case 'playerHit':
+      case 'hazardHit':
         if (data.id === playerId) {
           setGameState(prev => ({
             ...prev,
@@ -162,34 +187,67 @@ export default function App() {
         }
         break;
 
-      case 'gasRecharge':
-        if (data.players[playerId]) {
+      case 'snapshot': {
+        const state = snapshotsRef.current.apply(data);
+        if (!state) break;
+        protocolRef.current?.snapshotAck({ seq: data.seq });
+
+        roster = state;
+        const me = playerId !== null ? state[playerId] : undefined;
+        if (me) {
           setGameState(prev => ({
             ...prev,
-            gas: data.players[playerId].gas
+            health: me.health,
+            gas: me.gas,
+            alive: me.alive,
+            score: me.score,
+            combo: me.combo
+          }));
+        }
+        setPlayers(state);
+        break;
+      }
+
+      case 'gasRecharge': {
+        roster = data.players;
+        const me = playerId !== null ? data.players[playerId] : undefined;
+        if (me) {
+          setGameState(prev => ({
+            ...prev,
+            gas: me.gas
           }));
         }
         setPlayers(data.players);
         break;
+      }
 
-      case 'gameReset':
+      case 'phaseChanged':
+        setRound(toRoundInfo(data));
+        break;
+
+      case 'gameReset': {
+        roster = data.players;
+        const me = playerId !== null ? data.players[playerId] : undefined;
         setPlayers(data.players);
-        if (data.players[playerId]) {
+        if (me) {
           setGameState(prev => ({
             ...prev,
-            health: data.players[playerId].health,
-            gas: data.players[playerId].gas,
-            alive: data.players[playerId].alive,
-            score: data.players[playerId].score,
-            combo: data.players[playerId].combo
+            health: me.health,
+            gas: me.gas,
+            alive: me.alive,
+            score: me.score,
+            combo: me.combo
           }));
         }
         break;
+      }
     }
 
     // Update leaderboard
-    const playerList = Object.values(data.players || players).sort((a: any, b: any) => b.score - a.score);
-    setLeaderboard(playerList.slice(0, 10));
+    if (roster) {
+      const playerList = Object.values(roster).sort((a, b) => b.score - a.score);
+      setLeaderboard(playerList.slice(0, 10));
+    }
   };
 
   const handleSlap = () => {
@@ -203,25 +261,12 @@ export default function App() {
       return;
     }
 
-    // Find nearest target (for single player mode)
+    // Aim at someone if there is anyone to aim at; the server scores the
+    // slap either way, and fills empty arenas with bots to slap
     const nearestTarget = Object.values(players).find(
       (player: Player) => player.id !== playerId && player.alive
     );
-
-    if (nearestTarget) {
-      ws.send(JSON.stringify({
-        type: 'slap',
-        targetId: nearestTarget.id
-      }));
-    } else {
-      // Single player slap
-      setGameState(prev => ({
-        ...prev,
-        score: prev.score + (10 * prev.combo),
-        combo: Math.min(prev.combo + 1, 50),
-        gas: Math.max(0, prev.gas - 20)
-      }));
-    }
+    protocolRef.current?.slap({ targetId: nearestTarget?.id ?? null });
 
     setLastSlapTime(now);
     
@@ -250,13 +295,10 @@ export default function App() {
     oscillator.stop(audioContext.currentTime + 0.1);
   };
 
-  const claimDailyReward = () => {
-    if (!gameState.dailyClaimed) {
-      setGameState(prev => ({
-        ...prev,
-        score: prev.score + 1000,
-        dailyClaimed: true
-      }));
+  const claimDailyReward = async () => {
+    const reward = await dailyReward.claim();
+    if (reward > 0) {
+      setGameState(prev => ({ ...prev, score: prev.score + reward }));
     }
   };
 
@@ -330,6 +372,8 @@ export default function App() {
                     onSlap={handleSlap}
                   />
                   
+                  <RoundOverlay round={round} playerId={playerId} />
+                  
                   {/* Main Slap Button */}
                   <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2">
                     <Button
@@ -400,14 +444,24 @@ export default function App() {
                   Daily Reward
                 </CardTitle>
               </CardHeader>
-              <CardContent>
-                <Button
-                  onClick={claimDailyReward}
-                  disabled={gameState.dailyClaimed}
-                  className="w-full"
-                >
-                  {gameState.dailyClaimed ? "Claimed!" : "Claim 1000 pts"}
-                </Button>
+              <CardContent className="space-y-3">
+                {dailyReward.status ? (
+                  <>
+                    <DailyRewardCalendar status={dailyReward.status} />
+                    <Button
+                      onClick={claimDailyReward}
+                      disabled={!dailyReward.status.canClaim || dailyReward.claiming}
+                      className="w-full"
+                    >
+                      {dailyReward.status.canClaim
+                        ? `Claim ${formatNumber(dailyReward.status.nextReward)} pts`
+                        : "Claimed! Come back tomorrow"}
+                    </Button>
+                  </>
+                ) : (
+                  <div className="text-sm text-slate-400">Open the game in Telegram to collect daily rewards.</div>
+                )}
+                {dailyReward.error && <div className="text-sm text-red-400">{dailyReward.error}</div>}
               </CardContent>
             </Card>
 
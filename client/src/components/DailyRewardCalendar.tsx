@@ -0,0 +1,35 @@
+import React from 'react';
+import type { DailyRewardStatus } from '@shared/daily-reward';
+
+interface DailyRewardCalendarProps {
+  status: DailyRewardStatus;
+}
+
+const dayStyles = {
+  claimed: 'bg-green-600/40 text-green-100',
+  today: 'bg-yellow-400 text-slate-900 font-bold',
+  upcoming: 'bg-slate-700/60 text-slate-300'
+};
+
+/** The current streak week: claimed days, today's reward and what's next */
+export function DailyRewardCalendar({ status }: DailyRewardCalendarProps) {
+  return (
+    <div>
+      <div className="text-sm text-slate-400 mb-2">
+        Streak: {status.streak} {status.streak === 1 ? 'day' : 'days'}
+      </div>
+      <ol className="grid grid-cols-7 gap-1" aria-label="Daily reward calendar">
+        {status.calendar.map(day => (
+          <li
+            key={day.streak}
+            className={`rounded p-1 text-center text-xs ${dayStyles[day.state]}`}
+            aria-current={day.state === 'today' ? 'date' : undefined}
+          >
+            <div>Day {day.streak}</div>
+            <div className="font-semibold">+{day.reward}</div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
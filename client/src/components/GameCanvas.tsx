@@ -1,5 +1,6 @@
 
 import React, { useRef, useEffect } from 'react';
+import { getTeam } from '@shared/teams';
 
 interface Player {
   id: number;
@@ -11,6 +12,8 @@ interface Player {
   score: number;
   combo: number;
   name?: string;
+  team?: number;
+  bot?: boolean;
 }
 
 interface GameCanvasProps {
@@ -47,13 +50,17 @@ export function GameCanvas({ players, playerId, onSlap }: GameCanvasProps) {
       const x = player.x || Math.random() * (canvas.width - 40) + 20;
       const y = player.y || Math.random() * (canvas.height - 40) + 20;
 
-      // Player circle
+      // Player circle, in team colors when playing in teams; the local
+      // player is ringed in white instead
+      const team = getTeam(player.team);
+      const isLocal = player.id === playerId;
       ctx.beginPath();
       ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fillStyle = player.id === playerId ? '#22c55e' : player.alive ? '#3b82f6' : '#6b7280';
+      if (team) ctx.fillStyle = player.alive ? team.color : '#6b7280';
+      else ctx.fillStyle = isLocal ? '#22c55e' : player.alive ? '#3b82f6' : '#6b7280';
       ctx.fill();
-      ctx.strokeStyle = '#000';
-      ctx.lineWidth = 2;
+      ctx.strokeStyle = team && isLocal ? '#fff' : '#000';
+      ctx.lineWidth = team && isLocal ? 3 : 2;
       ctx.stroke();
 
       // Health bar
@@ -72,7 +79,7 @@ export function GameCanvas({ players, playerId, onSlap }: GameCanvasProps) {
       ctx.fillStyle = '#fff';
       ctx.font = '12px monospace';
       ctx.textAlign = 'center';
-      ctx.fillText(`P${player.id}`, x, y + radius + 15);
+      ctx.fillText(`${player.bot ? '🤖 ' : ''}P${player.id}`, x, y + radius + 15);
 
       // Score
       ctx.fillStyle = '#fbbf24';
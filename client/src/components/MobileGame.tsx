@@ -5,6 +5,8 @@ import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Progress } from './ui/progress';
 import { Badge } from './ui/badge';
 import { Trophy, Zap, Gift, Users } from 'lucide-react';
+import { useDailyReward } from '../hooks/use-daily-reward';
+import { DailyRewardCalendar } from './DailyRewardCalendar';
 
 interface GameState {
   score: number;
@@ -12,7 +14,6 @@ interface GameState {
   health: number;
   gas: number;
   alive: boolean;
-  dailyClaimed: boolean;
 }
 
 export function MobileGame() {
@@ -21,13 +22,13 @@ export function MobileGame() {
     combo: 1,
     health: 100,
     gas: 100,
-    alive: true,
-    dailyClaimed: false
+    alive: true
   });
   
   const [lastSlapTime, setLastSlapTime] = useState(0);
   const [isConnected, setIsConnected] = useState(false);
   const [showStats, setShowStats] = useState(false);
+  const dailyReward = useDailyReward();
 
   useEffect(() => {
     // Gas recharge timer
@@ -96,16 +97,15 @@ export function MobileGame() {
     return num.toString();
   };
 
-  const claimDailyReward = () => {
-    if (!gameState.dailyClaimed) {
-      setGameState(prev => ({
-        ...prev,
-        score: prev.score + 1000,
-        dailyClaimed: true
-      }));
+  const claimDailyReward = async () => {
+    const reward = await dailyReward.claim();
+    if (reward > 0) {
+      setGameState(prev => ({ ...prev, score: prev.score + reward }));
     }
   };
 
+  const canClaimDaily = Boolean(dailyReward.status?.canClaim) && !dailyReward.claiming;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white">
       {/* Header */}
@@ -200,6 +200,16 @@ export function MobileGame() {
             <div className="text-sm text-slate-400 mt-1">Total Score</div>
           </CardContent>
         </Card>
+
+        {/* Daily Reward Calendar */}
+        {dailyReward.status && (
+          <Card className="w-full max-w-sm bg-slate-800/50 border-slate-700">
+            <CardContent className="pt-4">
+              <DailyRewardCalendar status={dailyReward.status} />
+              {dailyReward.error && <div className="text-xs text-red-400 mt-2">{dailyReward.error}</div>}
+            </CardContent>
+          </Card>
+        )}
       </div>
 
       {/* Bottom Actions */}
@@ -207,12 +217,14 @@ export function MobileGame() {
         <div className="grid grid-cols-2 gap-3">
           <Button
             onClick={claimDailyReward}
-            disabled={gameState.dailyClaimed}
-            variant={gameState.dailyClaimed ? "secondary" : "default"}
+            disabled={!canClaimDaily}
+            variant={canClaimDaily ? "default" : "secondary"}
             className="flex items-center gap-2"
           >
             <Gift className="h-4 w-4" />
-            {gameState.dailyClaimed ? "Claimed!" : "Daily +1000"}
+            {dailyReward.status?.canClaim
+              ? `Daily +${formatNumber(dailyReward.status.nextReward)}`
+              : dailyReward.status ? "Claimed!" : "Daily"}
           </Button>
           
           <Button variant="outline" className="flex items-center gap-2">
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import type { RoundPhase, RoundResult, TeamResult } from '@shared/protocol';
+import { getTeam } from '@shared/teams';
+
+export interface RoundInfo {
+  phase: RoundPhase;
+  round: number;
+  remainingMs: number | null;
+  minPlayers: number;
+  results?: RoundResult[];
+  teamResults?: TeamResult[];
+  // Local-clock deadline derived from remainingMs when the message arrived
+  localEndsAt: number | null;
+}
+
+export function toRoundInfo(data: any): RoundInfo | null {
+  if (!data || !data.phase) return null;
+  return {
+    phase: data.phase,
+    round: data.round,
+    remainingMs: data.remainingMs,
+    minPlayers: data.minPlayers,
+    results: data.results,
+    teamResults: data.teamResults,
+    localEndsAt: data.remainingMs === null ? null : Date.now() + data.remainingMs
+  };
+}
+
+interface RoundOverlayProps {
+  round: RoundInfo | null;
+  playerId: number | null;
+}
+
+export function RoundOverlay({ round, playerId }: RoundOverlayProps) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!round || round.localEndsAt === null) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [round]);
+
+  if (!round) return null;
+
+  const remaining = round.localEndsAt === null ? null : Math.max(0, round.localEndsAt - now);
+  const seconds = remaining === null ? 0 : Math.ceil(remaining / 1000);
+  const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  if (round.phase === 'active' || round.phase === 'sudden_death') {
+    return (
+      <div className="absolute top-4 left-1/2 transform -translate-x-1/2 pointer-events-none">
+        <div className={`px-4 py-1 rounded-full font-mono text-lg font-bold bg-slate-900/80 ${
+          round.phase === 'sudden_death' ? 'text-red-400 animate-pulse' : 'text-white'
+        }`}>
+          {round.phase === 'sudden_death' ? `SUDDEN DEATH ${clock}` : clock}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center bg-black/60 pointer-events-none">
+      {round.phase === 'waiting' && (
+        <div className="text-center">
+          <div className="text-2xl font-bold">Waiting for players</div>
+          <div className="text-sm text-slate-400">{round.minPlayers} needed to start</div>
+        </div>
+      )}
+
+      {round.phase === 'countdown' && (
+        <div className="text-center">
+          <div className="text-sm text-slate-400">Round {round.round}</div>
+          <div className="text-7xl font-bold text-green-400">{Math.max(1, seconds)}</div>
+        </div>
+      )}
+
+      {round.phase === 'results' && (
+        <div className="bg-slate-800 border border-slate-700 rounded-lg p-6 w-72">
+          <div className="text-xl font-bold text-center mb-4">Round {round.round} Results</div>
+          {round.teamResults && (
+            <div className="space-y-2 mb-4">
+              {round.teamResults.map(result => (
+                <div
+                  key={result.team}
+                  className="flex items-center justify-between p-2 rounded bg-slate-700/50"
+                  style={{ borderLeft: `4px solid ${getTeam(result.team)?.color}` }}
+                >
+                  <span className="font-bold">#{result.rank}</span>
+                  <span>{getTeam(result.team)?.name ?? `Team ${result.team + 1}`}{result.rank === 1 ? ' 🏆' : ''}</span>
+                  <span className="font-mono">{result.score}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="space-y-2">
+            {(round.results || []).slice(0, 8).map(result => (
+              <div
+                key={result.id}
+                className={`flex items-center justify-between p-2 rounded ${
+                  result.id === playerId ? 'bg-blue-500/20' : 'bg-slate-700/50'
+                }`}
+              >
+                <span className="font-bold">#{result.rank}</span>
+                <span>{result.name || `Player ${result.id}`}{result.alive ? ' 🏆' : ''}</span>
+                <span className="font-mono">{result.score}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {round.phase === 'intermission' && (
+        <div className="text-center">
+          <div className="text-2xl font-bold">Next round in {seconds}s</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+import type { DailyRewardStatus } from '@shared/daily-reward';
+import { apiRequest } from '../lib/queryClient';
+import { telegramInitData } from '../lib/telegram';
+
+/**
+ * Daily reward status and claiming, backed by /api/daily-reward. The server
+ * decides streaks and amounts; `claim` resolves to the points it granted
+ * (0 when nothing was granted). `status` stays null outside Telegram.
+ */
+export function useDailyReward() {
+  const [status, setStatus] = useState<DailyRewardStatus | null>(null);
+  const [claiming, setClaiming] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!telegramInitData()) return;
+    try {
+      const res = await apiRequest('GET', '/api/daily-reward');
+      const body = await res.json();
+      setStatus(body.status);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Pick up the next reward once the UTC day rolls over
+  useEffect(() => {
+    if (!status || status.canClaim) return;
+    const timer = setTimeout(refresh, Math.max(0, status.nextClaimAt - Date.now()) + 1000);
+    return () => clearTimeout(timer);
+  }, [status, refresh]);
+
+  const claim = useCallback(async (): Promise<number> => {
+    if (!status?.canClaim || claiming) return 0;
+    setClaiming(true);
+    setError(null);
+    try {
+      const res = await apiRequest('POST', '/api/daily-reward/claim');
+      const body = await res.json();
+      setStatus(body.status);
+      return body.claim.reward;
+    } catch (err) {
+      // Most likely claimed on another device already
+      setError(err instanceof Error ? err.message : String(err));
+      await refresh();
+      return 0;
+    } finally {
+      setClaiming(false);
+    }
+  }, [status, claiming, refresh]);
+
+  return { status, claiming, error, claim };
+}
@@ -0,0 +1,23 @@
+interface TelegramWebApp {
+  initData?: string;
+}
+
+declare global {
+  interface Window {
+    Telegram?: { WebApp?: TelegramWebApp };
+  }
+}
+
+/**
+ * Signed initData from the Telegram WebApp the game runs in, or null in a
+ * plain browser. The server verifies it against the bot token.
+ */
+export function telegramInitData(): string | null {
+  return window.Telegram?.WebApp?.initData || null;
+}
+
+/** Headers that identify the player on REST calls */
+export function telegramAuthHeaders(): Record<string, string> {
+  const initData = telegramInitData();
+  return initData ? { Authorization: `tma ${initData}` } : {};
+}
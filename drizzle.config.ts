@@ -4,11 +4,15 @@ if (!process.env.DATABASE_URL) {
   throw new Error("DATABASE_URL, ensure the database is provisioned");
 }
 
+// pglite://<dir> points drizzle-kit at an embedded PGlite directory (see server/db.ts)
+const PGLITE_PREFIX = "pglite://";
+const pglite = process.env.DATABASE_URL.startsWith(PGLITE_PREFIX);
+
 export default defineConfig({
   out: "./migrations",
   schema: "./shared/schema.ts",
   dialect: "postgresql",
-  dbCredentials: {
-    url: process.env.DATABASE_URL,
-  },
+  ...(pglite
+    ? { driver: "pglite", dbCredentials: { url: process.env.DATABASE_URL.slice(PGLITE_PREFIX.length) } }
+    : { dbCredentials: { url: process.env.DATABASE_URL } }),
 });
@@ -0,0 +1,92 @@
+CREATE TABLE "achievements" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"achievement_id" text NOT NULL,
+	"unlocked_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "friendships" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"friend_id" bigint NOT NULL,
+	"source" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "match_players" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"match_id" integer NOT NULL,
+	"telegram_id" bigint,
+	"player_id" integer NOT NULL,
+	"name" text,
+	"rank" integer NOT NULL,
+	"score" integer NOT NULL,
+	"alive" boolean NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "matches" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"room_id" text NOT NULL,
+	"round" integer NOT NULL,
+	"started_at" timestamp NOT NULL,
+	"ended_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "players" (
+	"telegram_id" bigint PRIMARY KEY NOT NULL,
+	"name" text NOT NULL,
+	"username" text,
+	"language_code" text,
+	"is_premium" boolean DEFAULT false NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"last_seen_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "power_up_states" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"power_up_id" text NOT NULL,
+	"unlocked" boolean DEFAULT false NOT NULL,
+	"active_until" timestamp,
+	"cooldown_until" timestamp,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "relics" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"relic_id" text NOT NULL,
+	"name" text NOT NULL,
+	"metadata" jsonb DEFAULT '{}'::jsonb NOT NULL,
+	"acquired_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "scores" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"name" text NOT NULL,
+	"score" integer NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "season_standings" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"season" integer NOT NULL,
+	"rank" integer NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"name" text NOT NULL,
+	"score" integer NOT NULL,
+	"achieved_at" timestamp NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "match_players" ADD CONSTRAINT "match_players_match_id_matches_id_fk" FOREIGN KEY ("match_id") REFERENCES "public"."matches"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "achievements_player_achievement_idx" ON "achievements" USING btree ("telegram_id","achievement_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "friendships_pair_idx" ON "friendships" USING btree ("telegram_id","friend_id");--> statement-breakpoint
+CREATE INDEX "match_players_match_id_idx" ON "match_players" USING btree ("match_id");--> statement-breakpoint
+CREATE INDEX "match_players_telegram_id_idx" ON "match_players" USING btree ("telegram_id");--> statement-breakpoint
+CREATE INDEX "matches_room_id_idx" ON "matches" USING btree ("room_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "power_up_states_player_power_up_idx" ON "power_up_states" USING btree ("telegram_id","power_up_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "relics_player_relic_idx" ON "relics" USING btree ("telegram_id","relic_id");--> statement-breakpoint
+CREATE INDEX "scores_telegram_id_idx" ON "scores" USING btree ("telegram_id");--> statement-breakpoint
+CREATE INDEX "scores_score_idx" ON "scores" USING btree ("score");--> statement-breakpoint
+CREATE UNIQUE INDEX "season_standings_season_player_idx" ON "season_standings" USING btree ("season","telegram_id");
\ No newline at end of file
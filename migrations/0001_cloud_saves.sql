@@ -0,0 +1,7 @@
+CREATE TABLE "cloud_saves" (
+	"telegram_id" bigint PRIMARY KEY NOT NULL,
+	"revision" integer NOT NULL,
+	"schema_version" integer NOT NULL,
+	"progress" jsonb NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
@@ -0,0 +1,10 @@
+CREATE TABLE "daily_claims" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"telegram_id" bigint NOT NULL,
+	"day" integer NOT NULL,
+	"streak" integer NOT NULL,
+	"reward" integer NOT NULL,
+	"claimed_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX "daily_claims_player_day_idx" ON "daily_claims" USING btree ("telegram_id","day");
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "match_players" ADD COLUMN "knockouts" integer DEFAULT 0 NOT NULL;
\ No newline at end of file
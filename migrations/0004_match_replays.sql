@@ -0,0 +1,9 @@
+CREATE TABLE "match_replays" (
+	"id" text PRIMARY KEY NOT NULL,
+	"room_id" text NOT NULL,
+	"round" integer NOT NULL,
+	"recorded_at" timestamp DEFAULT now() NOT NULL,
+	"replay" jsonb NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "match_replays_recorded_at_idx" ON "match_replays" USING btree ("recorded_at");
\ No newline at end of file
@@ -0,0 +1,3 @@
+DROP INDEX "scores_telegram_id_idx";--> statement-breakpoint
+CREATE INDEX "scores_telegram_id_score_idx" ON "scores" USING btree ("telegram_id","score" DESC NULLS LAST);--> statement-breakpoint
+CREATE INDEX "scores_created_at_idx" ON "scores" USING btree ("created_at");
\ No newline at end of file
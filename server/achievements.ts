@@ -0,0 +1,101 @@
+import type { Express } from "express";
+import { z } from "zod";
+import { fromZodError } from "zod-validation-error";
+import {
+  ACHIEVEMENTS,
+  getAchievement,
+  isServerAchievement,
+  reachedAchievements
+} from "@shared/achievements";
+import { storage } from "./storage";
+import { telegramAuth, requireTelegramUser } from "./telegram-auth";
+
+const unlockSchema = z.object({
+  ids: z.array(z.string().min(1).max(64)).min(1).max(ACHIEVEMENTS.length),
+});
+
+/** The counters behind server-granted achievements (see SERVER_STATS) */
+export async function serverAchievementStats(telegramId: number) {
+  const [knockouts, dailyStreak] = await Promise.all([
+    storage.getKnockoutCount(telegramId),
+    storage.getLongestDailyStreak(telegramId)
+  ]);
+  return { knockouts, dailyStreak };
+}
+
+/**
+ * Unlock every server-counted achievement the player has reached. Returns
+ * the ids that were newly unlocked.
+ */
+export async function grantServerAchievements(telegramId: number): Promise<string[]> {
+  const reached = reachedAchievements(await serverAchievementStats(telegramId))
+    .filter(id => isServerAchievement(getAchievement(id)!));
+
+  const unlocked: string[] = [];
+  for (const id of reached) {
+    if (await storage.unlockAchievement(telegramId, id)) unlocked.push(id);
+  }
+  return unlocked;
+}
+
+async function achievementsBody(telegramId: number, unlocked: string[]) {
+  const [rows, stats] = await Promise.all([
+    storage.getAchievements(telegramId),
+    serverAchievementStats(telegramId)
+  ]);
+  return {
+    achievements: rows.map(row => ({ id: row.achievementId, unlockedAt: row.unlockedAt.getTime() })),
+    stats,
+    unlocked
+  };
+}
+
+/**
+ * Unlocked achievements, one set per verified Telegram user:
+ *
+ *   GET  /api/achievements          → { achievements, stats, unlocked }
+ *   POST /api/achievements { ids }  → { achievements, stats, unlocked }
+ *
+ * `stats` holds the server-side counters so clients can show progress on
+ * achievements they can't count themselves, and `unlocked` lists what the
+ * request newly unlocked. Clients may only report achievements on their own
+ * counters; server-counted ones are granted here (the GET catches up on any
+ * that were missed) and by the rooms at the end of each round.
+ */
+export function registerAchievementRoutes(app: Express) {
+  app.get("/api/achievements", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    try {
+      const telegramId = req.telegramUser!.id;
+      const unlocked = await grantServerAchievements(telegramId);
+      res.json(await achievementsBody(telegramId, unlocked));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/achievements", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const body = unlockSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ message: fromZodError(body.error).message });
+    }
+
+    const rejected = body.data.ids.filter(id => {
+      const achievement = getAchievement(id);
+      return !achievement || isServerAchievement(achievement);
+    });
+    if (rejected.length > 0) {
+      return res.status(400).json({ message: `Unknown or server-granted achievements: ${rejected.join(", ")}` });
+    }
+
+    try {
+      const telegramId = req.telegramUser!.id;
+      const unlocked: string[] = [];
+      for (const id of Array.from(new Set(body.data.ids))) {
+        if (await storage.unlockAchievement(telegramId, id)) unlocked.push(id);
+      }
+      res.json(await achievementsBody(telegramId, unlocked));
+    } catch (error) {
+      next(error);
+    }
+  });
+}
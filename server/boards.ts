@@ -0,0 +1,80 @@
+import type { LeaderboardBoard } from "@shared/schema";
+
+/**
+ * Time windows for the leaderboard boards. Every boundary is in UTC:
+ *
+ *   LEADERBOARD_RESET_HOUR    hour (0-23) daily and weekly boards roll over (default 0)
+ *   LEADERBOARD_WEEK_START    weekday weekly boards start on, 0 = Sunday (default 1)
+ *   LEADERBOARD_SEASON_START  ISO timestamp season 1 begins (default 2025-01-01T00:00:00Z)
+ *   LEADERBOARD_SEASON_DAYS   season length in days (default 28)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface BoardConfig {
+  resetHour: number;
+  weekStart: number;
+  seasonStart: number;
+  seasonDays: number;
+}
+
+/** Half-open [start, end) range; null bounds are unbounded */
+export interface BoardWindow {
+  start: Date | null;
+  end: Date | null;
+  season?: number;
+}
+
+function intInRange(value: string | undefined, min: number, max: number, fallback: number): number {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+}
+
+export function boardConfig(env: NodeJS.ProcessEnv = process.env): BoardConfig {
+  const seasonStart = Date.parse(env.LEADERBOARD_SEASON_START ?? "");
+  return {
+    resetHour: intInRange(env.LEADERBOARD_RESET_HOUR, 0, 23, 0),
+    weekStart: intInRange(env.LEADERBOARD_WEEK_START, 0, 6, 1),
+    seasonStart: Number.isNaN(seasonStart) ? Date.UTC(2025, 0, 1) : seasonStart,
+    seasonDays: intInRange(env.LEADERBOARD_SEASON_DAYS, 1, 366, 28)
+  };
+}
+
+function dayStart(now: number, config: BoardConfig): number {
+  const date = new Date(now);
+  let start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), config.resetHour);
+  if (start > now) start -= DAY_MS;
+  return start;
+}
+
+/** Season number in effect at `time`; before the first start this is the upcoming season 1 */
+export function seasonAt(time: number, config: BoardConfig = boardConfig()): number {
+  const elapsed = time - config.seasonStart;
+  return elapsed < 0 ? 1 : Math.floor(elapsed / (config.seasonDays * DAY_MS)) + 1;
+}
+
+export function seasonWindow(season: number, config: BoardConfig = boardConfig()): BoardWindow {
+  const length = config.seasonDays * DAY_MS;
+  const start = config.seasonStart + (season - 1) * length;
+  return { start: new Date(start), end: new Date(start + length), season };
+}
+
+/** The window a board covers at `now` */
+export function boardWindow(board: LeaderboardBoard, now = Date.now(), config: BoardConfig = boardConfig()): BoardWindow {
+  switch (board) {
+    case "daily": {
+      const start = dayStart(now, config);
+      return { start: new Date(start), end: new Date(start + DAY_MS) };
+    }
+    case "weekly": {
+      const today = dayStart(now, config);
+      const offset = (new Date(today).getUTCDay() - config.weekStart + 7) % 7;
+      const start = today - offset * DAY_MS;
+      return { start: new Date(start), end: new Date(start + 7 * DAY_MS) };
+    }
+    case "season":
+      return seasonWindow(seasonAt(now, config), config);
+    case "all":
+      return { start: null, end: null };
+  }
+}
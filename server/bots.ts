@@ -0,0 +1,193 @@
+import { MAX_MOVE_SPEED, SLAP_GAS_COST, SLAP_RANGE, clampToBounds } from "@shared/arena";
+import { blocksLineOfSight, mapBounds, type ArenaMap } from "@shared/maps";
+import { botDifficultySchema, type ArenaPlayer, type BotDifficulty, type Circle } from "@shared/protocol";
+import { isTeammate } from "@shared/teams";
+import { isInsideZone } from "@shared/zone";
+
+export type { BotDifficulty };
+
+export interface BotConfig {
+  // Arena population bots top up to; 0 turns bots off for the room
+  fill: number;
+  difficulty: BotDifficulty;
+}
+
+export interface BotProfile {
+  // Pixels per second, kept under MAX_MOVE_SPEED
+  speed: number;
+  // Time between decisions, so slower bots react late
+  thinkMs: number;
+  // Chance a slap is aimed at the target rather than whiffed
+  accuracy: number;
+  // Below `retreatGas` the bot backs off until it has `resumeGas` again
+  retreatGas: number;
+  resumeGas: number;
+  slapIntervalMs: number;
+}
+
+export const BOT_PROFILES: Record<BotDifficulty, BotProfile> = {
+  easy: { speed: 110, thinkMs: 700, accuracy: 0.5, retreatGas: 0, resumeGas: 0, slapIntervalMs: 1200 },
+  normal: { speed: 170, thinkMs: 350, accuracy: 0.8, retreatGas: SLAP_GAS_COST, resumeGas: 60, slapIntervalMs: 600 },
+  hard: { speed: 240, thinkMs: 150, accuracy: 0.95, retreatGas: SLAP_GAS_COST * 2, resumeGas: 100, slapIntervalMs: 300 }
+};
+
+export const DEFAULT_BOT_CONFIG: BotConfig = {
+  fill: 0,
+  difficulty: "normal"
+};
+
+const MAX_FILL = 20;
+// Bots stop this far short of their target instead of standing on it
+const CHASE_DISTANCE = SLAP_RANGE / 2;
+// How far a recharging bot tries to put between itself and the nearest enemy
+const RETREAT_DISTANCE = 150;
+// How long a bot stuck on a wall heads somewhere random before re-planning
+const DETOUR_MS = 800;
+// A step longer than this is cut short, e.g. after the room stalls
+const MAX_STEP_MS = 250;
+
+/**
+ * Merge user-supplied bot settings over the defaults, clamping the fill to
+ * MAX_FILL and ignoring unknown difficulties.
+ */
+export function normalizeBotConfig(input: { fill?: unknown; difficulty?: unknown } = {}): BotConfig {
+  const config = { ...DEFAULT_BOT_CONFIG };
+  const fill = Number(input.fill);
+  if (input.fill !== undefined && Number.isFinite(fill)) {
+    config.fill = Math.round(Math.max(0, Math.min(MAX_FILL, fill)));
+  }
+  const difficulty = botDifficultySchema.safeParse(input.difficulty);
+  if (difficulty.success) config.difficulty = difficulty.data;
+  return config;
+}
+
+/** What a bot sees of the arena */
+export interface BotWorld {
+  players: Record<number, ArenaPlayer>;
+  map: ArenaMap;
+  // Battle-royale safe zone as it stands now, null outside one
+  zone: Circle | null;
+}
+
+export interface BotIntent {
+  // Where to move this step, already limited to the bot's speed
+  move: { x: number; y: number } | null;
+  // A target id to slap, null to slap at nothing, absent to hold off
+  slap?: number | null;
+}
+
+function distance(a: { x: number; y: number }, b: { x: number; y: number }): number {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Decision making for one bot, driven the same way whether the bot is
+ * seated in a room by the server or plays over a WebSocket (see
+ * server/loadgen.ts). Each step() the bot re-plans at most once per
+ * `thinkMs`: get inside the zone, back off to recharge when low on gas,
+ * otherwise chase the nearest enemy, or wander when there is none. It
+ * slaps whenever its target is in range and in sight.
+ */
+export class BotBrain {
+  readonly profile: BotProfile;
+  private targetId: number | null = null;
+  private destination: { x: number; y: number } | null = null;
+  private recharging = false;
+  private nextThinkAt = 0;
+  private nextSlapAt = 0;
+  private lastStep: { at: number; x: number; y: number } | null = null;
+
+  constructor(profile: BotProfile) {
+    this.profile = profile;
+  }
+
+  /** Drop the current plan, e.g. after the bot is respawned */
+  reset() {
+    this.targetId = null;
+    this.destination = null;
+    this.recharging = false;
+    this.nextThinkAt = 0;
+    this.lastStep = null;
+  }
+
+  step(self: ArenaPlayer, world: BotWorld, now = Date.now()): BotIntent {
+    if (!self.alive) {
+      this.lastStep = null;
+      return { move: null };
+    }
+
+    // Pinned against a wall since the last step: try somewhere else
+    const stuck = this.lastStep !== null && this.destination !== null
+      && distance(this.lastStep, self) < 1 && distance(self, this.destination) > CHASE_DISTANCE;
+    if (stuck) {
+      this.destination = this.wander(world.map);
+      this.nextThinkAt = now + DETOUR_MS;
+    }
+
+    if (now >= this.nextThinkAt) {
+      this.think(self, world);
+      this.nextThinkAt = now + this.profile.thinkMs;
+    }
+
+    const elapsed = this.lastStep === null ? 0 : Math.min(now - this.lastStep.at, MAX_STEP_MS);
+    this.lastStep = { at: now, x: self.x, y: self.y };
+    const intent: BotIntent = { move: this.stepTowardsDestination(self, elapsed) };
+
+    const target = this.targetId === null ? undefined : world.players[this.targetId];
+    if (target && target.alive && !this.recharging && now >= this.nextSlapAt && self.gas >= SLAP_GAS_COST
+        && distance(self, target) < SLAP_RANGE && !blocksLineOfSight(world.map, self.x, self.y, target.x, target.y)) {
+      intent.slap = Math.random() < this.profile.accuracy ? target.id : null;
+      this.nextSlapAt = now + this.profile.slapIntervalMs;
+    }
+    return intent;
+  }
+
+  private think(self: ArenaPlayer, world: BotWorld) {
+    if (self.gas < this.profile.retreatGas) this.recharging = true;
+    else if (self.gas >= this.profile.resumeGas) this.recharging = false;
+
+    const enemy = Object.values(world.players)
+      .filter(player => player.id !== self.id && player.alive && !isTeammate(self, player))
+      .reduce<ArenaPlayer | null>((nearest, player) =>
+        nearest === null || distance(self, player) < distance(self, nearest) ? player : nearest, null);
+    this.targetId = enemy?.id ?? null;
+
+    if (world.zone && !isInsideZone(world.zone, self.x, self.y)) {
+      this.destination = { x: world.zone.x, y: world.zone.y };
+    } else if (enemy && this.recharging) {
+      const away = distance(self, enemy) || 1;
+      this.destination = clampToBounds(
+        self.x + ((self.x - enemy.x) / away) * RETREAT_DISTANCE,
+        self.y + ((self.y - enemy.y) / away) * RETREAT_DISTANCE,
+        mapBounds(world.map)
+      );
+    } else if (enemy) {
+      this.destination = { x: enemy.x, y: enemy.y };
+    } else if (!this.destination || distance(self, this.destination) <= CHASE_DISTANCE) {
+      this.destination = this.wander(world.map);
+    }
+  }
+
+  private stepTowardsDestination(self: ArenaPlayer, elapsedMs: number): { x: number; y: number } | null {
+    if (!this.destination || elapsedMs === 0) return null;
+
+    const remaining = distance(self, this.destination) - CHASE_DISTANCE;
+    if (remaining <= 0) return null;
+
+    const speed = Math.min(this.profile.speed, MAX_MOVE_SPEED);
+    const stride = Math.min(remaining, (speed * elapsedMs) / 1000);
+    const scale = stride / distance(self, this.destination);
+    return {
+      x: self.x + (this.destination.x - self.x) * scale,
+      y: self.y + (this.destination.y - self.y) * scale
+    };
+  }
+
+  private wander(map: ArenaMap): { x: number; y: number } {
+    const bounds = mapBounds(map);
+    return {
+      x: bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
+      y: bounds.minY + Math.random() * (bounds.maxY - bounds.minY)
+    };
+  }
+}
@@ -0,0 +1,76 @@
+import type { Express } from "express";
+import { dailyRewardStatus, rewardForStreak, utcDay } from "@shared/daily-reward";
+import type { DailyClaim } from "@shared/schema";
+import { storage } from "./storage";
+import { grantServerAchievements } from "./achievements";
+import { telegramAuth, requireTelegramUser } from "./telegram-auth";
+import { log } from "./vite";
+
+function claimToWire(claim: DailyClaim) {
+  return {
+    day: claim.day,
+    streak: claim.streak,
+    reward: claim.reward,
+    claimedAt: claim.claimedAt.getTime()
+  };
+}
+
+/**
+ * Daily reward, one claim per verified Telegram user per UTC day. The
+ * server alone decides whether a claim is due and what it pays:
+ *
+ *   GET  /api/daily-reward        → { status }
+ *   POST /api/daily-reward/claim  → 201 { claim, status, achievements }, or
+ *                                   409 { message, status } when today's
+ *                                   reward was already claimed
+ *
+ * `status` is a DailyRewardStatus, calendar included, so clients never
+ * work out streaks themselves. `achievements` lists streak achievements
+ * the claim unlocked.
+ */
+export function registerDailyRewardRoutes(app: Express) {
+  app.get("/api/daily-reward", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    try {
+      const last = await storage.getLastDailyClaim(req.telegramUser!.id);
+      res.json({ status: dailyRewardStatus(last, Date.now()) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/daily-reward/claim", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    try {
+      const telegramId = req.telegramUser!.id;
+      const now = Date.now();
+      const status = dailyRewardStatus(await storage.getLastDailyClaim(telegramId), now);
+
+      // A claim racing this one for the same day loses on the unique index
+      const claim = status.canClaim
+        ? await storage.recordDailyClaim({
+            telegramId,
+            day: utcDay(now),
+            streak: status.nextStreak,
+            reward: rewardForStreak(status.nextStreak)
+          })
+        : undefined;
+
+      if (!claim) {
+        const latest = await storage.getLastDailyClaim(telegramId);
+        return res.status(409).json({
+          message: "Today's reward has already been claimed",
+          status: dailyRewardStatus(latest, now)
+        });
+      }
+
+      // Streak achievements; the claim stands even if granting them fails
+      const achievements = await grantServerAchievements(telegramId).catch(error => {
+        log(`Failed to grant streak achievements to ${telegramId}: ${error.message}`);
+        return [];
+      });
+
+      res.status(201).json({ claim: claimToWire(claim), status: dailyRewardStatus(claim, now), achievements });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
@@ -0,0 +1,57 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { Pool, neonConfig } from "@neondatabase/serverless";
+import { drizzle as drizzleNeon } from "drizzle-orm/neon-serverless";
+import { migrate as migrateNeon } from "drizzle-orm/neon-serverless/migrator";
+import type { PgDatabase, PgQueryResultHKT } from "drizzle-orm/pg-core";
+import ws from "ws";
+import * as schema from "@shared/schema";
+import { log } from "./vite";
+
+/**
+ * Database connection for DatabaseStorage, chosen by DATABASE_URL:
+ *
+ *   postgres://...   Neon (or any Postgres reachable over Neon's WebSocket proxy)
+ *   pglite://memory  in-process PGlite, a Postgres build compiled to WASM.
+ *                    Nothing touches the network or disk; for tests and
+ *                    local runs without a database
+ *   pglite://<dir>   PGlite persisted to a local directory
+ *
+ * Versioned migrations from ./migrations (generated with `npm run
+ * db:generate`) are applied before the first query.
+ */
+
+export type Database = PgDatabase<PgQueryResultHKT, typeof schema>;
+
+const PGLITE_PREFIX = "pglite://";
+const PGLITE_MEMORY = "memory";
+
+const migrationsFolder = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+
+async function connectPglite(location: string): Promise<Database> {
+  // Only needed for the stand-in, so production never loads the WASM build
+  const { PGlite } = await import("@electric-sql/pglite");
+  const { drizzle } = await import("drizzle-orm/pglite");
+  const { migrate } = await import("drizzle-orm/pglite/migrator");
+
+  const client = location === PGLITE_MEMORY ? new PGlite() : new PGlite(location);
+  const db = drizzle(client, { schema });
+  await migrate(db, { migrationsFolder });
+  return db as unknown as Database;
+}
+
+async function connectNeon(url: string): Promise<Database> {
+  neonConfig.webSocketConstructor = ws;
+  const pool = new Pool({ connectionString: url });
+  const db = drizzleNeon(pool, { schema });
+  await migrateNeon(db, { migrationsFolder });
+  return db as unknown as Database;
+}
+
+export async function connectDatabase(url: string): Promise<Database> {
+  const db = url.startsWith(PGLITE_PREFIX)
+    ? await connectPglite(url.slice(PGLITE_PREFIX.length) || PGLITE_MEMORY)
+    : await connectNeon(url);
+  log(url.startsWith(PGLITE_PREFIX) ? "Connected to embedded PGlite database" : "Connected to Postgres");
+  return db;
+}
@@ -0,0 +1,37 @@
+import type { FriendSource } from "@shared/schema";
+import { storage } from "./storage";
+import type { TelegramIdentity } from "./telegram-auth";
+import { log } from "./vite";
+
+// Referral links carry the referrer's Telegram id in start_param, e.g.
+// https://t.me/<bot>/<app>?startapp=ref_12345
+export const REFERRAL_START_PARAM_PREFIX = "ref_";
+
+/** Telegram id of whoever referred this player, if they came in on a referral link */
+export function referrerOf(identity: TelegramIdentity): number | null {
+  const param = identity.startParam;
+  if (!param || !param.startsWith(REFERRAL_START_PARAM_PREFIX)) return null;
+
+  const referrerId = Number(param.slice(REFERRAL_START_PARAM_PREFIX.length));
+  return Number.isSafeInteger(referrerId) && referrerId > 0 ? referrerId : null;
+}
+
+/**
+ * Record that two verified players know each other. Failures are logged
+ * rather than thrown; a missed friendship must never block joining a game.
+ */
+export async function linkFriends(telegramId: number, friendId: number, source: FriendSource) {
+  try {
+    if (await storage.addFriendship(telegramId, friendId, source)) {
+      log(`Linked Telegram users ${telegramId} and ${friendId} (${source})`);
+    }
+  } catch (error) {
+    log(`Failed to link Telegram users ${telegramId} and ${friendId}: ${(error as Error).message}`);
+  }
+}
+
+/** Befriend the referrer of a player who opened a referral link */
+export async function recordReferral(identity: TelegramIdentity) {
+  const referrerId = referrerOf(identity);
+  if (referrerId !== null) await linkFriends(referrerId, identity.id, "referral");
+}
@@ -0,0 +1,83 @@
+import { INTERPOLATION_DELAY_MS } from "@shared/arena";
+
+// Never rewind further than this, however slow the attacker claims to be.
+// Past this point high-ping players simply have to lead their slaps.
+export const MAX_REWIND_MS = 250;
+
+// Samples older than this can never be rewound to and are dropped
+const HISTORY_RETENTION_MS = 1000;
+
+interface PositionSample {
+  time: number;
+  x: number;
+  y: number;
+}
+
+/**
+ * How far in the past the attacker was seeing the arena when they slapped:
+ * half their round trip for the input to reach us, plus the client's
+ * interpolation delay for remote players. Clamped to MAX_REWIND_MS.
+ *
+ * No round trip means no rewind. Server bots slap without one, and they
+ * read live positions rather than interpolated ones.
+ */
+export function rewindFor(rttMs: number | null): number {
+  if (rttMs === null) return 0;
+  return Math.round(Math.max(0, Math.min(MAX_REWIND_MS, rttMs / 2 + INTERPOLATION_DELAY_MS)));
+}
+
+/**
+ * Short per-player position history for lag-compensated hit checks.
+ * Positions between samples are interpolated linearly, matching what
+ * clients render.
+ */
+export class PositionHistory {
+  private samples = new Map<number, PositionSample[]>();
+
+  record(playerId: number, x: number, y: number, now = Date.now()) {
+    let history = this.samples.get(playerId);
+    if (!history) {
+      history = [];
+      this.samples.set(playerId, history);
+    }
+
+    history.push({ time: now, x, y });
+
+    const cutoff = now - HISTORY_RETENTION_MS;
+    while (history.length > 1 && history[1].time <= cutoff) {
+      history.shift();
+    }
+  }
+
+  /** Drop history after a teleport so we never rewind across it */
+  reset(playerId: number, x: number, y: number, now = Date.now()) {
+    this.samples.set(playerId, [{ time: now, x, y }]);
+  }
+
+  remove(playerId: number) {
+    this.samples.delete(playerId);
+  }
+
+  /** Position of `playerId` at `time`, or null if we have never seen them */
+  at(playerId: number, time: number): { x: number; y: number } | null {
+    const history = this.samples.get(playerId);
+    if (!history || history.length === 0) return null;
+
+    if (time <= history[0].time) return { x: history[0].x, y: history[0].y };
+
+    for (let i = history.length - 1; i > 0; i--) {
+      const from = history[i - 1];
+      const to = history[i];
+      if (time >= from.time) {
+        if (time >= to.time) return { x: to.x, y: to.y };
+        const t = (time - from.time) / (to.time - from.time || 1);
+        return {
+          x: from.x + (to.x - from.x) * t,
+          y: from.y + (to.y - from.y) * t
+        };
+      }
+    }
+
+    return { x: history[0].x, y: history[0].y };
+  }
+}
@@ -0,0 +1,210 @@
+import type { Express } from "express";
+import { z } from "zod";
+import { fromZodError } from "zod-validation-error";
+import { LEADERBOARD_BOARDS, insertScoreSchema, type LeaderboardEntry } from "@shared/schema";
+import { storage } from "./storage";
+import { telegramAuth, requireTelegramUser, displayName, playerRecord } from "./telegram-auth";
+import { recordReferral } from "./friends";
+import { boardWindow, seasonAt, seasonWindow, type BoardWindow } from "./boards";
+import { log } from "./vite";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Entries shown above and below the player on the "around me" view
+const DEFAULT_RADIUS = 5;
+const MAX_RADIUS = 25;
+
+// Standings kept for a finished season, and how far back a restarted server
+// looks for seasons it has not archived yet
+const ARCHIVE_SIZE = 100;
+const ARCHIVE_LOOKBACK_SEASONS = 12;
+const ARCHIVE_CHECK_MS = 60 * 60 * 1000;
+
+const boardSchema = z.enum(LEADERBOARD_BOARDS).default("all");
+
+const listQuerySchema = z.object({
+  board: boardSchema,
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+});
+
+const boardQuerySchema = z.object({ board: boardSchema });
+
+const aroundQuerySchema = z.object({
+  board: boardSchema,
+  radius: z.coerce.number().int().min(0).max(MAX_RADIUS).default(DEFAULT_RADIUS),
+});
+
+const seasonParamsSchema = z.object({
+  season: z.coerce.number().int().positive(),
+});
+
+const submitBodySchema = insertScoreSchema.pick({ score: true });
+
+/** Wire format shared with client/modules/leaderboard-api.js */
+function toWire(entry: LeaderboardEntry) {
+  return {
+    rank: entry.rank,
+    id: String(entry.telegramId),
+    name: entry.name,
+    score: entry.score,
+    timestamp: entry.achievedAt.getTime()
+  };
+}
+
+function windowToWire(window: BoardWindow) {
+  return {
+    start: window.start ? window.start.getTime() : null,
+    end: window.end ? window.end.getTime() : null,
+    season: window.season ?? null
+  };
+}
+
+function scoreWindow(window: BoardWindow) {
+  return { since: window.start, until: window.end };
+}
+
+/**
+ * Freeze the final standings of every recently finished season that has
+ * not been archived yet. Safe to run repeatedly.
+ */
+export async function archiveFinishedSeasons(now = Date.now()) {
+  const current = seasonAt(now);
+  const archived = new Set(await storage.getArchivedSeasons());
+
+  for (let season = Math.max(1, current - ARCHIVE_LOOKBACK_SEASONS); season < current; season++) {
+    if (archived.has(season)) continue;
+
+    const entries = await storage.getLeaderboard(ARCHIVE_SIZE, scoreWindow(seasonWindow(season)));
+    if (entries.length === 0) continue;
+
+    await storage.archiveSeason(season, entries);
+    log(`Archived season ${season} leaderboard (${entries.length} players)`);
+  }
+}
+
+export function registerLeaderboardRoutes(app: Express) {
+  const runArchive = () => archiveFinishedSeasons().catch(error => {
+    log(`Season archive failed: ${error.message}`);
+  });
+  runArchive();
+  setInterval(runArchive, ARCHIVE_CHECK_MS).unref();
+
+  // ?board=daily|weekly|season|all (default all)
+  app.get("/api/leaderboard", async (req, res, next) => {
+    const query = listQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({ message: fromZodError(query.error).message });
+    }
+
+    try {
+      const window = boardWindow(query.data.board);
+      const entries = await storage.getLeaderboard(query.data.limit, scoreWindow(window));
+      res.json({ board: query.data.board, window: windowToWire(window), entries: entries.map(toWire) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/leaderboard/me", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const query = boardQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({ message: fromZodError(query.error).message });
+    }
+
+    try {
+      const window = boardWindow(query.data.board);
+      const entry = await storage.getLeaderboardEntry(req.telegramUser!.id, scoreWindow(window));
+      res.json({ board: query.data.board, entry: entry ? toWire(entry) : null });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The player's exact rank with `radius` neighbours either side, however
+  // far down the board they are
+  app.get("/api/leaderboard/around", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const query = aroundQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({ message: fromZodError(query.error).message });
+    }
+
+    try {
+      const window = boardWindow(query.data.board);
+      const entries = await storage.getLeaderboardAround(req.telegramUser!.id, query.data.radius, scoreWindow(window));
+      res.json({ board: query.data.board, window: windowToWire(window), entries: entries.map(toWire) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The player and everyone linked to them by a referral or invite, ranked
+  // among themselves
+  app.get("/api/leaderboard/friends", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const query = listQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({ message: fromZodError(query.error).message });
+    }
+
+    try {
+      const user = req.telegramUser!;
+      // Players who only ever use the REST API still get their referrer linked
+      await recordReferral(user);
+
+      const window = boardWindow(query.data.board);
+      const entries = await storage.getFriendsLeaderboard(user.id, query.data.limit, scoreWindow(window));
+      res.json({ board: query.data.board, window: windowToWire(window), entries: entries.map(toWire) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/leaderboard/seasons", async (_req, res, next) => {
+    try {
+      const current = seasonWindow(seasonAt(Date.now()));
+      res.json({ current: windowToWire(current), archived: await storage.getArchivedSeasons() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/leaderboard/seasons/:season", async (req, res, next) => {
+    const params = seasonParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return res.status(400).json({ message: fromZodError(params.error).message });
+    }
+
+    try {
+      const entries = await storage.getSeasonStandings(params.data.season);
+      if (entries.length === 0) {
+        return res.status(404).json({ message: `Season ${params.data.season} has no archived standings` });
+      }
+      res.json({
+        season: params.data.season,
+        window: windowToWire(seasonWindow(params.data.season)),
+        entries: entries.map(toWire)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Scores are always filed under the verified Telegram user, never a
+  // client-supplied id or name
+  app.post("/api/leaderboard", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const body = submitBodySchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ message: fromZodError(body.error).message });
+    }
+
+    try {
+      const user = req.telegramUser!;
+      await storage.upsertPlayer(playerRecord(user));
+      await storage.submitScore({ telegramId: user.id, name: displayName(user), score: body.data.score });
+      const entry = await storage.getLeaderboardEntry(user.id);
+      res.status(201).json({ entry: entry ? toWire(entry) : null });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
@@ -0,0 +1,249 @@
+import { parseArgs } from "node:util";
+import { WebSocket } from "ws";
+import {
+  PROTOCOL_VERSION,
+  createProtocolSender,
+  decodeServerMessage,
+  type ProtocolSender,
+  type RoundPhase,
+  type ServerMessage,
+  type SnapshotMessage,
+  type ZoneInfo
+} from "@shared/protocol";
+import { SnapshotReceiver, decodeSnapshot, type WorldState } from "@shared/snapshot";
+import { DEFAULT_MAP_ID, getMap, type ArenaMap } from "@shared/maps";
+import { zoneCircleAt } from "@shared/zone";
+import { BOT_PROFILES, BotBrain, normalizeBotConfig } from "./bots";
+
+/**
+ * Load generator for the multiplayer server. Opens `--count` WebSocket
+ * connections that speak the real client protocol and play with the same
+ * BotBrain as server-run bots, then reports traffic every few seconds.
+ *
+ *   npm run loadgen -- --url ws://localhost:5000 --count 50 --difficulty hard
+ *
+ * Bots land in the lobby unless given --room (a public room id) or
+ * --invite (a private room's code). --duration stops the run after that
+ * many seconds; otherwise it runs until interrupted. --binary asks for
+ * binary snapshots, as the browser client does, instead of JSON ones.
+ */
+
+const STEP_INTERVAL_MS = 100;
+const REPORT_INTERVAL_MS = 5000;
+const PING_INTERVAL_MS = 2000;
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: "string", default: "ws://localhost:5000" },
+    count: { type: "string", default: "10" },
+    difficulty: { type: "string", default: "normal" },
+    room: { type: "string" },
+    invite: { type: "string" },
+    duration: { type: "string" },
+    binary: { type: "boolean", default: false },
+    // Delay between opening connections, so the server is not hit all at once
+    ramp: { type: "string", default: "50" }
+  }
+});
+
+const stats = {
+  connected: 0,
+  framesIn: 0,
+  bytesIn: 0,
+  framesOut: 0,
+  errors: 0,
+  rttTotal: 0,
+  rttSamples: 0
+};
+
+class LoadBot {
+  private ws: WebSocket;
+  private protocol: ProtocolSender;
+  private brain: BotBrain;
+  private snapshots = new SnapshotReceiver();
+  private playerId: number | null = null;
+  private players: WorldState = {};
+  private map: ArenaMap = getMap(DEFAULT_MAP_ID)!;
+  private phase: RoundPhase = "waiting";
+  // Zone stage and when it arrived, on our clock
+  private zone: { info: ZoneInfo; receivedAt: number } | null = null;
+  private seq = 0;
+  private joinedRoom = false;
+  private opened = false;
+  private timers: NodeJS.Timeout[] = [];
+
+  constructor(url: string, brain: BotBrain) {
+    this.brain = brain;
+    this.ws = new WebSocket(url);
+    this.protocol = createProtocolSender(raw => {
+      if (this.ws.readyState !== WebSocket.OPEN) return false;
+      this.ws.send(raw);
+      stats.framesOut++;
+      return true;
+    });
+
+    this.ws.on("open", () => {
+      this.opened = true;
+      stats.connected++;
+      this.protocol.hello({
+        version: PROTOCOL_VERSION,
+        invite: args.invite,
+        encoding: args.binary ? "binary" : "json"
+      });
+      this.timers.push(
+        setInterval(() => this.step(), STEP_INTERVAL_MS),
+        setInterval(() => this.protocol.ping({ t: Date.now() }), PING_INTERVAL_MS)
+      );
+    });
+    this.ws.on("message", (raw, isBinary) => {
+      // binaryType is left as "nodebuffer", so every frame is one Buffer
+      const data = raw as Buffer;
+      stats.framesIn++;
+      stats.bytesIn += data.length;
+      if (isBinary) {
+        this.handleBinary(data);
+        return;
+      }
+      const decoded = decodeServerMessage(data.toString());
+      if (decoded.ok) this.handle(decoded.message);
+      else stats.errors++;
+    });
+    this.ws.on("error", () => stats.errors++);
+    this.ws.on("close", () => {
+      if (this.opened) stats.connected--;
+      this.stop();
+    });
+  }
+
+  stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+    if (this.ws.readyState === WebSocket.OPEN) this.ws.close();
+  }
+
+  // Binary frames only ever carry snapshots
+  private handleBinary(data: Buffer) {
+    let snapshot: SnapshotMessage;
+    try {
+      snapshot = decodeSnapshot(data);
+    } catch {
+      stats.errors++;
+      return;
+    }
+    this.handle(snapshot);
+  }
+
+  private handle(data: ServerMessage) {
+    switch (data.type) {
+      case 'init':
+        this.snapshots.reset();
+        this.playerId = data.id;
+        this.players = data.players;
+        this.map = getMap(data.room.mapId) ?? this.map;
+        this.phase = data.round.phase;
+        this.zone = data.zone ? { info: data.zone, receivedAt: Date.now() } : null;
+        if (args.room && data.roomId !== args.room && !this.joinedRoom) {
+          this.joinedRoom = true;
+          this.protocol.joinRoom({ roomId: args.room });
+        }
+        break;
+
+      case 'snapshot': {
+        const state = this.snapshots.apply(data);
+        if (!state) return;
+        this.protocol.snapshotAck({ seq: data.seq });
+        this.players = state;
+        break;
+      }
+
+      case 'playerJoined':
+        this.players[data.player.id] = data.player;
+        break;
+
+      case 'playerLeft':
+        delete this.players[data.id];
+        break;
+
+      case 'positionCorrection':
+        if (this.playerId !== null && this.players[this.playerId]) {
+          this.players[this.playerId].x = data.x;
+          this.players[this.playerId].y = data.y;
+        }
+        break;
+
+      case 'phaseChanged':
+        this.phase = data.phase;
+        break;
+
+      case 'gameReset':
+        this.players = data.players;
+        this.map = getMap(data.mapId) ?? this.map;
+        this.brain.reset();
+        break;
+
+      case 'zoneChanged':
+        this.zone = data.zone ? { info: data.zone, receivedAt: Date.now() } : null;
+        break;
+
+      case 'pong':
+        stats.rttTotal += Date.now() - data.t;
+        stats.rttSamples++;
+        break;
+
+      case 'error':
+        stats.errors++;
+        break;
+    }
+  }
+
+  private step() {
+    const self = this.playerId === null ? undefined : this.players[this.playerId];
+    if (!self || (this.phase !== 'active' && this.phase !== 'sudden_death')) return;
+
+    const now = Date.now();
+    const zone = this.zone ? zoneCircleAt(this.zone.info, now - this.zone.receivedAt) : null;
+    const intent = this.brain.step(self, { players: this.players, map: this.map, zone }, now);
+
+    if (intent.move) {
+      this.protocol.move({ x: intent.move.x, y: intent.move.y, seq: ++this.seq });
+      // Predict our own position until the next snapshot says otherwise
+      self.x = intent.move.x;
+      self.y = intent.move.y;
+    }
+    if (intent.slap !== undefined) this.protocol.slap({ targetId: intent.slap });
+  }
+}
+
+function report(elapsedMs: number) {
+  const seconds = elapsedMs / 1000;
+  const rtt = stats.rttSamples > 0 ? `${Math.round(stats.rttTotal / stats.rttSamples)}ms` : "n/a";
+  console.log(
+    `[${Math.round(seconds)}s] ${stats.connected} connected · ` +
+    `${Math.round(stats.framesIn / seconds)} frames/s in (${Math.round(stats.bytesIn / seconds / 1024)} KiB/s) · ` +
+    `${Math.round(stats.framesOut / seconds)} frames/s out · rtt ${rtt} · ${stats.errors} errors`
+  );
+}
+
+const count = Math.max(1, Number(args.count) || 1);
+const { difficulty } = normalizeBotConfig({ difficulty: args.difficulty });
+const ramp = Math.max(0, Number(args.ramp) || 0);
+const startedAt = Date.now();
+const bots: LoadBot[] = [];
+
+console.log(`Connecting ${count} ${difficulty} bots to ${args.url} (${args.binary ? "binary" : "JSON"} snapshots)`);
+for (let i = 0; i < count; i++) {
+  setTimeout(() => bots.push(new LoadBot(args.url!, new BotBrain(BOT_PROFILES[difficulty]))), i * ramp);
+}
+
+const reporter = setInterval(() => report(Date.now() - startedAt), REPORT_INTERVAL_MS);
+
+function shutdown() {
+  clearInterval(reporter);
+  report(Date.now() - startedAt);
+  bots.forEach(bot => bot.stop());
+  // Give the close frames a moment to go out
+  setTimeout(() => process.exit(0), 200);
+}
+
+process.on("SIGINT", shutdown);
+if (args.duration) setTimeout(shutdown, Number(args.duration) * 1000);
@@ -0,0 +1,110 @@
+import { MAX_MOVE_SPEED, clampToBounds } from "@shared/arena";
+import { mapBounds, moveWithCollision, speedMultiplierAt, type ArenaMap } from "@shared/maps";
+
+// Seconds of movement a player may bank, so bursty delivery over a jittery
+// network is not mistaken for speeding
+const BURST_SECONDS = 0.35;
+// Corrections smaller than this are not worth a round trip
+const CORRECTION_TOLERANCE = 2;
+// Velocity smoothing factor for each accepted move
+const VELOCITY_SMOOTHING = 0.5;
+
+export type CorrectionReason = "speed" | "bounds" | "wall";
+
+export interface MoveResult {
+  x: number;
+  y: number;
+  corrected: boolean;
+  reason?: CorrectionReason;
+}
+
+interface MotionState {
+  budget: number;
+  lastUpdate: number;
+  vx: number;
+  vy: number;
+}
+
+/**
+ * Server-side movement authority. Each player earns distance at
+ * MAX_MOVE_SPEED (scaled down inside the map's slow zones) into a capped
+ * budget; a move that asks for more than the budget holds is shortened
+ * along its direction and flagged for correction. Walls stop the rest.
+ */
+export class MovementTracker {
+  // Swapped by the room when it rotates maps
+  map: ArenaMap;
+  private states = new Map<number, MotionState>();
+  private maxSpeed: number;
+
+  constructor(map: ArenaMap, maxSpeed = MAX_MOVE_SPEED) {
+    this.map = map;
+    this.maxSpeed = maxSpeed;
+  }
+
+  /** Forget accumulated motion, e.g. after the server teleports a player */
+  reset(playerId: number, now = Date.now()) {
+    this.states.set(playerId, {
+      budget: this.maxSpeed * BURST_SECONDS,
+      lastUpdate: now,
+      vx: 0,
+      vy: 0
+    });
+  }
+
+  remove(playerId: number) {
+    this.states.delete(playerId);
+  }
+
+  velocity(playerId: number): { vx: number; vy: number } {
+    const state = this.states.get(playerId);
+    return state ? { vx: state.vx, vy: state.vy } : { vx: 0, vy: 0 };
+  }
+
+  apply(playerId: number, from: { x: number; y: number }, x: number, y: number, now = Date.now()): MoveResult {
+    if (!this.states.has(playerId)) this.reset(playerId, now);
+    const state = this.states.get(playerId)!;
+
+    const elapsed = Math.max(0, now - state.lastUpdate) / 1000;
+    const maxBudget = this.maxSpeed * BURST_SECONDS;
+    const speed = this.maxSpeed * speedMultiplierAt(this.map, from.x, from.y);
+    state.budget = Math.min(maxBudget, state.budget + elapsed * speed);
+    state.lastUpdate = now;
+
+    const target = clampToBounds(x, y, mapBounds(this.map));
+    let reason: CorrectionReason | undefined =
+      Math.abs(target.x - x) > CORRECTION_TOLERANCE || Math.abs(target.y - y) > CORRECTION_TOLERANCE
+        ? "bounds"
+        : undefined;
+
+    let dx = target.x - from.x;
+    let dy = target.y - from.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > state.budget) {
+      const scale = state.budget / distance;
+      dx *= scale;
+      dy *= scale;
+      if (distance - state.budget > CORRECTION_TOLERANCE) reason = "speed";
+    }
+
+    state.budget -= Math.sqrt(dx * dx + dy * dy);
+
+    if (elapsed >= 0.005) {
+      state.vx = state.vx * (1 - VELOCITY_SMOOTHING) + (dx / elapsed) * VELOCITY_SMOOTHING;
+      state.vy = state.vy * (1 - VELOCITY_SMOOTHING) + (dy / elapsed) * VELOCITY_SMOOTHING;
+    }
+
+    const end = moveWithCollision(this.map, from, from.x + dx, from.y + dy);
+    if (Math.abs(end.x - from.x - dx) > CORRECTION_TOLERANCE || Math.abs(end.y - from.y - dy) > CORRECTION_TOLERANCE) {
+      reason = "wall";
+    }
+
+    return {
+      x: end.x,
+      y: end.y,
+      corrected: reason !== undefined,
+      reason
+    };
+  }
+}
@@ -0,0 +1,444 @@
+import { WebSocket, WebSocketServer } from "ws";
+import {
+  AUTH_CLOSE_CODE,
+  PROTOCOL_CLOSE_CODE,
+  SESSION_REPLACED_CLOSE_CODE,
+  decodeClientMessage,
+  encodeServerMessage,
+  negotiateVersion,
+  protocolError,
+  unsupportedVersionError,
+  type ClientMessage,
+  type ServerMessage
+} from "@shared/protocol";
+import type { SnapshotEncoding } from "@shared/snapshot";
+import { nextPlayerId, rooms, type Room, type RoomOptions, type SessionInfo } from "./rooms";
+import { sessions } from "./sessions";
+import { linkFriends, recordReferral } from "./friends";
+import { authConfig, displayName, playerRecord, verifyInitData, type TelegramIdentity } from "./telegram-auth";
+import { storage } from "./storage";
+import { log } from "./vite";
+
+interface Connection {
+  playerId: number;
+  ws: WebSocket;
+  room: Room | null;
+  protocolVersion: number | null;
+  encoding: SnapshotEncoding;
+  // Verified Telegram user, null for anonymous players
+  identity: TelegramIdentity | null;
+  // Smoothed round trip from WebSocket ping frames, null until the first pong
+  rtt: number | null;
+  pingSentAt: number | null;
+}
+
+// Invite links carry this prefix in Telegram's start_param so they can be
+// told apart from other deep-link payloads
+export const INVITE_START_PARAM_PREFIX = "room_";
+
+// Sockets that never say hello are dropped after this long
+const HANDSHAKE_TIMEOUT_MS = 10000;
+
+// Transport-level pings measure latency for lag compensation. They are
+// answered by the browser itself, so clients cannot fake a slower link.
+const LATENCY_PROBE_MS = 2000;
+const RTT_SMOOTHING = 0.2;
+
+const connections = new Map<number, Connection>();
+// Telegram user id → player id; a user owns at most one player at a time
+const telegramPlayers = new Map<number, number>();
+
+function send(conn: Connection, data: ServerMessage) {
+  if (conn.ws.readyState === WebSocket.OPEN) conn.ws.send(encodeServerMessage(data));
+}
+
+function sessionInfo(conn: Connection): SessionInfo {
+  return {
+    protocolVersion: conn.protocolVersion!,
+    resumeToken: sessions.tokenFor(conn.playerId),
+    encoding: conn.encoding,
+    telegramId: conn.identity?.id ?? null,
+    name: conn.identity ? displayName(conn.identity) : undefined
+  };
+}
+
+function moveToRoom(conn: Connection, next: Room) {
+  if (next === conn.room) return;
+  if (conn.room) rooms.leave(conn.room, conn.playerId);
+  conn.room = next;
+  rooms.join(next, conn.ws, conn.playerId, sessionInfo(conn));
+}
+
+function dropConnection(conn: Connection) {
+  if (conn.room) rooms.leave(conn.room, conn.playerId);
+  conn.room = null;
+  connections.delete(conn.playerId);
+  sessions.revoke(conn.playerId);
+  if (conn.identity && telegramPlayers.get(conn.identity.id) === conn.playerId) {
+    telegramPlayers.delete(conn.identity.id);
+  }
+}
+
+/**
+ * Hand the player behind `playerId` over to the socket in `fresh`. Returns
+ * the resumed connection, or null when that player is gone or the socket
+ * can't prove it is them: a verified player only goes to a socket verified
+ * as the same Telegram user, never to an anonymous one holding the token.
+ */
+function takeOver(fresh: Connection, playerId: number): Connection | null {
+  const previous = connections.get(playerId);
+  if (!previous || previous === fresh || !previous.room?.players[playerId]) return null;
+  if (previous.identity && fresh.identity?.id !== previous.identity.id) return null;
+
+  sessions.revoke(playerId);
+
+  // The old socket may not have noticed it is dead yet
+  const stale = previous.ws;
+  if (stale !== fresh.ws && stale.readyState === WebSocket.OPEN) {
+    stale.close(SESSION_REPLACED_CLOSE_CODE, 'session_resumed');
+  }
+
+  connections.delete(fresh.playerId);
+  previous.ws = fresh.ws;
+  previous.protocolVersion = fresh.protocolVersion;
+  previous.encoding = fresh.encoding;
+  previous.identity = fresh.identity;
+  if (previous.identity) telegramPlayers.set(previous.identity.id, playerId);
+  previous.rtt = null;
+  previous.pingSentAt = null;
+
+  previous.room.reattach(previous.ws, playerId, sessionInfo(previous));
+  return previous;
+}
+
+/**
+ * Check the hello's Telegram initData. Returns the verified identity, null
+ * for an allowed anonymous player, or false when the player must be turned
+ * away. Without a bot token configured everyone is anonymous.
+ */
+function authenticate(conn: Connection, initData: string | undefined): TelegramIdentity | null | false {
+  const config = authConfig();
+  if (!config.botToken) return null;
+
+  if (!initData) {
+    if (!config.required) return null;
+    send(conn, protocolError('unauthorized', 'Telegram initData is required', 'hello'));
+    conn.ws.close(AUTH_CLOSE_CODE, 'unauthorized');
+    return false;
+  }
+
+  const result = verifyInitData(initData, config);
+  if (!result.ok) {
+    log(`Rejected initData from player ${conn.playerId}: ${result.reason}`);
+    send(conn, protocolError('unauthorized', `Telegram initData rejected: ${result.reason}`, 'hello'));
+    conn.ws.close(AUTH_CLOSE_CODE, 'unauthorized');
+    return false;
+  }
+
+  storage.upsertPlayer(playerRecord(result.identity))
+    .catch(error => log(`Failed to save Telegram user ${result.identity.id}: ${error.message}`));
+  recordReferral(result.identity);
+  return result.identity;
+}
+
+/** Players who accept a private match invite become friends with its owner */
+function befriendOwner(conn: Connection, room: Room) {
+  const owner = room.ownerId === null ? undefined : connections.get(room.ownerId);
+  if (!conn.identity || !owner?.identity) return;
+  linkFriends(owner.identity.id, conn.identity.id, "invite");
+}
+
+/**
+ * Build the shareable link for a private room. TELEGRAM_MINI_APP_URL is the
+ * bot's direct Mini App link (https://t.me/<bot>/<app>); without it the
+ * invite code is returned on its own and the client builds a web link.
+ */
+export function inviteLink(code: string): string | null {
+  const base = process.env.TELEGRAM_MINI_APP_URL;
+  if (!base) return null;
+  return `${base}?startapp=${INVITE_START_PARAM_PREFIX}${code}`;
+}
+
+function isKickedFrom(conn: Connection, room: Room): boolean {
+  return room.isKicked(conn.playerId, conn.identity?.id ?? null);
+}
+
+function joinByInvite(conn: Connection, code: string) {
+  const next = rooms.findByInvite(code);
+  if (!next) {
+    send(conn, { type: 'roomError', reason: 'invalid_invite', code });
+  } else if (isKickedFrom(conn, next)) {
+    send(conn, { type: 'roomError', reason: 'kicked', roomId: next.id });
+  } else if (next !== conn.room && next.isFull()) {
+    send(conn, { type: 'roomError', reason: 'full', roomId: next.id });
+  } else {
+    moveToRoom(conn, next);
+    befriendOwner(conn, next);
+  }
+}
+
+function roomOptions(data: Pick<RoomOptions, 'name' | 'round' | 'pickups' | 'maps' | 'mode' | 'teams' | 'bots'>): RoomOptions {
+  return {
+    name: data.name,
+    round: data.round,
+    pickups: data.pickups,
+    maps: data.maps,
+    mode: data.mode,
+    teams: data.teams,
+    bots: data.bots
+  };
+}
+
+function requireOwner(conn: Connection, room: Room): boolean {
+  if (room.isOwner(conn.playerId)) return true;
+  send(conn, { type: 'roomError', reason: 'not_owner', roomId: room.id });
+  return false;
+}
+
+/**
+ * First frame on every socket. Agrees on a protocol version, then either
+ * resumes a dropped player or places a new one in the invited room, falling
+ * back to the lobby. Returns the connection the socket now belongs to.
+ */
+function handleHello(conn: Connection, data: Extract<ClientMessage, { type: 'hello' }>): Connection {
+  const version = negotiateVersion(data.version);
+  if (version === null) {
+    send(conn, unsupportedVersionError(data.version));
+    conn.ws.close(PROTOCOL_CLOSE_CODE, 'unsupported_version');
+    return conn;
+  }
+
+  const identity = authenticate(conn, data.initData);
+  if (identity === false) return conn;
+
+  conn.protocolVersion = version;
+  conn.encoding = data.encoding ?? 'json';
+  conn.identity = identity;
+
+  if (data.resume) {
+    const playerId = sessions.playerFor(data.resume);
+    const resumed = playerId === null ? null : takeOver(conn, playerId);
+    if (resumed) return resumed;
+  }
+
+  // The same Telegram user reconnecting (or opening a second tab) gets
+  // their existing player back rather than a duplicate
+  if (identity) {
+    const existing = telegramPlayers.get(identity.id);
+    const resumed = existing === undefined ? null : takeOver(conn, existing);
+    if (resumed) return resumed;
+    telegramPlayers.set(identity.id, conn.playerId);
+  }
+
+  const invited = data.invite ? rooms.findByInvite(data.invite) : undefined;
+  const kicked = invited !== undefined && isKickedFrom(conn, invited);
+  if (data.invite && !invited) {
+    send(conn, { type: 'roomError', reason: 'invalid_invite', code: data.invite });
+  } else if (invited && kicked) {
+    send(conn, { type: 'roomError', reason: 'kicked', roomId: invited.id });
+  }
+  if (invited && !kicked && !invited.isFull()) {
+    moveToRoom(conn, invited);
+    befriendOwner(conn, invited);
+  } else {
+    moveToRoom(conn, rooms.lobby());
+  }
+  return conn;
+}
+
+function handleMessage(conn: Connection, room: Room, data: ClientMessage) {
+  const { playerId } = conn;
+
+  switch (data.type) {
+    case 'hello':
+    case 'ping':
+      break;
+
+    case 'move':
+      room.handleMove(playerId, data.x, data.y, data.seq);
+      break;
+
+    case 'snapshotAck':
+      room.handleSnapshotAck(playerId, data.seq);
+      break;
+
+    case 'slap':
+      if (data.targetId === playerId) {
+        send(conn, protocolError('invalid_message', 'You cannot slap yourself', 'slap'));
+        break;
+      }
+      room.handleSlap(playerId, data.targetId, conn.rtt);
+      break;
+
+    case 'activatePowerUp':
+      room.handleActivatePowerUp(playerId, data.powerUpId);
+      break;
+
+    case 'updateProfile':
+      room.handleProfile(playerId, data.name);
+      break;
+
+    case 'listRooms':
+      send(conn, { type: 'roomList', rooms: rooms.list() });
+      break;
+
+    case 'createRoom':
+      moveToRoom(conn, rooms.create(roomOptions(data)));
+      break;
+
+    case 'createPrivateRoom': {
+      const next = rooms.createPrivate(playerId, roomOptions(data));
+      moveToRoom(conn, next);
+      send(conn, {
+        type: 'inviteCreated',
+        roomId: next.id,
+        code: next.inviteCode!,
+        link: inviteLink(next.inviteCode!)
+      });
+      break;
+    }
+
+    case 'joinRoom': {
+      const next = rooms.get(data.roomId);
+      if (!next || next.private) {
+        send(conn, { type: 'roomError', reason: 'not_found', roomId: data.roomId });
+      } else if (isKickedFrom(conn, next)) {
+        send(conn, { type: 'roomError', reason: 'kicked', roomId: data.roomId });
+      } else if (next !== room && next.isFull()) {
+        send(conn, { type: 'roomError', reason: 'full', roomId: data.roomId });
+      } else {
+        moveToRoom(conn, next);
+      }
+      break;
+    }
+
+    case 'joinInvite':
+      joinByInvite(conn, data.code);
+      break;
+
+    case 'leaveRoom':
+      moveToRoom(conn, rooms.lobby());
+      break;
+
+    // Bots have no connection and can't be kicked: the room's bot fill
+    // decides how many play, and each human who joins replaces one
+    case 'kickPlayer': {
+      if (!requireOwner(conn, room)) return;
+      if (room.players[data.playerId]?.bot) {
+        send(conn, { type: 'roomError', reason: 'bot', roomId: room.id });
+        return;
+      }
+      const target = connections.get(data.playerId);
+      if (!target || target === conn || target.room !== room) return;
+
+      room.kick(target.playerId);
+      send(target, { type: 'kicked', roomId: room.id });
+      moveToRoom(target, rooms.lobby());
+      log(`Player ${target.playerId} kicked from room ${room.id} by ${playerId}`);
+      break;
+    }
+
+    case 'startRound': {
+      if (!requireOwner(conn, room)) return;
+      const reason = room.startRound();
+      if (reason) send(conn, { type: 'roomError', reason, roomId: room.id });
+      break;
+    }
+  }
+}
+
+export function setupMultiplayer(wss: WebSocketServer) {
+  wss.on('connection', (ws) => {
+    // Reassigned if this socket resumes an earlier player
+    let conn: Connection = {
+      playerId: nextPlayerId(),
+      ws,
+      room: null,
+      protocolVersion: null,
+      encoding: 'json',
+      identity: null,
+      rtt: null,
+      pingSentAt: null
+    };
+
+    connections.set(conn.playerId, conn);
+
+    const handshakeTimer = setTimeout(() => {
+      if (conn.protocolVersion !== null) return;
+      send(conn, protocolError('handshake_required', 'No hello received'));
+      ws.close(PROTOCOL_CLOSE_CODE, 'handshake_timeout');
+    }, HANDSHAKE_TIMEOUT_MS);
+
+    const probeLatency = () => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      conn.pingSentAt = Date.now();
+      ws.ping();
+    };
+    probeLatency();
+    const latencyTimer = setInterval(probeLatency, LATENCY_PROBE_MS);
+
+    ws.on('pong', () => {
+      if (conn.pingSentAt === null) return;
+      const sample = Date.now() - conn.pingSentAt;
+      conn.pingSentAt = null;
+      conn.rtt = conn.rtt === null ? sample : conn.rtt + (sample - conn.rtt) * RTT_SMOOTHING;
+    });
+
+    // 'close' always follows, which takes care of the player
+    ws.on('error', (error) => {
+      log(`WebSocket error for player ${conn.playerId}: ${error.message}`);
+    });
+
+    ws.on('message', (message) => {
+      // This socket was superseded by a resumed connection
+      if (conn.ws !== ws) return;
+
+      const decoded = decodeClientMessage(message.toString());
+      if (!decoded.ok) {
+        log(`Rejected message from player ${conn.playerId}: ${decoded.error.code} ${decoded.error.message}`);
+        send(conn, decoded.error);
+        return;
+      }
+
+      const data = decoded.message;
+
+      if (data.type === 'ping') {
+        send(conn, { type: 'pong', t: data.t, serverTime: Date.now() });
+        return;
+      }
+
+      if (conn.protocolVersion === null) {
+        if (data.type === 'hello') {
+          conn = handleHello(conn, data);
+        } else {
+          send(conn, protocolError('handshake_required', 'Send hello before any other message', data.type));
+        }
+        return;
+      }
+
+      const room = conn.room;
+      if (!room || !room.players[conn.playerId]) return;
+
+      try {
+        handleMessage(conn, room, data);
+      } catch (e) {
+        log(`Error handling ${data.type} from player ${conn.playerId}: ${e}`);
+      }
+    });
+
+    ws.on('close', () => {
+      clearTimeout(handshakeTimer);
+      clearInterval(latencyTimer);
+      if (conn.ws !== ws) return;
+
+      // Players in a room keep their seat for a while in case they come back
+      const { room, playerId } = conn;
+      if (room && room.players[playerId]) {
+        room.detach(playerId);
+        sessions.suspend(playerId, () => dropConnection(conn));
+      } else {
+        dropConnection(conn);
+      }
+    });
+  });
+}
@@ -0,0 +1,188 @@
+import { isOpenGround, mapBounds, type ArenaMap } from "@shared/maps";
+import { POWER_UPS, getPowerUp } from "@shared/powerups";
+import type { Pickup, PickupKind, SpawnEntry } from "@shared/protocol";
+
+export type { Pickup, PickupKind, SpawnEntry };
+
+export interface PickupConfig {
+  intervalMs: number;
+  // 0 turns pickups off for the room
+  maxActive: number;
+  lifetimeMs: number;
+  table: SpawnEntry[];
+}
+
+// Distance from a player's centre at which a pickup is collected, before
+// the magnet power-up's pickupRadius multiplier
+export const PICKUP_RADIUS = 30;
+
+// Keeps spawns clear of the arena edges, walls and hazards
+const SPAWN_MARGIN = 30;
+// Random spots tried before giving up on a spawn until the next interval
+const SPAWN_ATTEMPTS = 20;
+
+const DEFAULT_AMOUNTS: Record<PickupKind, number | undefined> = {
+  gas: 30,
+  health: 25,
+  score: 100,
+  powerUp: undefined
+};
+
+export const DEFAULT_PICKUP_CONFIG: PickupConfig = {
+  intervalMs: 5000,
+  maxActive: 6,
+  lifetimeMs: 20000,
+  table: [
+    { kind: "gas", weight: 4 },
+    { kind: "health", weight: 2 },
+    { kind: "score", weight: 3 },
+    { kind: "powerUp", weight: 1 }
+  ]
+};
+
+const LIMITS: Record<Exclude<keyof PickupConfig, "table">, [number, number]> = {
+  intervalMs: [1000, 120000],
+  maxActive: [0, 20],
+  lifetimeMs: [2000, 300000]
+};
+
+const AMOUNT_LIMITS: [number, number] = [1, 1000];
+
+/**
+ * Merge user-supplied pickup settings over the defaults. Numbers are
+ * clamped like round settings; table rows naming an unknown power-up are
+ * dropped, and a table left empty falls back to the default one.
+ */
+export function normalizePickupConfig(input: Partial<PickupConfig> = {}): PickupConfig {
+  const config = { ...DEFAULT_PICKUP_CONFIG };
+  for (const key of Object.keys(LIMITS) as (keyof typeof LIMITS)[]) {
+    const value = Number(input[key]);
+    if (input[key] === undefined || !Number.isFinite(value)) continue;
+    const [min, max] = LIMITS[key];
+    config[key] = Math.round(Math.max(min, Math.min(max, value)));
+  }
+
+  const table = (input.table ?? [])
+    .filter(entry => entry.kind !== "powerUp" || entry.powerUpId === undefined || getPowerUp(entry.powerUpId))
+    .map(entry => entry.kind === "powerUp"
+      ? { kind: entry.kind, weight: entry.weight, powerUpId: entry.powerUpId }
+      : {
+          kind: entry.kind,
+          weight: entry.weight,
+          amount: entry.amount === undefined
+            ? undefined
+            : Math.round(Math.max(AMOUNT_LIMITS[0], Math.min(AMOUNT_LIMITS[1], entry.amount)))
+        });
+  if (table.length > 0) config.table = table;
+
+  return config;
+}
+
+interface LivePickup extends Pickup {
+  expiresAt: number;
+}
+
+/**
+ * Server-side pickup spawner for one room. A new pickup is rolled from the
+ * spawn table every `intervalMs` while fewer than `maxActive` lie in the
+ * arena, and each one despawns after `lifetimeMs` if nobody collects it.
+ */
+export class PickupSpawner {
+  readonly config: PickupConfig;
+  // Swapped by the room when it rotates maps
+  map: ArenaMap;
+  private pickups = new Map<number, LivePickup>();
+  private nextId = 1;
+  private nextSpawnAt = 0;
+
+  constructor(config: PickupConfig, map: ArenaMap) {
+    this.config = config;
+    this.map = map;
+  }
+
+  /**
+   * Despawn what has timed out and, when `spawning`, spawn what is due.
+   * Rooms only spawn during combat, but leftovers still time out between
+   * rounds.
+   */
+  update(spawning: boolean, now = Date.now()): { spawned: Pickup[]; expired: number[] } {
+    const expired: number[] = [];
+    for (const pickup of Array.from(this.pickups.values())) {
+      if (pickup.expiresAt > now) continue;
+      this.pickups.delete(pickup.id);
+      expired.push(pickup.id);
+    }
+
+    const spawned: Pickup[] = [];
+    if (spawning && now >= this.nextSpawnAt && this.pickups.size < this.config.maxActive) {
+      const pickup = this.roll(now);
+      if (pickup) {
+        this.pickups.set(pickup.id, pickup);
+        spawned.push(toWire(pickup));
+      }
+      this.nextSpawnAt = now + this.config.intervalMs;
+    }
+
+    return { spawned, expired };
+  }
+
+  /** Remove and return every pickup within `radius` of (x, y) */
+  collect(x: number, y: number, radius: number): Pickup[] {
+    const collected: Pickup[] = [];
+    for (const pickup of Array.from(this.pickups.values())) {
+      const dx = pickup.x - x;
+      const dy = pickup.y - y;
+      if (dx * dx + dy * dy > radius * radius) continue;
+      this.pickups.delete(pickup.id);
+      collected.push(toWire(pickup));
+    }
+    return collected;
+  }
+
+  list(): Pickup[] {
+    return Array.from(this.pickups.values()).map(toWire);
+  }
+
+  /** Empty the arena; the first spawn comes one interval later */
+  clear(now = Date.now()) {
+    this.pickups.clear();
+    this.nextSpawnAt = now + this.config.intervalMs;
+  }
+
+  private roll(now: number): LivePickup | null {
+    const spot = this.openSpot();
+    if (!spot) return null;
+
+    const { table } = this.config;
+    let pick = Math.random() * table.reduce((sum, entry) => sum + entry.weight, 0);
+    const entry = table.find(row => (pick -= row.weight) < 0) ?? table[table.length - 1];
+
+    const pickup: LivePickup = {
+      id: this.nextId++,
+      kind: entry.kind,
+      ...spot,
+      expiresAt: now + this.config.lifetimeMs
+    };
+
+    if (entry.kind === "powerUp") {
+      pickup.powerUpId = entry.powerUpId ?? POWER_UPS[Math.floor(Math.random() * POWER_UPS.length)].id;
+    } else {
+      pickup.amount = entry.amount ?? DEFAULT_AMOUNTS[entry.kind];
+    }
+    return pickup;
+  }
+
+  private openSpot(): { x: number; y: number } | null {
+    const bounds = mapBounds(this.map);
+    for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+      const x = Math.round(bounds.minX + SPAWN_MARGIN + Math.random() * (bounds.maxX - bounds.minX - SPAWN_MARGIN * 2));
+      const y = Math.round(bounds.minY + SPAWN_MARGIN + Math.random() * (bounds.maxY - bounds.minY - SPAWN_MARGIN * 2));
+      if (isOpenGround(this.map, x, y, SPAWN_MARGIN)) return { x, y };
+    }
+    return null;
+  }
+}
+
+function toWire({ expiresAt, ...pickup }: LivePickup): Pickup {
+  return pickup;
+}
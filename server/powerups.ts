@@ -0,0 +1,164 @@
+import { effectModifiers, getPowerUp, type EffectModifiers, type PowerUpDefinition } from "@shared/powerups";
+import { SERVER_STATS } from "@shared/achievements";
+import type { ActivePowerUp, PowerUpRejection } from "@shared/protocol";
+import { serverAchievementStats } from "./achievements";
+import { storage } from "./storage";
+
+export type ActivationResult =
+  | { ok: true; durationMs: number; cooldownMs: number }
+  | { ok: false; reason: PowerUpRejection; retryInMs?: number };
+
+
+/**
+ * Whether a player may use a power-up in the arena. Power-ups without an
+ * unlock condition are open to everyone, guests included; the rest need a
+ * verified player who has reached it. Server-counted stats are checked
+ * directly, anything else through the unlocks in the player's cloud save.
+ */
+export async function isPowerUpUnlocked(definition: PowerUpDefinition, telegramId: number | null): Promise<boolean> {
+  const { stat, atLeast } = definition.unlock;
+  if (atLeast <= 0) return true;
+  if (telegramId === null) return false;
+
+  if (SERVER_STATS.includes(stat)) {
+    const stats = await serverAchievementStats(telegramId);
+    return stats[stat as keyof typeof stats] >= atLeast;
+  }
+  const save = await storage.getCloudSave(telegramId);
+  return Boolean(save?.progress.powerUps[definition.id]?.unlocked);
+}
+
+/**
+ * When each player may next activate each power-up. Player ids are unique
+ * server-wide and kept across room moves, so one store serves every room and
+ * a cooldown follows the player out of a room and into the next. Entries
+ * are pruned once they have passed.
+ */
+export class PowerUpCooldowns {
+  // Time each power-up may next be activated, by player id and power-up id
+  private readyAt = new Map<number, Map<string, number>>();
+
+  readyAtFor(playerId: number, powerUpId: string): number {
+    return this.readyAt.get(playerId)?.get(powerUpId) ?? 0;
+  }
+
+  start(playerId: number, powerUpId: string, readyAt: number, now = Date.now()) {
+    this.prune(now);
+    let player = this.readyAt.get(playerId);
+    if (!player) {
+      player = new Map();
+      this.readyAt.set(playerId, player);
+    }
+    player.set(powerUpId, readyAt);
+  }
+
+  private prune(now: number) {
+    for (const [playerId, player] of Array.from(this.readyAt.entries())) {
+      for (const [powerUpId, readyAt] of Array.from(player.entries())) {
+        if (readyAt <= now) player.delete(powerUpId);
+      }
+      if (player.size === 0) this.readyAt.delete(playerId);
+    }
+  }
+}
+
+export const powerUpCooldowns = new PowerUpCooldowns();
+
+/**
+ * Server-side power-up timers for one room. Callers check unlocks first
+ * (see isPowerUpUnlocked); from there the cooldown is the only limit.
+ * Effects are read through modifiers(), which ignores anything past its
+ * expiry even before expire() has swept it.
+ */
+export class PowerUpTracker {
+  // Expiry time by player id and power-up id
+  private players = new Map<number, Map<string, number>>();
+  private cooldowns: PowerUpCooldowns;
+
+  constructor(cooldowns = powerUpCooldowns) {
+    this.cooldowns = cooldowns;
+  }
+
+  private activeFor(playerId: number): Map<string, number> {
+    let active = this.players.get(playerId);
+    if (!active) {
+      active = new Map();
+      this.players.set(playerId, active);
+    }
+    return active;
+  }
+
+  activate(playerId: number, powerUpId: string, now = Date.now()): ActivationResult {
+    const definition = getPowerUp(powerUpId);
+    if (!definition) return { ok: false, reason: "unknown" };
+
+    const active = this.activeFor(playerId);
+    if ((active.get(powerUpId) ?? 0) > now) return { ok: false, reason: "already_active" };
+
+    const readyAt = this.cooldowns.readyAtFor(playerId, powerUpId);
+    if (readyAt > now) return { ok: false, reason: "cooling_down", retryInMs: readyAt - now };
+
+    active.set(powerUpId, now + definition.durationMs);
+    this.cooldowns.start(playerId, powerUpId, now + definition.cooldownMs, now);
+    return { ok: true, durationMs: definition.durationMs, cooldownMs: definition.cooldownMs };
+  }
+
+  /**
+   * Start a power-up without spending or checking its cooldown, as arena
+   * crates do. One already running restarts at full duration.
+   */
+  grant(playerId: number, powerUpId: string, now = Date.now()): ActivationResult {
+    const definition = getPowerUp(powerUpId);
+    if (!definition) return { ok: false, reason: "unknown" };
+
+    this.activeFor(playerId).set(powerUpId, now + definition.durationMs);
+    const readyAt = this.cooldowns.readyAtFor(playerId, powerUpId);
+    return { ok: true, durationMs: definition.durationMs, cooldownMs: Math.max(0, readyAt - now) };
+  }
+
+  modifiers(playerId: number, now = Date.now()): EffectModifiers {
+    const active = this.players.get(playerId);
+    const running = active
+      ? Array.from(active.entries()).filter(([, expiresAt]) => expiresAt > now).map(([id]) => id)
+      : [];
+    return effectModifiers(running);
+  }
+
+  /** Drop every activation that has run out and report which they were */
+  expire(now = Date.now()): { playerId: number; powerUpId: string }[] {
+    const expired: { playerId: number; powerUpId: string }[] = [];
+    for (const [playerId, active] of Array.from(this.players.entries())) {
+      for (const [powerUpId, expiresAt] of Array.from(active.entries())) {
+        if (expiresAt > now) continue;
+        active.delete(powerUpId);
+        expired.push({ playerId, powerUpId });
+      }
+    }
+    return expired;
+  }
+
+  /** Everything still running, for players who arrive mid-effect */
+  active(now = Date.now()): ActivePowerUp[] {
+    const running: ActivePowerUp[] = [];
+    for (const [id, active] of Array.from(this.players.entries())) {
+      for (const [powerUpId, expiresAt] of Array.from(active.entries())) {
+        if (expiresAt > now) running.push({ id, powerUpId, remainingMs: expiresAt - now });
+      }
+    }
+    return running;
+  }
+
+  /** End a departing player's effects; their cooldowns stay with them */
+  remove(playerId: number) {
+    this.players.delete(playerId);
+  }
+
+  /**
+   * Effects end with each round. Cooldowns live in PowerUpCooldowns and
+   * carry over, so a long cooldown can't be dodged by waiting for the next
+   * round or by leaving and rejoining.
+   */
+  reset() {
+    this.players.clear();
+  }
+}
@@ -0,0 +1,64 @@
+import type { Express } from "express";
+import { fromZodError } from "zod-validation-error";
+import { PROGRESS_SCHEMA_VERSION, mergeProgress, progressSnapshotSchema } from "@shared/progress";
+import type { CloudSave } from "@shared/schema";
+import { storage } from "./storage";
+import { telegramAuth, requireTelegramUser } from "./telegram-auth";
+
+// Concurrent saves from two devices retry the merge this many times
+const MAX_SAVE_ATTEMPTS = 3;
+
+function toWire(save: CloudSave) {
+  return {
+    schemaVersion: save.schemaVersion,
+    revision: save.revision,
+    progress: save.progress,
+    updatedAt: save.updatedAt.getTime()
+  };
+}
+
+/**
+ * Cloud saves, one per verified Telegram user:
+ *
+ *   GET /api/progress  → { save } (null before the first upload)
+ *   PUT /api/progress  { schemaVersion, progress } → { save }
+ *
+ * A PUT never overwrites: the upload is merged into the stored copy with
+ * mergeProgress, and the reconciled result comes back for the client to
+ * adopt.
+ */
+export function registerProgressRoutes(app: Express) {
+  app.get("/api/progress", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    try {
+      const save = await storage.getCloudSave(req.telegramUser!.id);
+      res.json({ save: save ? toWire(save) : null });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put("/api/progress", telegramAuth(), requireTelegramUser, async (req, res, next) => {
+    const body = progressSnapshotSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({
+        message: fromZodError(body.error).message,
+        schemaVersion: PROGRESS_SCHEMA_VERSION
+      });
+    }
+
+    try {
+      const telegramId = req.telegramUser!.id;
+
+      for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+        const current = await storage.getCloudSave(telegramId);
+        const progress = current ? mergeProgress(current.progress, body.data.progress) : body.data.progress;
+        const saved = await storage.putCloudSave(telegramId, progress, current?.revision ?? 0);
+        if (saved) return res.json({ save: toWire(saved) });
+      }
+
+      res.status(409).json({ message: "Progress is being saved from another device, try again" });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
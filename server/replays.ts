@@ -0,0 +1,153 @@
+import type { Express } from "express";
+import { nanoid } from "nanoid";
+import type { ArenaPlayer, GameMode, RoundResult, TeamResult, ZoneInfo } from "@shared/protocol";
+import { REPLAY_SAMPLE_MS, REPLAY_VERSION, type MatchReplay, type ReplayEvent } from "@shared/replay";
+import type { MatchReplayRecord } from "@shared/schema";
+import { storage } from "./storage";
+
+// Only the newest replays are kept; saving one prunes the rest
+export const MAX_REPLAYS = 200;
+// Long enough that replay ids can't be guessed
+const REPLAY_ID_LENGTH = 16;
+
+interface ReplayHeader {
+  roomId: string;
+  round: number;
+  mode: GameMode;
+  mapId: string;
+}
+
+// Positions to the pixel; health and damage to a tenth
+function whole(value: number): number {
+  return Math.round(value);
+}
+
+function tenths(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function snapshotPlayer(player: ArenaPlayer): ArenaPlayer {
+  return { ...player, x: whole(player.x), y: whole(player.y), health: tenths(player.health) };
+}
+
+/**
+ * Records one round as a MatchReplay (see shared/replay.ts). The room
+ * starts a recorder when the round goes active, reports joins, leaves,
+ * slaps, hits, deaths and zone stages as they happen, and calls sample()
+ * from its snapshot timer so movement is logged at REPLAY_SAMPLE_MS.
+ */
+export class ReplayRecorder {
+  private header: ReplayHeader;
+  private startedAt: number;
+  private players: Record<number, ArenaPlayer> = {};
+  private events: ReplayEvent[] = [];
+  // Last logged position per player, and when it was logged
+  private positions = new Map<number, { x: number; y: number; at: number }>();
+
+  constructor(header: ReplayHeader, players: Record<number, ArenaPlayer>, now = Date.now()) {
+    this.header = header;
+    this.startedAt = now;
+    for (const player of Object.values(players)) {
+      this.players[player.id] = snapshotPlayer(player);
+      this.positions.set(player.id, { x: whole(player.x), y: whole(player.y), at: now });
+    }
+  }
+
+  private time(now: number): number {
+    return Math.max(0, Math.round(now - this.startedAt));
+  }
+
+  join(player: ArenaPlayer, now = Date.now()) {
+    this.events.push([this.time(now), "join", snapshotPlayer(player)]);
+    this.positions.set(player.id, { x: whole(player.x), y: whole(player.y), at: now });
+  }
+
+  leave(playerId: number, now = Date.now()) {
+    this.events.push([this.time(now), "leave", playerId]);
+    this.positions.delete(playerId);
+  }
+
+  /**
+   * Both players' positions are logged first, off the sampling schedule, so
+   * the replay shows exactly where they stood when the slap was thrown
+   */
+  slap(attacker: ArenaPlayer, target: ArenaPlayer | null, now = Date.now()) {
+    this.logPosition(attacker, now, true);
+    if (target) this.logPosition(target, now, true);
+    this.events.push([this.time(now), "slap", attacker.id, target?.id ?? null]);
+  }
+
+  // `attackerId` is null for hazard and zone damage
+  hit(playerId: number, attackerId: number | null, damage: number, health: number, now = Date.now()) {
+    this.events.push([this.time(now), "hit", playerId, attackerId, tenths(damage), tenths(health)]);
+  }
+
+  death(playerId: number, killerId: number | null, now = Date.now()) {
+    this.events.push([this.time(now), "death", playerId, killerId]);
+  }
+
+  zone(zone: ZoneInfo | null, now = Date.now()) {
+    this.events.push([this.time(now), "zone", zone]);
+  }
+
+  /** Log everyone who moved since their last logged position */
+  sample(players: Record<number, ArenaPlayer>, now = Date.now()) {
+    for (const player of Object.values(players)) this.logPosition(player, now, false);
+  }
+
+  finish(results: RoundResult[], teamResults: TeamResult[] | undefined, now = Date.now()): MatchReplay {
+    return {
+      version: REPLAY_VERSION,
+      ...this.header,
+      startedAt: this.startedAt,
+      durationMs: this.time(now),
+      players: this.players,
+      events: this.events,
+      results,
+      teamResults
+    };
+  }
+
+  private logPosition(player: ArenaPlayer, now: number, force: boolean) {
+    const last = this.positions.get(player.id);
+    if (!last || (!force && now - last.at < REPLAY_SAMPLE_MS)) return;
+
+    const x = whole(player.x);
+    const y = whole(player.y);
+    if (x === last.x && y === last.y) return;
+    this.events.push([this.time(now), "move", player.id, x, y]);
+    this.positions.set(player.id, { x, y, at: now });
+  }
+}
+
+/** Store a finished replay under a fresh id */
+export function saveReplay(replay: MatchReplay): Promise<MatchReplayRecord> {
+  return storage.saveReplay(
+    { id: nanoid(REPLAY_ID_LENGTH), roomId: replay.roomId, round: replay.round, replay },
+    MAX_REPLAYS
+  );
+}
+
+/**
+ * Replay downloads. Anyone holding a replay's id may fetch it; rooms hand
+ * ids out to everyone in the room when the round ends.
+ *
+ *   GET /api/replays/:id            → MatchReplay (see shared/replay.ts)
+ *   GET /api/replays/:id?download   → the same, as a file attachment
+ */
+export function registerReplayRoutes(app: Express) {
+  app.get("/api/replays/:id", async (req, res, next) => {
+    try {
+      const record = await storage.getReplay(req.params.id);
+      if (!record) {
+        return res.status(404).json({ message: `Replay ${req.params.id} not found` });
+      }
+      if (req.query.download !== undefined) {
+        res.attachment(`replay-${record.roomId}-round-${record.round}.json`);
+      }
+      res.json(record.replay);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
@@ -0,0 +1,1048 @@
+import { WebSocket } from "ws";
+import { nanoid } from "nanoid";
+import {
+  SNAPSHOT_PROTOCOL_VERSION,
+  encodeServerMessage,
+  type ArenaPlayer,
+  type GameMode,
+  type RoomSummary,
+  type RoundResult,
+  type ServerMessage,
+  type TeamResult
+} from "@shared/protocol";
+import {
+  SNAPSHOT_INTERVAL_MS,
+  SnapshotHistory,
+  captureState,
+  diffStates,
+  encodeSnapshot,
+  type SnapshotEncoding
+} from "@shared/snapshot";
+import {
+  MAPS,
+  blocksLineOfSight,
+  getMap,
+  hazardDamageAt,
+  isOpenGround,
+  moveWithCollision,
+  type ArenaMap
+} from "@shared/maps";
+import { PLAYER_RADIUS, SLAP_DAMAGE, SLAP_GAS_COST, SLAP_RANGE } from "@shared/arena";
+import { getPowerUp } from "@shared/powerups";
+import { isTeammate, teamScores } from "@shared/teams";
+import { log } from "./vite";
+import { storage } from "./storage";
+import { grantServerAchievements } from "./achievements";
+import { MovementTracker } from "./movement";
+import { PositionHistory, rewindFor } from "./lagcomp";
+import { PowerUpTracker, isPowerUpUnlocked, type ActivationResult } from "./powerups";
+import { PICKUP_RADIUS, PickupSpawner, normalizePickupConfig, type PickupConfig } from "./pickups";
+import { ShrinkingZone } from "./zone";
+import { balanceTeams, normalizeTeamConfig, pickTeam, type TeamConfig } from "./teams";
+import { BOT_PROFILES, BotBrain, normalizeBotConfig, type BotConfig } from "./bots";
+import { ReplayRecorder, saveReplay } from "./replays";
+import {
+  RoundLifecycle,
+  normalizeRoundConfig,
+  type RoundConfig,
+  type RoundHost,
+  type RoundPhase,
+  type RoundState
+} from "./rounds";
+
+export type { ArenaPlayer, RoomSummary, RoundResult };
+
+export interface RoomOptions {
+  name?: string;
+  maxPlayers?: number;
+  persistent?: boolean;
+  private?: boolean;
+  ownerId?: number;
+  round?: Partial<RoundConfig>;
+  pickups?: Partial<PickupConfig>;
+  // Map ids played in turn, one per round; defaults to every map
+  maps?: string[];
+  mode?: GameMode;
+  // Set to play in teams, in either mode
+  teams?: Partial<TeamConfig>;
+  bots?: Partial<BotConfig>;
+}
+
+/** Per-connection details the room needs to seat a player */
+export interface SessionInfo {
+  protocolVersion: number;
+  resumeToken: string;
+  encoding: SnapshotEncoding;
+  telegramId: number | null;
+  // Verified display name, applied before anyone sees the player
+  name?: string;
+}
+
+interface RoomClient {
+  ws: WebSocket;
+  protocolVersion: number;
+  encoding: SnapshotEncoding;
+  // Newest snapshot the client confirmed; 0 until the first ack
+  ackedSnapshot: number;
+  // Acks below this predate the client joining and are ignored
+  firstSnapshot: number;
+  lastInputSeq?: number;
+}
+
+export const LOBBY_ROOM_ID = "lobby";
+
+const DEFAULT_MAX_PLAYERS = 50;
+const TICK_INTERVAL_MS = 1000;
+// Bots move and slap this often, about as often as a client sends input
+const BOT_INTERVAL_MS = 100;
+const SUDDEN_DEATH_DAMAGE_MULTIPLIER = 2;
+// How far from its spawn point a player may appear, so spawns don't stack
+const SPAWN_JITTER = 20;
+// The lobby seats this many bots so a lone player has someone to slap.
+// LOBBY_BOTS overrides it (0 turns them off), LOBBY_BOT_DIFFICULTY sets
+// easy, normal or hard.
+const DEFAULT_LOBBY_BOTS = 2;
+
+// Sockets and bots draw player ids from the same sequence
+let lastPlayerId = 0;
+
+export function nextPlayerId(): number {
+  return ++lastPlayerId;
+}
+
+// Invite codes skip look-alike characters so they survive being read aloud
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_LENGTH = 6;
+
+function generateInviteCode(): string {
+  let code = "";
+  for (let i = 0; i < INVITE_LENGTH; i++) {
+    code += INVITE_ALPHABET[Math.floor(Math.random() * INVITE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function mapPool(ids: string[] = []): ArenaMap[] {
+  const pool = ids.map(id => getMap(id)).filter((map): map is ArenaMap => map !== undefined);
+  return pool.length > 0 ? pool : [...MAPS];
+}
+
+export function createArenaPlayer(id: number, map: ArenaMap): ArenaPlayer {
+  const spawn = map.spawns[Math.floor(Math.random() * map.spawns.length)];
+  const jittered = moveWithCollision(
+    map,
+    spawn,
+    spawn.x + (Math.random() * 2 - 1) * SPAWN_JITTER,
+    spawn.y + (Math.random() * 2 - 1) * SPAWN_JITTER
+  );
+  const { x, y } = isOpenGround(map, jittered.x, jittered.y, PLAYER_RADIUS) ? jittered : spawn;
+
+  return {
+    id,
+    x,
+    y,
+    health: 100,
+    gas: 100,
+    alive: true,
+    score: 0,
+    combo: 1
+  };
+}
+
+/**
+ * A single slap arena. Each room owns its players, sockets, tick loop and
+ * round lifecycle; broadcasts never leave the room.
+ */
+export class Room implements RoundHost {
+  readonly id: string;
+  readonly name: string;
+  readonly maxPlayers: number;
+  readonly persistent: boolean;
+  readonly private: boolean;
+  readonly createdAt: number;
+  inviteCode: string | null = null;
+  ownerId: number | null;
+  players: Record<number, ArenaPlayer> = {};
+  readonly mode: GameMode;
+  // Team settings in rooms with teams, null otherwise
+  readonly teams: TeamConfig | null;
+  readonly botConfig: BotConfig;
+  readonly mapPool: ArenaMap[];
+  map: ArenaMap;
+  readonly lifecycle: RoundLifecycle;
+  readonly pickups: PickupSpawner;
+  private results: RoundResult[] = [];
+  private teamResults: TeamResult[] = [];
+  private roundStartedAt: number | null = null;
+  // Verified Telegram users by player id, for match history
+  private telegramIds = new Map<number, number>();
+  // Players the owner kicked, who may not come back: verified users by
+  // Telegram id, so a new connection doesn't get around it, others by player id
+  private kickedTelegramIds = new Set<number>();
+  private kickedPlayerIds = new Set<number>();
+  // Knockouts of other humans this round by player id; these feed the
+  // knockout achievements, so self-eliminations and bots don't count
+  private knockouts = new Map<number, number>();
+  // When each player was knocked out this round, by player id
+  private eliminations = new Map<number, number>();
+  // Battle-royale safe zone while a round is being fought
+  private zone: ShrinkingZone | null = null;
+  // Records the round while it is being played
+  private replay: ReplayRecorder | null = null;
+  private movement: MovementTracker;
+  private history = new PositionHistory();
+  private powerUps = new PowerUpTracker();
+  // Seated bots by player id; they are players without a socket
+  private bots = new Map<number, BotBrain>();
+  private clients = new Map<number, RoomClient>();
+  private snapshots = new SnapshotHistory();
+  private snapshotSeq = 0;
+  private tickTimer: NodeJS.Timeout | null = null;
+  private snapshotTimer: NodeJS.Timeout | null = null;
+  private botTimer: NodeJS.Timeout | null = null;
+
+  constructor(id: string, options: RoomOptions = {}) {
+    this.id = id;
+    this.name = options.name || `Arena ${id}`;
+    this.maxPlayers = options.maxPlayers || DEFAULT_MAX_PLAYERS;
+    this.persistent = Boolean(options.persistent);
+    this.private = Boolean(options.private);
+    this.ownerId = options.ownerId ?? null;
+    this.createdAt = Date.now();
+    this.mode = options.mode ?? 'classic';
+    this.teams = options.teams ? normalizeTeamConfig(options.teams) : null;
+    this.botConfig = normalizeBotConfig(options.bots);
+    this.mapPool = mapPool(options.maps);
+    this.map = this.mapPool[0];
+    this.movement = new MovementTracker(this.map);
+    this.lifecycle = new RoundLifecycle(this, normalizeRoundConfig(options.round));
+    this.pickups = new PickupSpawner(normalizePickupConfig(options.pickups), this.map);
+  }
+
+  // Includes players whose connection dropped and who may still resume
+  get playerCount(): number {
+    return Object.keys(this.players).length;
+  }
+
+  get botCount(): number {
+    return this.bots.size;
+  }
+
+  // Bots give up their seats to humans, so only humans fill a room
+  isFull(): boolean {
+    return this.playerCount - this.bots.size >= this.maxPlayers;
+  }
+
+  summary(): RoomSummary {
+    return {
+      id: this.id,
+      name: this.name,
+      playerCount: this.playerCount,
+      maxPlayers: this.maxPlayers,
+      createdAt: this.createdAt,
+      private: this.private,
+      ownerId: this.ownerId,
+      phase: this.lifecycle.phase,
+      mapId: this.map.id,
+      mode: this.mode,
+      teams: this.teams
+    };
+  }
+
+  hasPlayer(playerId: number): boolean {
+    return Boolean(this.players[playerId]);
+  }
+
+  isOwner(playerId: number): boolean {
+    return this.ownerId === playerId;
+  }
+
+  /** Bar a seated player from rejoining; the caller moves them out */
+  kick(playerId: number) {
+    const telegramId = this.telegramIds.get(playerId);
+    if (telegramId !== undefined) this.kickedTelegramIds.add(telegramId);
+    else this.kickedPlayerIds.add(playerId);
+  }
+
+  isKicked(playerId: number, telegramId: number | null): boolean {
+    if (telegramId !== null && this.kickedTelegramIds.has(telegramId)) return true;
+    return this.kickedPlayerIds.has(playerId);
+  }
+
+  start() {
+    if (this.tickTimer) return;
+    this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.snapshotTimer = setInterval(() => this.sendSnapshots(), SNAPSHOT_INTERVAL_MS);
+    this.botTimer = setInterval(() => this.updateBots(), BOT_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.tickTimer) clearInterval(this.tickTimer);
+    if (this.snapshotTimer) clearInterval(this.snapshotTimer);
+    if (this.botTimer) clearInterval(this.botTimer);
+    this.tickTimer = null;
+    this.snapshotTimer = null;
+    this.botTimer = null;
+    this.lifecycle.stop();
+  }
+
+  broadcast(data: ServerMessage) {
+    const msg = encodeServerMessage(data);
+    this.clients.forEach(client => {
+      if (client.ws.readyState === WebSocket.OPEN) client.ws.send(msg);
+    });
+  }
+
+  /** State updates that snapshot-capable clients get from snapshots instead */
+  private broadcastLegacy(data: ServerMessage) {
+    const msg = encodeServerMessage(data);
+    this.clients.forEach(client => {
+      if (client.protocolVersion < SNAPSHOT_PROTOCOL_VERSION && client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(msg);
+      }
+    });
+  }
+
+  sendTo(playerId: number, data: ServerMessage) {
+    const client = this.clients.get(playerId);
+    if (client && client.ws.readyState === WebSocket.OPEN) client.ws.send(encodeServerMessage(data));
+  }
+
+  private connect(ws: WebSocket, playerId: number, session: SessionInfo) {
+    this.clients.set(playerId, {
+      ws,
+      protocolVersion: session.protocolVersion,
+      encoding: session.encoding,
+      ackedSnapshot: 0,
+      firstSnapshot: this.snapshotSeq + 1
+    });
+  }
+
+  // Put a new player in the arena, on a team if the room has teams
+  private seat(playerId: number, name?: string): ArenaPlayer {
+    const others = Object.values(this.players);
+    const player = createArenaPlayer(playerId, this.map);
+    if (name) player.name = name;
+    if (this.teams) player.team = pickTeam(others, this.teams.count);
+    this.players[playerId] = player;
+    this.movement.reset(playerId);
+    this.history.reset(playerId, player.x, player.y);
+
+    // Late joiners spectate until the next round starts
+    if (this.lifecycle.combatEnabled) player.alive = false;
+    this.replay?.join(player);
+    return player;
+  }
+
+  addPlayer(ws: WebSocket, playerId: number, session: SessionInfo) {
+    this.seat(playerId, session.name);
+    if (session.telegramId !== null) this.telegramIds.set(playerId, session.telegramId);
+    this.connect(ws, playerId, session);
+
+    if (this.ownerId === null && !this.persistent) this.ownerId = playerId;
+
+    this.sendInit(playerId, session, false);
+    this.broadcast({ type: 'playerJoined', player: this.players[playerId] });
+
+    log(`Player ${playerId} joined room ${this.id}. Players in room: ${this.playerCount}`);
+    this.fillBots();
+    this.lifecycle.check();
+  }
+
+  /**
+   * Keep the arena at botConfig.fill players while any human is in it: a
+   * bot leaves for each human who joins and comes back when one leaves.
+   * With no humans left every bot goes, so an empty room can close.
+   */
+  private fillBots() {
+    const humans = this.playerCount - this.bots.size;
+    const wanted = humans === 0 ? 0 : Math.max(0, Math.min(this.botConfig.fill, this.maxPlayers) - humans);
+
+    while (this.bots.size > wanted) {
+      // Newest bots leave first
+      this.removePlayer(Array.from(this.bots.keys()).pop()!);
+    }
+    while (this.bots.size < wanted) {
+      const playerId = nextPlayerId();
+      const player = this.seat(playerId, `Bot ${playerId}`);
+      player.bot = true;
+      this.bots.set(playerId, new BotBrain(BOT_PROFILES[this.botConfig.difficulty]));
+      this.broadcast({ type: 'playerJoined', player });
+      log(`Bot ${playerId} (${this.botConfig.difficulty}) joined room ${this.id}`);
+    }
+  }
+
+  /**
+   * Drop a player's socket but keep their seat, e.g. while a resume grace
+   * period runs. They stay in the round and can still be slapped.
+   */
+  detach(playerId: number) {
+    if (!this.clients.delete(playerId)) return;
+    log(`Player ${playerId} disconnected from room ${this.id}, holding their seat`);
+  }
+
+  /** Give a detached player a new socket and resend the full room state */
+  reattach(ws: WebSocket, playerId: number, session: SessionInfo) {
+    if (!this.players[playerId]) return;
+
+    this.connect(ws, playerId, session);
+    this.movement.reset(playerId);
+    this.sendInit(playerId, session, true);
+    log(`Player ${playerId} resumed in room ${this.id}`);
+  }
+
+  private sendInit(playerId: number, session: SessionInfo, resumed: boolean) {
+    this.sendTo(playerId, {
+      type: 'init',
+      protocolVersion: session.protocolVersion,
+      id: playerId,
+      roomId: this.id,
+      room: this.summary(),
+      inviteCode: this.inviteCode,
+      round: this.roundInfo(),
+      players: this.players,
+      resumeToken: session.resumeToken,
+      resumed,
+      telegramId: session.telegramId,
+      powerUps: this.powerUps.active(),
+      pickups: this.pickups.list(),
+      zone: this.zone?.info() ?? null
+    });
+  }
+
+  removePlayer(playerId: number) {
+    if (!this.players[playerId]) return;
+
+    const bot = this.bots.delete(playerId);
+    delete this.players[playerId];
+    this.clients.delete(playerId);
+    this.telegramIds.delete(playerId);
+    this.movement.remove(playerId);
+    this.history.remove(playerId);
+    this.powerUps.remove(playerId);
+    this.replay?.leave(playerId);
+    this.broadcast({ type: 'playerLeft', id: playerId });
+
+    // Hand ownership to the longest-standing remaining player
+    if (this.ownerId === playerId) {
+      const nextOwner = Array.from(this.clients.keys())[0];
+      this.ownerId = nextOwner ?? null;
+      if (this.ownerId !== null) {
+        this.broadcast({ type: 'ownerChanged', roomId: this.id, ownerId: this.ownerId });
+      }
+    }
+
+    log(`${bot ? 'Bot' : 'Player'} ${playerId} left room ${this.id}. Players in room: ${this.playerCount}`);
+    if (!bot) this.fillBots();
+    this.lifecycle.check();
+  }
+
+  // With teams, a team still standing counts once, so the round ends when
+  // only one team is left
+  aliveCount(): number {
+    const alive = Object.values(this.players).filter(player => player.alive);
+    if (!this.teams) return alive.length;
+    return new Set(alive.map(player => player.team)).size;
+  }
+
+  handleMove(playerId: number, x: number, y: number, seq?: number) {
+    const player = this.players[playerId];
+    if (!player || !player.alive) return;
+
+    const result = this.movement.apply(playerId, player, x, y);
+    player.x = result.x;
+    player.y = result.y;
+    this.history.record(playerId, player.x, player.y);
+    this.collectPickups(player);
+
+    const client = this.clients.get(playerId);
+    if (client && seq !== undefined) client.lastInputSeq = seq;
+
+    if (result.corrected) {
+      this.sendTo(playerId, { type: 'positionCorrection', x: player.x, y: player.y, reason: result.reason!, seq });
+    }
+    this.broadcastLegacy({ type: 'playerMoved', id: playerId, x: player.x, y: player.y, seq });
+  }
+
+  handleSnapshotAck(playerId: number, seq: number) {
+    const client = this.clients.get(playerId);
+    if (!client || seq < client.firstSnapshot || seq > this.snapshotSeq) return;
+    client.ackedSnapshot = Math.max(client.ackedSnapshot, seq);
+  }
+
+  /**
+   * `rttMs` is the attacker's measured round trip. The target is rewound to
+   * where the attacker saw them before the range check, so a slap that
+   * connected on a laggy screen still lands (within MAX_REWIND_MS). Bots
+   * pass none and are checked against live positions.
+   *
+   * Walls and cover between the two block the slap. The attacker's
+   * power-ups scale gas cost and points earned; the target's scale the
+   * damage taken. Teammates are passed over unless the room has friendly
+   * fire on, and even then hitting one scores nothing.
+   */
+  handleSlap(playerId: number, targetId: number | null | undefined, rttMs: number | null = null) {
+    const player = this.players[playerId];
+    if (!player || !player.alive || !this.lifecycle.combatEnabled) return;
+    // A player can't be their own target
+    if (targetId === playerId) return;
+
+    const now = Date.now();
+    const effects = this.powerUps.modifiers(playerId, now);
+    const gasCost = SLAP_GAS_COST * effects.gasCost;
+    if (player.gas < gasCost) return;
+
+    player.gas -= gasCost;
+    player.combo = Math.min(player.combo + 1, 50);
+    let points = 10;
+
+    // Check for hits on nearby players
+    const target = targetId ? this.players[targetId] : undefined;
+    const friendly = target !== undefined && isTeammate(player, target);
+    this.replay?.slap(player, target ?? null, now);
+    if (target && target.alive && (!friendly || this.teams?.friendlyFire)) {
+      const rewindMs = rewindFor(rttMs);
+      const seen = this.history.at(target.id, now - rewindMs) ?? target;
+      const dx = seen.x - player.x;
+      const dy = seen.y - player.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < SLAP_RANGE && !blocksLineOfSight(this.map, player.x, player.y, seen.x, seen.y)) {
+        const base = this.lifecycle.phase === 'sudden_death' ? SLAP_DAMAGE * SUDDEN_DEATH_DAMAGE_MULTIPLIER : SLAP_DAMAGE;
+        const damage = base * this.powerUps.modifiers(target.id, now).damageTaken;
+        target.health -= damage;
+        this.replay?.hit(target.id, playerId, damage, target.health, now);
+        if (!friendly) points += 50 * player.combo;
+
+        if (target.health <= 0) {
+          if (!friendly) {
+            points += 200;
+            if (target.id !== playerId && !target.bot) {
+              this.knockouts.set(playerId, (this.knockouts.get(playerId) ?? 0) + 1);
+            }
+          }
+          this.eliminate(target, playerId);
+        }
+
+        this.broadcast({
+          type: 'playerHit',
+          id: target.id,
+          health: target.health,
+          attacker: playerId,
+          damage,
+          distance: Math.round(dist * 10) / 10,
+          rewindMs
+        });
+      }
+    }
+
+    player.score += Math.round(points * effects.scoreMultiplier);
+
+    this.broadcast({
+      type: 'playerUpdate',
+      id: playerId,
+      gas: player.gas,
+      score: player.score,
+      combo: player.combo
+    });
+
+    this.lifecycle.check();
+  }
+
+  // `killerId` is null for deaths to hazards and the zone
+  private eliminate(player: ArenaPlayer, killerId: number | null) {
+    player.alive = false;
+    this.eliminations.set(player.id, Date.now());
+    this.replay?.death(player.id, killerId);
+    this.broadcast({ type: 'playerDied', id: player.id, killerId });
+  }
+
+  handleActivatePowerUp(playerId: number, powerUpId: string) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    if (!player.alive || !this.lifecycle.combatEnabled) {
+      this.sendTo(playerId, { type: 'powerUpRejected', powerUpId, reason: 'not_in_combat' });
+      return;
+    }
+
+    const definition = getPowerUp(powerUpId);
+    if (!definition) {
+      this.sendTo(playerId, { type: 'powerUpRejected', powerUpId, reason: 'unknown' });
+      return;
+    }
+
+    isPowerUpUnlocked(definition, this.telegramIds.get(playerId) ?? null)
+      .catch(error => {
+        log(`Failed to look up power-up unlocks for player ${playerId}: ${error.message}`);
+        return false;
+      })
+      .then(unlocked => {
+        if (!unlocked) {
+          this.sendTo(playerId, { type: 'powerUpRejected', powerUpId, reason: 'locked' });
+          return;
+        }
+        this.activatePowerUp(playerId, powerUpId);
+      });
+  }
+
+  // Once unlocks are confirmed; the round may have moved on meanwhile
+  private activatePowerUp(playerId: number, powerUpId: string) {
+    const player = this.players[playerId];
+    if (!player) return;
+    if (!player.alive || !this.lifecycle.combatEnabled) {
+      this.sendTo(playerId, { type: 'powerUpRejected', powerUpId, reason: 'not_in_combat' });
+      return;
+    }
+
+    const result = this.powerUps.activate(playerId, powerUpId);
+    if (!result.ok) {
+      this.sendTo(playerId, { type: 'powerUpRejected', powerUpId, reason: result.reason, retryInMs: result.retryInMs });
+      return;
+    }
+    this.announcePowerUp(playerId, powerUpId, result);
+  }
+
+  private announcePowerUp(playerId: number, powerUpId: string, result: Extract<ActivationResult, { ok: true }>) {
+    this.broadcast({
+      type: 'powerUpActivated',
+      id: playerId,
+      powerUpId,
+      durationMs: result.durationMs,
+      cooldownMs: result.cooldownMs
+    });
+  }
+
+  /**
+   * Hand the player whatever lies within their pickup radius. Runs on every
+   * accepted move and after each spawn, so the server alone decides what
+   * was reached.
+   */
+  private collectPickups(player: ArenaPlayer) {
+    if (!player.alive || !this.lifecycle.combatEnabled) return;
+
+    const radius = PICKUP_RADIUS * this.powerUps.modifiers(player.id).pickupRadius;
+    for (const pickup of this.pickups.collect(player.x, player.y, radius)) {
+      switch (pickup.kind) {
+        case 'gas':
+          player.gas = Math.min(100, player.gas + pickup.amount!);
+          break;
+        case 'health':
+          player.health = Math.min(100, player.health + pickup.amount!);
+          break;
+        case 'score':
+          player.score += pickup.amount!;
+          break;
+        case 'powerUp': {
+          const result = this.powerUps.grant(player.id, pickup.powerUpId!);
+          if (result.ok) this.announcePowerUp(player.id, pickup.powerUpId!, result);
+          break;
+        }
+      }
+
+      this.broadcast({
+        type: 'pickupCollected',
+        id: pickup.id,
+        playerId: player.id,
+        kind: pickup.kind,
+        amount: pickup.amount,
+        powerUpId: pickup.powerUpId
+      });
+    }
+  }
+
+  handleProfile(playerId: number, name: string) {
+    if (this.players[playerId] && name) {
+      this.players[playerId].name = name.substring(0, 20); // limit name length
+    }
+  }
+
+  /**
+   * Owner-triggered round start. Returns an error reason, or null on success.
+   */
+  startRound(): string | null {
+    if (this.playerCount < 2) return 'not_enough_players';
+    if (!this.lifecycle.forceStart()) return 'round_in_progress';
+    return null;
+  }
+
+  onPhaseChange(state: RoundState, previous: RoundPhase) {
+    if (state.phase === 'countdown') {
+      this.results = [];
+      this.teamResults = [];
+      this.rotateMap(state.round);
+      this.balanceTeams();
+      this.reset();
+    } else if (state.phase === 'active') {
+      this.roundStartedAt = Date.now();
+      this.knockouts.clear();
+      this.eliminations.clear();
+      this.replay = new ReplayRecorder(
+        { roomId: this.id, round: state.round, mode: this.mode, mapId: this.map.id },
+        this.players
+      );
+      if (this.mode === 'battleRoyale') {
+        this.zone = new ShrinkingZone(this.map);
+        this.replay.zone(this.zone.info());
+        this.broadcast({ type: 'zoneChanged', zone: this.zone.info() });
+      }
+    } else if (state.phase === 'results') {
+      this.results = this.rankPlayers();
+      this.recordMatch(state.round);
+      this.saveReplay(state.round);
+      if (this.zone) {
+        this.zone = null;
+        this.broadcast({ type: 'zoneChanged', zone: null });
+      }
+    }
+
+    this.broadcast({ type: 'phaseChanged', previous, ...this.roundInfo() });
+    log(`Room ${this.id} round ${state.round}: ${previous} → ${state.phase}`);
+  }
+
+  // Round n is played on the n-th map of the pool, wrapping around
+  private rotateMap(round: number) {
+    const map = this.mapPool[(round - 1) % this.mapPool.length];
+    if (map === this.map) return;
+
+    this.map = map;
+    this.movement.map = map;
+    this.pickups.map = map;
+    log(`Room ${this.id} round ${round} on map ${map.id}`);
+  }
+
+  private roundInfo() {
+    return {
+      ...this.lifecycle.state(),
+      minPlayers: this.lifecycle.config.minPlayers,
+      results: this.lifecycle.phase === 'results' ? this.results : undefined,
+      teamResults: this.lifecycle.phase === 'results' && this.teams ? this.teamResults : undefined
+    };
+  }
+
+  private recordMatch(round: number) {
+    const startedAt = this.roundStartedAt;
+    this.roundStartedAt = null;
+    if (startedAt === null || this.results.length === 0) return;
+
+    const placings = this.results.map(result => ({
+      telegramId: this.telegramIds.get(result.id) ?? null,
+      playerId: result.id,
+      name: result.name ?? null,
+      rank: result.rank,
+      score: Math.round(result.score),
+      alive: result.alive,
+      knockouts: this.knockouts.get(result.id) ?? 0
+    }));
+    // History is looked up by Telegram user, so all-anonymous rounds have no reader
+    if (placings.every(placing => placing.telegramId === null)) return;
+
+    storage.recordMatch({ roomId: this.id, round, startedAt: new Date(startedAt) }, placings)
+      .then(() => this.grantAchievements(placings))
+      .catch(error => log(`Failed to record room ${this.id} round ${round}: ${error.message}`));
+  }
+
+  // Everyone still in the room is told where to fetch the replay
+  private saveReplay(round: number) {
+    const recorder = this.replay;
+    this.replay = null;
+    if (!recorder) return;
+
+    recorder.sample(this.players);
+    const replay = recorder.finish(this.results, this.teams ? this.teamResults : undefined);
+    saveReplay(replay)
+      .then(record => {
+        this.broadcast({ type: 'replaySaved', id: record.id, round });
+        log(`Room ${this.id} round ${round} replay saved as ${record.id} (${replay.events.length} events)`);
+      })
+      .catch(error => log(`Failed to save room ${this.id} round ${round} replay: ${error.message}`));
+  }
+
+  // Knockout achievements, counted over every recorded match
+  private async grantAchievements(placings: { playerId: number; telegramId: number | null }[]) {
+    for (const { playerId, telegramId } of placings) {
+      if (telegramId === null) continue;
+      const ids = await grantServerAchievements(telegramId);
+      if (ids.length > 0) this.sendTo(playerId, { type: 'achievementsUnlocked', ids });
+    }
+  }
+
+  // Survivors first, then by score; battle royale places everyone else by
+  // how long they lasted, and rooms with teams rank whole teams in either mode
+  private rankPlayers(): RoundResult[] {
+    if (this.teams) return this.rankByTeam(this.teams.count);
+    if (this.mode === 'battleRoyale') return this.rankBySurvival();
+
+    return Object.values(this.players)
+      .sort((a, b) => Number(b.alive) - Number(a.alive) || b.score - a.score)
+      .map((player, index) => ({
+        id: player.id,
+        name: player.name,
+        rank: index + 1,
+        score: player.score,
+        alive: player.alive
+      }));
+  }
+
+  // Everyone still standing at the end survived equally long, so they are
+  // told apart by health left, then score
+  private rankBySurvival(): RoundResult[] {
+    const survived = this.survivalTimer();
+    return Object.values(this.players)
+      .map(player => ({ player, survivedMs: survived(player) }))
+      .sort((a, b) =>
+        Number(b.player.alive) - Number(a.player.alive) ||
+        b.survivedMs - a.survivedMs ||
+        b.player.health - a.player.health ||
+        b.player.score - a.player.score
+      )
+      .map(({ player, survivedMs }, index) => ({
+        id: player.id,
+        name: player.name,
+        rank: index + 1,
+        score: player.score,
+        alive: player.alive,
+        survivedMs
+      }));
+  }
+
+  // How long each player lasted this round, for battle royale placings
+  private survivalTimer(): (player: ArenaPlayer) => number {
+    const startedAt = this.roundStartedAt ?? Date.now();
+    const endedAt = Date.now();
+    // Spectators who joined mid-round were never in it
+    return player => (this.eliminations.get(player.id) ?? (player.alive ? endedAt : startedAt)) - startedAt;
+  }
+
+  // Teams with survivors first, then by team score. Every player takes
+  // their team's rank, best scorers first within it; in battle royale each
+  // still gets their survival time.
+  private rankByTeam(count: number): RoundResult[] {
+    const survived = this.mode === 'battleRoyale' ? this.survivalTimer() : null;
+    const scores = teamScores(this.players, count);
+    const players = Object.values(this.players);
+    const survivors = scores.map((_, team) => players.filter(player => player.team === team && player.alive).length);
+
+    const order = scores
+      .map((score, team) => ({ team, score, survivors: survivors[team] }))
+      .sort((a, b) => Number(b.survivors > 0) - Number(a.survivors > 0) || b.score - a.score);
+    this.teamResults = order.map((result, index) => ({ ...result, rank: index + 1 }));
+    const rankOf = new Map(this.teamResults.map(result => [result.team, result.rank]));
+
+    return players
+      .sort((a, b) => rankOf.get(a.team!)! - rankOf.get(b.team!)! || b.score - a.score)
+      .map(player => ({
+        id: player.id,
+        name: player.name,
+        rank: rankOf.get(player.team!)!,
+        score: player.score,
+        alive: player.alive,
+        survivedMs: survived?.(player),
+        team: player.team
+      }));
+  }
+
+  // Between rounds, before everyone respawns
+  private balanceTeams() {
+    if (!this.teams) return;
+    const moved = balanceTeams(Object.values(this.players), this.teams.count);
+    if (moved.length > 0) log(`Room ${this.id} rebalanced teams, moving players ${moved.join(", ")}`);
+  }
+
+  reset() {
+    for (const id in this.players) {
+      Object.assign(this.players[id], createArenaPlayer(this.players[id].id, this.map), {
+        name: this.players[id].name,
+        team: this.players[id].team
+      });
+      this.movement.reset(this.players[id].id);
+      this.history.reset(this.players[id].id, this.players[id].x, this.players[id].y);
+    }
+    this.bots.forEach(brain => brain.reset());
+    // Clients drop every aura and pickup on gameReset, so expiries go unannounced
+    this.powerUps.reset();
+    this.pickups.clear();
+    this.broadcast({ type: 'gameReset', players: this.players, mapId: this.map.id });
+  }
+
+  // Gas recharge, power-up expiry, pickup spawns, zone stages, hazard and
+  // zone damage and game tick loop; gas stops recharging in sudden death
+  private tick() {
+    for (const { playerId, powerUpId } of this.powerUps.expire()) {
+      this.broadcast({ type: 'powerUpExpired', id: playerId, powerUpId });
+    }
+
+    const { spawned, expired } = this.pickups.update(this.lifecycle.combatEnabled);
+    expired.forEach(id => this.broadcast({ type: 'pickupExpired', id }));
+    spawned.forEach(pickup => this.broadcast({ type: 'pickupSpawned', pickup }));
+    // A pickup may land on someone standing still
+    if (spawned.length > 0) Object.values(this.players).forEach(player => this.collectPickups(player));
+
+    const recharge = this.lifecycle.phase !== 'sudden_death';
+    let activePlayers = 0;
+    for (const id in this.players) {
+      if (this.players[id].alive) {
+        if (recharge) this.players[id].gas = Math.min(100, this.players[id].gas + 8);
+        activePlayers++;
+      }
+    }
+
+    if (this.zone?.update()) {
+      this.replay?.zone(this.zone.info());
+      this.broadcast({ type: 'zoneChanged', zone: this.zone.info() });
+    }
+    if (this.lifecycle.combatEnabled) this.applyEnvironmentDamage(TICK_INTERVAL_MS / 1000);
+
+    if (activePlayers > 0) {
+      this.broadcastLegacy({ type: 'gasRecharge', players: this.players });
+    }
+
+    this.lifecycle.check();
+  }
+
+  // Bots act through the same handlers as a client's move and slap frames
+  private updateBots() {
+    if (this.bots.size === 0 || !this.lifecycle.combatEnabled) return;
+
+    const now = Date.now();
+    const world = { players: this.players, map: this.map, zone: this.zone?.circle(now) ?? null };
+    for (const [playerId, brain] of Array.from(this.bots.entries())) {
+      const player = this.players[playerId];
+      if (!player) continue;
+      const intent = brain.step(player, world, now);
+      if (intent.move) this.handleMove(playerId, intent.move.x, intent.move.y);
+      if (intent.slap !== undefined) this.handleSlap(playerId, intent.slap);
+    }
+  }
+
+  // Hurt everyone standing in a hazard or outside the zone for the
+  // `seconds` that just passed
+  private applyEnvironmentDamage(seconds: number) {
+    for (const player of Object.values(this.players)) {
+      if (!player.alive) continue;
+
+      const sources = [
+        { source: 'hazard' as const, perSecond: hazardDamageAt(this.map, player.x, player.y) },
+        { source: 'zone' as const, perSecond: this.zone?.damageAt(player.x, player.y) ?? 0 }
+      ];
+      const damageTaken = this.powerUps.modifiers(player.id).damageTaken;
+      for (const { source, perSecond } of sources) {
+        const damage = perSecond * seconds * damageTaken;
+        if (damage === 0) continue;
+        player.health -= damage;
+        this.replay?.hit(player.id, null, damage, player.health);
+        this.broadcast({ type: 'hazardHit', id: player.id, health: player.health, damage, source });
+      }
+
+      if (player.health <= 0) this.eliminate(player, null);
+    }
+  }
+
+  /**
+   * Fixed-rate world snapshots. Each client gets the fields that changed
+   * since the snapshot it last acknowledged, so an idle crowd costs almost
+   * nothing; clients sharing a baseline share the diff. The same timer
+   * samples positions for the replay recorder.
+   */
+  private sendSnapshots() {
+    this.replay?.sample(this.players);
+
+    const streaming = Array.from(this.clients.entries())
+      .filter(([, client]) => client.protocolVersion >= SNAPSHOT_PROTOCOL_VERSION);
+    if (streaming.length === 0) return;
+
+    const seq = ++this.snapshotSeq;
+    const state = captureState(this.players);
+    this.snapshots.store(seq, state);
+
+    const diffs = new Map<number, ReturnType<typeof diffStates>>();
+    for (const [, client] of streaming) {
+      if (client.ws.readyState !== WebSocket.OPEN) continue;
+
+      const base = client.ackedSnapshot ? this.snapshots.get(client.ackedSnapshot) : undefined;
+      const baseline = base ? client.ackedSnapshot : 0;
+      let diff = diffs.get(baseline);
+      if (!diff) {
+        diff = diffStates(base, state);
+        diffs.set(baseline, diff);
+      }
+
+      const snapshot = { type: 'snapshot' as const, seq, baseline, ack: client.lastInputSeq, ...diff };
+      client.ws.send(client.encoding === 'binary' ? encodeSnapshot(snapshot) : encodeServerMessage(snapshot));
+    }
+  }
+}
+
+/**
+ * Registry of live rooms. The lobby always exists; every other room is torn
+ * down as soon as its last player leaves.
+ */
+export class RoomManager {
+  private rooms = new Map<string, Room>();
+  private invites = new Map<string, string>();
+
+  constructor() {
+    const bots = {
+      fill: Number(process.env.LOBBY_BOTS ?? DEFAULT_LOBBY_BOTS),
+      difficulty: process.env.LOBBY_BOT_DIFFICULTY as BotConfig["difficulty"] | undefined
+    };
+    this.create({ name: "Lobby", persistent: true, bots }, LOBBY_ROOM_ID);
+  }
+
+  create(options: RoomOptions = {}, id: string = nanoid(8)): Room {
+    const room = new Room(id, options);
+    this.rooms.set(id, room);
+    room.start();
+    log(`Room ${id} created (${room.name})`);
+    return room;
+  }
+
+  /**
+   * Private rooms are hidden from list() and reachable only by invite code
+   */
+  createPrivate(ownerId: number, options: RoomOptions = {}): Room {
+    const room = this.create({ ...options, private: true, ownerId });
+
+    let code = generateInviteCode();
+    while (this.invites.has(code)) code = generateInviteCode();
+
+    room.inviteCode = code;
+    this.invites.set(code, room.id);
+    return room;
+  }
+
+  get(id: string): Room | undefined {
+    return this.rooms.get(id);
+  }
+
+  findByInvite(code: string): Room | undefined {
+    const roomId = this.invites.get(code.trim().toUpperCase());
+    return roomId ? this.rooms.get(roomId) : undefined;
+  }
+
+  lobby(): Room {
+    return this.rooms.get(LOBBY_ROOM_ID)!;
+  }
+
+  list(): RoomSummary[] {
+    return Array.from(this.rooms.values())
+      .filter(room => !room.private)
+      .map(room => room.summary());
+  }
+
+  join(room: Room, ws: WebSocket, playerId: number, session: SessionInfo) {
+    room.addPlayer(ws, playerId, session);
+  }
+
+  leave(room: Room, playerId: number) {
+    room.removePlayer(playerId);
+    if (!room.persistent && room.playerCount === 0) {
+      room.stop();
+      this.rooms.delete(room.id);
+      if (room.inviteCode) this.invites.delete(room.inviteCode);
+      log(`Room ${room.id} closed`);
+    }
+  }
+}
+
+export const rooms = new RoomManager();
@@ -0,0 +1,192 @@
+import type { RoundPhase } from "@shared/protocol";
+
+export type { RoundPhase };
+
+export interface RoundConfig {
+  minPlayers: number;
+  countdownMs: number;
+  roundMs: number;
+  suddenDeathMs: number;
+  resultsMs: number;
+  intermissionMs: number;
+}
+
+export interface RoundState {
+  phase: RoundPhase;
+  round: number;
+  startedAt: number;
+  endsAt: number | null;
+  remainingMs: number | null;
+}
+
+/**
+ * Callbacks the owning room provides. `onPhaseChange` runs after the phase
+ * has switched so the room can reset players, score the round and broadcast.
+ */
+export interface RoundHost {
+  readonly playerCount: number;
+  aliveCount(): number;
+  onPhaseChange(state: RoundState, previous: RoundPhase): void;
+}
+
+export const DEFAULT_ROUND_CONFIG: RoundConfig = {
+  minPlayers: 2,
+  countdownMs: 5000,
+  roundMs: 120000,
+  suddenDeathMs: 30000,
+  resultsMs: 8000,
+  intermissionMs: 5000
+};
+
+const LIMITS: Record<keyof RoundConfig, [number, number]> = {
+  minPlayers: [1, 50],
+  countdownMs: [0, 30000],
+  roundMs: [10000, 900000],
+  suddenDeathMs: [0, 300000],
+  resultsMs: [1000, 60000],
+  intermissionMs: [0, 60000]
+};
+
+/**
+ * Merge user-supplied round settings over the defaults, dropping anything
+ * that is not a finite number and clamping the rest to sane bounds.
+ */
+export function normalizeRoundConfig(input: Partial<Record<keyof RoundConfig, unknown>> = {}): RoundConfig {
+  const config = { ...DEFAULT_ROUND_CONFIG };
+  for (const key of Object.keys(LIMITS) as (keyof RoundConfig)[]) {
+    const value = Number(input[key]);
+    if (input[key] === undefined || !Number.isFinite(value)) continue;
+    const [min, max] = LIMITS[key];
+    config[key] = Math.round(Math.max(min, Math.min(max, value)));
+  }
+  return config;
+}
+
+/**
+ * Server-authoritative match lifecycle:
+ * waiting → countdown → active → sudden_death → results → intermission → countdown …
+ *
+ * Timed phases advance on their own timer; `check()` is called from the room
+ * tick to react to players joining, leaving and dying.
+ */
+export class RoundLifecycle {
+  readonly config: RoundConfig;
+  phase: RoundPhase = "waiting";
+  round = 0;
+  private startedAt = Date.now();
+  private endsAt: number | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private host: RoundHost;
+
+  constructor(host: RoundHost, config: RoundConfig = DEFAULT_ROUND_CONFIG) {
+    this.host = host;
+    this.config = config;
+  }
+
+  /** Slaps only land while a round is being fought */
+  get combatEnabled(): boolean {
+    return this.phase === "active" || this.phase === "sudden_death";
+  }
+
+  get inProgress(): boolean {
+    return this.phase === "countdown" || this.combatEnabled;
+  }
+
+  state(): RoundState {
+    return {
+      phase: this.phase,
+      round: this.round,
+      startedAt: this.startedAt,
+      endsAt: this.endsAt,
+      remainingMs: this.endsAt === null ? null : Math.max(0, this.endsAt - Date.now())
+    };
+  }
+
+  check() {
+    const { playerCount } = this.host;
+
+    switch (this.phase) {
+      case "waiting":
+        if (playerCount >= this.config.minPlayers) this.transition("countdown");
+        break;
+
+      case "countdown":
+        if (playerCount < this.config.minPlayers) this.transition("waiting");
+        break;
+
+      case "active":
+      case "sudden_death":
+        if (this.host.aliveCount() <= 1) this.transition("results");
+        break;
+    }
+  }
+
+  /**
+   * Skip the minimum player requirement and go straight to the countdown.
+   * Returns false when a round is already under way.
+   */
+  forceStart(): boolean {
+    if (this.inProgress) return false;
+    this.transition("countdown");
+    return true;
+  }
+
+  stop() {
+    this.clearTimer();
+  }
+
+  private transition(next: RoundPhase) {
+    const previous = this.phase;
+    this.clearTimer();
+
+    this.phase = next;
+    this.startedAt = Date.now();
+    if (next === "countdown") this.round++;
+
+    const duration = this.durationOf(next);
+    this.endsAt = duration === null ? null : this.startedAt + duration;
+    if (duration !== null) {
+      this.timer = setTimeout(() => this.expire(), duration);
+    }
+
+    this.host.onPhaseChange(this.state(), previous);
+  }
+
+  private expire() {
+    this.timer = null;
+
+    switch (this.phase) {
+      case "countdown":
+        this.transition("active");
+        break;
+      case "active":
+        this.transition(this.config.suddenDeathMs > 0 ? "sudden_death" : "results");
+        break;
+      case "sudden_death":
+        this.transition("results");
+        break;
+      case "results":
+        this.transition("intermission");
+        break;
+      case "intermission":
+        this.transition(this.host.playerCount >= this.config.minPlayers ? "countdown" : "waiting");
+        break;
+    }
+  }
+
+  private durationOf(phase: RoundPhase): number | null {
+    switch (phase) {
+      case "countdown": return this.config.countdownMs;
+      case "active": return this.config.roundMs;
+      case "sudden_death": return this.config.suddenDeathMs;
+      case "results": return this.config.resultsMs;
+      case "intermission": return this.config.intermissionMs;
+      default: return null;
+    }
+  }
+
+  private clearTimer() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
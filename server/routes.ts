@@ -1,13 +1,35 @@
 import type { Express } from "express";
 import { createServer, type Server } from "http";
 import { storage } from "./storage";
+import { rooms } from "./rooms";
+import { telegramAuth } from "./telegram-auth";
+import { registerLeaderboardRoutes } from "./leaderboard";
+import { registerProgressRoutes } from "./progress";
+import { registerDailyRewardRoutes } from "./daily-reward";
+import { registerAchievementRoutes } from "./achievements";
+import { registerReplayRoutes } from "./replays";
 
 export async function registerRoutes(app: Express): Promise<Server> {
   // put application routes here
   // prefix all routes with /api
 
   // use storage to perform CRUD operations on the storage interface
-  // e.g. storage.insertUser(user) or storage.getUserByUsername(username)
+  // e.g. storage.upsertPlayer(player) or storage.getPlayer(telegramId)
+
+  app.get("/api/rooms", (_req, res) => {
+    res.json({ rooms: rooms.list() });
+  });
+
+  registerLeaderboardRoutes(app);
+  registerProgressRoutes(app);
+  registerDailyRewardRoutes(app);
+  registerAchievementRoutes(app);
+  registerReplayRoutes(app);
+
+  // The verified Telegram user behind the request's initData
+  app.get("/api/me", telegramAuth(), (req, res) => {
+    res.json({ user: req.telegramUser ?? null });
+  });
 
   const httpServer = createServer(app);
 
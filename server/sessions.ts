@@ -0,0 +1,70 @@
+import { nanoid } from "nanoid";
+
+// How long a dropped player keeps their seat, score and position
+export const RESUME_GRACE_MS = 15000;
+
+interface Session {
+  token: string;
+  playerId: number;
+  graceTimer: NodeJS.Timeout | null;
+}
+
+/**
+ * Resume tokens for dropped WebSocket connections. Each player holds one
+ * token; it is handed out in `init` and rotated every time it is redeemed,
+ * so a leaked token is only good until its owner reconnects.
+ */
+export class SessionStore {
+  private byToken = new Map<string, Session>();
+  private byPlayer = new Map<number, Session>();
+
+  /** Current token for `playerId`, issuing one on first use */
+  tokenFor(playerId: number): string {
+    const existing = this.byPlayer.get(playerId);
+    if (existing) return existing.token;
+
+    const session: Session = { token: nanoid(24), playerId, graceTimer: null };
+    this.byToken.set(session.token, session);
+    this.byPlayer.set(playerId, session);
+    return session.token;
+  }
+
+  /**
+   * Start the grace period for a dropped player. `onExpire` runs if nobody
+   * resumes the session in time.
+   */
+  suspend(playerId: number, onExpire: () => void, graceMs = RESUME_GRACE_MS) {
+    const session = this.byPlayer.get(playerId);
+    if (!session) {
+      onExpire();
+      return;
+    }
+
+    if (session.graceTimer) clearTimeout(session.graceTimer);
+    session.graceTimer = setTimeout(() => {
+      this.revoke(playerId);
+      onExpire();
+    }, graceMs);
+  }
+
+  /**
+   * The player id a token belongs to, or null when the token is unknown or
+   * its grace period has run out. Looking it up changes nothing: the session
+   * and its grace timer only go once the resume is allowed and revoke() is
+   * called, so a socket turned away can't cut the real player's grace short.
+   */
+  playerFor(token: string): number | null {
+    return this.byToken.get(token)?.playerId ?? null;
+  }
+
+  revoke(playerId: number) {
+    const session = this.byPlayer.get(playerId);
+    if (!session) return;
+
+    if (session.graceTimer) clearTimeout(session.graceTimer);
+    this.byToken.delete(session.token);
+    this.byPlayer.delete(playerId);
+  }
+}
+
+export const sessions = new SessionStore();
@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { is, sql, type SQL } from "drizzle-orm";
+import { PgTable, getTableConfig } from "drizzle-orm/pg-core";
+import * as schema from "@shared/schema";
+import type { Progress } from "@shared/progress";
+import { utcDay } from "@shared/daily-reward";
+import { connectDatabase, type Database } from "./db";
+import { DatabaseStorage } from "./storage";
+
+/**
+ * Storage check for DatabaseStorage, run against an in-memory PGlite
+ * database so it needs no Postgres server:
+ *
+ *   npm run check:storage
+ *
+ * Applies every migration to a fresh database, then exercises the queries
+ * MemStorage can't vouch for: leaderboard windows, the around-me slice,
+ * cloud-save revision conflicts and one daily claim per day. Every check
+ * runs; the exit code is non-zero if any failed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const journalPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations", "meta", "_journal.json");
+
+const connection = connectDatabase("pglite://memory");
+const storage = new DatabaseStorage(connection);
+let db: Database;
+
+const checks: Array<[name: string, run: () => Promise<void>]> = [];
+
+function check(name: string, run: () => Promise<void>) {
+  checks.push([name, run]);
+}
+
+// Raw queries, for tables the schema doesn't describe
+async function rows<T>(query: SQL): Promise<T[]> {
+  const result = (await db.execute(query)) as unknown as { rows: T[] };
+  return result.rows;
+}
+
+function progress(score: number): Progress {
+  return {
+    score,
+    totalSlaps: 0,
+    dailyClaimed: false,
+    lastDailyClaim: 0,
+    achievements: [],
+    statistics: { totalPlayTime: 0, highestCombo: 0, totalTaps: 0, sessionsPlayed: 0 },
+    powerUps: {}
+  };
+}
+
+check("migrations create every table and index", async () => {
+  const journal = JSON.parse(readFileSync(journalPath, "utf8")) as { entries: unknown[] };
+  const [applied] = await rows<{ count: number }>(sql`select count(*)::int as count from drizzle.__drizzle_migrations`);
+  assert.equal(applied.count, journal.entries.length, "every migration in the journal is applied");
+
+  const tables = await rows<{ table_name: string }>(
+    sql`select table_name from information_schema.tables where table_schema = 'public'`
+  );
+  const existing = new Set(tables.map(row => row.table_name));
+  const indexes = await rows<{ indexname: string }>(sql`select indexname from pg_indexes where schemaname = 'public'`);
+  const existingIndexes = new Set(indexes.map(row => row.indexname));
+  for (const table of Object.values(schema)) {
+    if (!is(table, PgTable)) continue;
+    const config = getTableConfig(table);
+    assert.ok(existing.has(config.name), `table ${config.name} exists`);
+    for (const index of config.indexes) {
+      const name = index.config.name;
+      if (name) assert.ok(existingIndexes.has(name), `index ${name} exists`);
+    }
+  }
+});
+
+check("leaderboard windows", async () => {
+  const start = new Date("2026-03-02T00:00:00Z").getTime();
+  await db.insert(schema.scores).values([
+    // Before the window
+    { telegramId: 1, name: "early", score: 900, createdAt: new Date(start - 1) },
+    // Exactly on `since`, which is inclusive
+    { telegramId: 1, name: "early", score: 300, createdAt: new Date(start) },
+    { telegramId: 2, name: "middle", score: 500, createdAt: new Date(start + DAY_MS) },
+    { telegramId: 2, name: "middle", score: 400, createdAt: new Date(start + DAY_MS + 1) },
+    // Exactly on `until`, which is exclusive
+    { telegramId: 3, name: "late", score: 800, createdAt: new Date(start + 7 * DAY_MS) },
+  ]);
+
+  const window = { since: new Date(start), until: new Date(start + 7 * DAY_MS) };
+  const board = await storage.getLeaderboard(10, window);
+  assert.deepEqual(
+    board.map(entry => [entry.rank, entry.telegramId, entry.score]),
+    [[1, 2, 500], [2, 1, 300]]
+  );
+
+  const allTime = await storage.getLeaderboard(10);
+  assert.deepEqual(allTime.map(entry => [entry.telegramId, entry.score]), [[1, 900], [3, 800], [2, 500]]);
+
+  assert.equal((await storage.getLeaderboardEntry(3, window)), undefined, "scores on `until` fall outside");
+  assert.equal((await storage.getLeaderboardEntry(1, window))?.rank, 2);
+});
+
+check("leaderboard around a player", async () => {
+  // A fresh window so the scores above don't interfere
+  const start = new Date("2026-04-06T00:00:00Z").getTime();
+  const window = { since: new Date(start), until: new Date(start + DAY_MS) };
+  await db.insert(schema.scores).values(
+    [10, 11, 12, 13, 14, 15, 16].map((telegramId, index) => ({
+      telegramId,
+      name: `player ${telegramId}`,
+      score: 1000 - index * 100,
+      createdAt: new Date(start + index)
+    }))
+  );
+
+  const ranksAround = async (telegramId: number, radius: number) =>
+    (await storage.getLeaderboardAround(telegramId, radius, window)).map(entry => entry.rank);
+
+  assert.deepEqual(await ranksAround(13, 2), [2, 3, 4, 5, 6]);
+  assert.deepEqual(await ranksAround(10, 2), [1, 2, 3], "clipped at the top");
+  assert.deepEqual(await ranksAround(16, 1), [6, 7], "clipped at the bottom");
+  assert.deepEqual(await ranksAround(99, 2), [], "unranked players get nothing");
+});
+
+check("cloud save revisions", async () => {
+  const created = await storage.putCloudSave(20, progress(10), 0);
+  assert.equal(created?.revision, 1);
+  assert.equal(await storage.putCloudSave(20, progress(20), 0), undefined, "a second create conflicts");
+
+  const updated = await storage.putCloudSave(20, progress(30), 1);
+  assert.equal(updated?.revision, 2);
+  assert.equal(await storage.putCloudSave(20, progress(40), 1), undefined, "a stale revision conflicts");
+  assert.equal(await storage.putCloudSave(21, progress(50), 1), undefined, "updating a missing save conflicts");
+
+  const saved = await storage.getCloudSave(20);
+  assert.equal(saved?.revision, 2);
+  assert.equal(saved?.progress.score, 30, "conflicting writes leave the save untouched");
+});
+
+check("one daily claim per day", async () => {
+  const today = utcDay(Date.now());
+  const first = await storage.recordDailyClaim({ telegramId: 30, day: today, streak: 1, reward: 100 });
+  assert.equal(first?.day, today);
+  assert.equal(
+    await storage.recordDailyClaim({ telegramId: 30, day: today, streak: 2, reward: 200 }),
+    undefined,
+    "a second claim on the same day is refused"
+  );
+
+  assert.ok(await storage.recordDailyClaim({ telegramId: 31, day: today, streak: 1, reward: 100 }), "other players still claim");
+  assert.ok(await storage.recordDailyClaim({ telegramId: 30, day: today + 1, streak: 2, reward: 200 }), "the next day is open");
+
+  assert.equal((await storage.getLastDailyClaim(30))?.day, today + 1);
+  assert.equal(await storage.getLongestDailyStreak(30), 2);
+});
+
+async function main() {
+  db = await connection;
+
+  let failed = 0;
+  for (const [name, run] of checks) {
+    try {
+      await run();
+      console.log(`ok    ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL  ${name}\n      ${error instanceof Error ? error.message : error}`);
+    }
+  }
+
+  console.log(failed === 0 ? `All ${checks.length} storage checks passed` : `${failed} of ${checks.length} storage checks failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,39 +1,730 @@
-import { users, type User, type InsertUser } from "@shared/schema";
+import { and, asc, desc, eq, gte, inArray, lt, lte, sql, type SQL } from "drizzle-orm";
+import {
+  players,
+  scores,
+  seasonStandings,
+  friendships,
+  achievements,
+  powerUpStates,
+  relics,
+  matches,
+  matchPlayers,
+  matchReplays,
+  cloudSaves,
+  dailyClaims,
+  type Player,
+  type InsertPlayer,
+  type Score,
+  type InsertScore,
+  type LeaderboardEntry,
+  type ScoreWindow,
+  type Friendship,
+  type FriendSource,
+  type Achievement,
+  type PowerUpState,
+  type InsertPowerUpState,
+  type Relic,
+  type InsertRelic,
+  type InsertMatch,
+  type InsertMatchPlayer,
+  type MatchRecord,
+  type InsertMatchReplay,
+  type MatchReplayRecord,
+  type CloudSave,
+  type DailyClaim,
+  type InsertDailyClaim
+} from "@shared/schema";
+import { PROGRESS_SCHEMA_VERSION, type Progress } from "@shared/progress";
+import { connectDatabase, type Database } from "./db";
+import { log } from "./vite";
 
 // modify the interface with any CRUD methods
 // you might need
 
 export interface IStorage {
-  getUser(id: number): Promise<User | undefined>;
-  getUserByUsername(username: string): Promise<User | undefined>;
-  createUser(user: InsertUser): Promise<User>;
+  getPlayer(telegramId: number): Promise<Player | undefined>;
+  upsertPlayer(player: InsertPlayer): Promise<Player>;
+  submitScore(score: InsertScore): Promise<Score>;
+  getLeaderboard(limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]>;
+  getLeaderboardEntry(telegramId: number, window?: ScoreWindow): Promise<LeaderboardEntry | undefined>;
+  archiveSeason(season: number, entries: LeaderboardEntry[]): Promise<void>;
+  getSeasonStandings(season: number): Promise<LeaderboardEntry[]>;
+  getArchivedSeasons(): Promise<number[]>;
+  getLeaderboardAround(telegramId: number, radius: number, window?: ScoreWindow): Promise<LeaderboardEntry[]>;
+  addFriendship(telegramId: number, friendId: number, source: FriendSource): Promise<boolean>;
+  getFriendIds(telegramId: number): Promise<number[]>;
+  getFriendsLeaderboard(telegramId: number, limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]>;
+  unlockAchievement(telegramId: number, achievementId: string): Promise<boolean>;
+  getAchievements(telegramId: number): Promise<Achievement[]>;
+  getPowerUpStates(telegramId: number): Promise<PowerUpState[]>;
+  savePowerUpState(state: InsertPowerUpState): Promise<PowerUpState>;
+  grantRelic(relic: InsertRelic): Promise<boolean>;
+  getRelics(telegramId: number): Promise<Relic[]>;
+  recordMatch(match: InsertMatch, placings: InsertMatchPlayer[]): Promise<MatchRecord>;
+  getRecentMatches(telegramId: number, limit: number): Promise<MatchRecord[]>;
+  saveReplay(replay: InsertMatchReplay, keep: number): Promise<MatchReplayRecord>;
+  getReplay(id: string): Promise<MatchReplayRecord | undefined>;
+  getCloudSave(telegramId: number): Promise<CloudSave | undefined>;
+  putCloudSave(telegramId: number, progress: Progress, expectedRevision: number): Promise<CloudSave | undefined>;
+  getLastDailyClaim(telegramId: number): Promise<DailyClaim | undefined>;
+  recordDailyClaim(claim: InsertDailyClaim): Promise<DailyClaim | undefined>;
+  getKnockoutCount(telegramId: number): Promise<number>;
+  getLongestDailyStreak(telegramId: number): Promise<number>;
+}
+
+function inWindow(row: Score, window: ScoreWindow = {}): boolean {
+  const time = row.createdAt.getTime();
+  if (window.since && time < window.since.getTime()) return false;
+  if (window.until && time >= window.until.getTime()) return false;
+  return true;
+}
+
+/**
+ * Best score per player, highest first. Ties go to whoever got there first.
+ */
+function rankBestScores(rows: Score[]): LeaderboardEntry[] {
+  const best = new Map<number, Score>();
+  for (const row of rows) {
+    const current = best.get(row.telegramId);
+    if (!current || row.score > current.score) best.set(row.telegramId, row);
+  }
+
+  return Array.from(best.values())
+    .sort((a, b) => b.score - a.score || a.createdAt.getTime() - b.createdAt.getTime())
+    .map((row, index) => ({
+      rank: index + 1,
+      telegramId: row.telegramId,
+      name: row.name,
+      score: row.score,
+      achievedAt: row.createdAt
+    }));
 }
 
 export class MemStorage implements IStorage {
-  private users: Map<number, User>;
-  currentId: number;
+  private players: Map<number, Player>;
+  private scores: Score[];
+  private standings: Map<number, LeaderboardEntry[]>;
+  private friendships: Friendship[];
+  private achievements: Achievement[];
+  private powerUpStates: PowerUpState[];
+  private relics: Relic[];
+  private matches: MatchRecord[];
+  private replays: Map<string, MatchReplayRecord>;
+  private cloudSaves: Map<number, CloudSave>;
+  private dailyClaims: DailyClaim[];
+  currentScoreId: number;
+  currentFriendshipId: number;
+  currentRowId: number;
 
   constructor() {
-    this.users = new Map();
-    this.currentId = 1;
+    this.players = new Map();
+    this.scores = [];
+    this.standings = new Map();
+    this.friendships = [];
+    this.achievements = [];
+    this.powerUpStates = [];
+    this.relics = [];
+    this.matches = [];
+    this.replays = new Map();
+    this.cloudSaves = new Map();
+    this.dailyClaims = [];
+    this.currentScoreId = 1;
+    this.currentFriendshipId = 1;
+    this.currentRowId = 1;
+  }
+
+  async getPlayer(telegramId: number): Promise<Player | undefined> {
+    return this.players.get(telegramId);
+  }
+
+  async upsertPlayer(insertPlayer: InsertPlayer): Promise<Player> {
+    const now = new Date();
+    const existing = this.players.get(insertPlayer.telegramId);
+    const player: Player = {
+      username: null,
+      languageCode: null,
+      isPremium: false,
+      ...existing,
+      ...insertPlayer,
+      createdAt: existing?.createdAt ?? now,
+      lastSeenAt: now
+    };
+    this.players.set(player.telegramId, player);
+    return player;
+  }
+
+  async submitScore(insertScore: InsertScore): Promise<Score> {
+    const score: Score = { ...insertScore, id: this.currentScoreId++, createdAt: new Date() };
+    this.scores.push(score);
+    return score;
+  }
+
+  async getLeaderboard(limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    return rankBestScores(this.scores.filter(row => inWindow(row, window))).slice(0, limit);
+  }
+
+  async getLeaderboardEntry(telegramId: number, window?: ScoreWindow): Promise<LeaderboardEntry | undefined> {
+    return rankBestScores(this.scores.filter(row => inWindow(row, window)))
+      .find(entry => entry.telegramId === telegramId);
+  }
+
+  async archiveSeason(season: number, entries: LeaderboardEntry[]): Promise<void> {
+    if (!this.standings.has(season)) this.standings.set(season, entries.map(entry => ({ ...entry })));
+  }
+
+  async getSeasonStandings(season: number): Promise<LeaderboardEntry[]> {
+    return this.standings.get(season) ?? [];
+  }
+
+  async getArchivedSeasons(): Promise<number[]> {
+    return Array.from(this.standings.keys()).sort((a, b) => b - a);
   }
 
-  async getUser(id: number): Promise<User | undefined> {
-    return this.users.get(id);
+  /** The player's entry with up to `radius` entries either side; empty if unranked */
+  async getLeaderboardAround(telegramId: number, radius: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    const ranked = rankBestScores(this.scores.filter(row => inWindow(row, window)));
+    const index = ranked.findIndex(entry => entry.telegramId === telegramId);
+    if (index === -1) return [];
+    return ranked.slice(Math.max(0, index - radius), index + radius + 1);
   }
 
-  async getUserByUsername(username: string): Promise<User | undefined> {
-    return Array.from(this.users.values()).find(
-      (user) => user.username === username,
+  /** Link two players both ways. Returns false if they were already friends. */
+  async addFriendship(telegramId: number, friendId: number, source: FriendSource): Promise<boolean> {
+    if (telegramId === friendId) return false;
+    if (this.friendships.some(row => row.telegramId === telegramId && row.friendId === friendId)) return false;
+
+    const createdAt = new Date();
+    this.friendships.push(
+      { id: this.currentFriendshipId++, telegramId, friendId, source, createdAt },
+      { id: this.currentFriendshipId++, telegramId: friendId, friendId: telegramId, source, createdAt }
     );
+    return true;
+  }
+
+  async getFriendIds(telegramId: number): Promise<number[]> {
+    return this.friendships.filter(row => row.telegramId === telegramId).map(row => row.friendId);
   }
 
-  async createUser(insertUser: InsertUser): Promise<User> {
-    const id = this.currentId++;
-    const user: User = { ...insertUser, id };
-    this.users.set(id, user);
-    return user;
+  /** The player and their friends, ranked among themselves */
+  async getFriendsLeaderboard(telegramId: number, limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    const members = new Set(await this.getFriendIds(telegramId));
+    members.add(telegramId);
+    return rankBestScores(this.scores.filter(row => members.has(row.telegramId) && inWindow(row, window)))
+      .slice(0, limit);
+  }
+
+  /** Returns false if the player already had it */
+  async unlockAchievement(telegramId: number, achievementId: string): Promise<boolean> {
+    if (this.achievements.some(row => row.telegramId === telegramId && row.achievementId === achievementId)) {
+      return false;
+    }
+    this.achievements.push({ id: this.currentRowId++, telegramId, achievementId, unlockedAt: new Date() });
+    return true;
+  }
+
+  async getAchievements(telegramId: number): Promise<Achievement[]> {
+    return this.achievements.filter(row => row.telegramId === telegramId);
+  }
+
+  async getPowerUpStates(telegramId: number): Promise<PowerUpState[]> {
+    return this.powerUpStates.filter(row => row.telegramId === telegramId);
+  }
+
+  async savePowerUpState(state: InsertPowerUpState): Promise<PowerUpState> {
+    const index = this.powerUpStates.findIndex(
+      row => row.telegramId === state.telegramId && row.powerUpId === state.powerUpId
+    );
+    const saved: PowerUpState = {
+      id: index === -1 ? this.currentRowId++ : this.powerUpStates[index].id,
+      telegramId: state.telegramId,
+      powerUpId: state.powerUpId,
+      unlocked: state.unlocked ?? false,
+      activeUntil: state.activeUntil ?? null,
+      cooldownUntil: state.cooldownUntil ?? null,
+      updatedAt: new Date()
+    };
+    if (index === -1) this.powerUpStates.push(saved);
+    else this.powerUpStates[index] = saved;
+    return saved;
   }
+
+  /** Returns false if the player already owned it */
+  async grantRelic(relic: InsertRelic): Promise<boolean> {
+    if (this.relics.some(row => row.telegramId === relic.telegramId && row.relicId === relic.relicId)) {
+      return false;
+    }
+    this.relics.push({
+      id: this.currentRowId++,
+      ...relic,
+      metadata: (relic.metadata ?? {}) as Record<string, unknown>,
+      acquiredAt: new Date()
+    });
+    return true;
+  }
+
+  async getRelics(telegramId: number): Promise<Relic[]> {
+    return this.relics.filter(row => row.telegramId === telegramId);
+  }
+
+  async recordMatch(match: InsertMatch, placings: InsertMatchPlayer[]): Promise<MatchRecord> {
+    const id = this.currentRowId++;
+    const record: MatchRecord = {
+      id,
+      roomId: match.roomId,
+      round: match.round,
+      startedAt: match.startedAt,
+      endedAt: match.endedAt ?? new Date(),
+      players: placings.map(placing => ({
+        id: this.currentRowId++,
+        matchId: id,
+        telegramId: placing.telegramId ?? null,
+        playerId: placing.playerId,
+        name: placing.name ?? null,
+        rank: placing.rank,
+        score: placing.score,
+        alive: placing.alive,
+        knockouts: placing.knockouts ?? 0
+      }))
+    };
+    this.matches.push(record);
+    return record;
+  }
+
+  /** Newest first */
+  async getRecentMatches(telegramId: number, limit: number): Promise<MatchRecord[]> {
+    return this.matches
+      .filter(match => match.players.some(placing => placing.telegramId === telegramId))
+      .sort((a, b) => b.endedAt.getTime() - a.endedAt.getTime())
+      .slice(0, limit);
+  }
+
+  /** Store a replay, then drop all but the newest `keep` */
+  async saveReplay(replay: InsertMatchReplay, keep: number): Promise<MatchReplayRecord> {
+    const record: MatchReplayRecord = { ...replay, recordedAt: new Date() };
+    this.replays.set(record.id, record);
+    // Maps iterate in insertion order, oldest first
+    for (const id of Array.from(this.replays.keys()).slice(0, Math.max(0, this.replays.size - keep))) {
+      this.replays.delete(id);
+    }
+    return record;
+  }
+
+  async getReplay(id: string): Promise<MatchReplayRecord | undefined> {
+    return this.replays.get(id);
+  }
+
+  async getCloudSave(telegramId: number): Promise<CloudSave | undefined> {
+    return this.cloudSaves.get(telegramId);
+  }
+
+  /**
+   * Store `progress` if the save is still at `expectedRevision` (0 for a
+   * player with no save yet). Returns undefined when someone else wrote first.
+   */
+  async putCloudSave(telegramId: number, progress: Progress, expectedRevision: number): Promise<CloudSave | undefined> {
+    const current = this.cloudSaves.get(telegramId)?.revision ?? 0;
+    if (current !== expectedRevision) return undefined;
+
+    const save: CloudSave = {
+      telegramId,
+      revision: expectedRevision + 1,
+      schemaVersion: PROGRESS_SCHEMA_VERSION,
+      progress,
+      updatedAt: new Date()
+    };
+    this.cloudSaves.set(telegramId, save);
+    return save;
+  }
+
+  async getLastDailyClaim(telegramId: number): Promise<DailyClaim | undefined> {
+    return this.dailyClaims
+      .filter(row => row.telegramId === telegramId)
+      .reduce<DailyClaim | undefined>((latest, row) => (!latest || row.day > latest.day ? row : latest), undefined);
+  }
+
+  /** Returns undefined when the player already claimed that day */
+  async recordDailyClaim(claim: InsertDailyClaim): Promise<DailyClaim | undefined> {
+    if (this.dailyClaims.some(row => row.telegramId === claim.telegramId && row.day === claim.day)) {
+      return undefined;
+    }
+    const row: DailyClaim = { ...claim, id: this.currentRowId++, claimedAt: new Date() };
+    this.dailyClaims.push(row);
+    return row;
+  }
+
+  /** Knockouts across every recorded match */
+  async getKnockoutCount(telegramId: number): Promise<number> {
+    let total = 0;
+    for (const match of this.matches) {
+      for (const placing of match.players) {
+        if (placing.telegramId === telegramId) total += placing.knockouts;
+      }
+    }
+    return total;
+  }
+
+  async getLongestDailyStreak(telegramId: number): Promise<number> {
+    return this.dailyClaims
+      .filter(row => row.telegramId === telegramId)
+      .reduce((longest, row) => Math.max(longest, row.streak), 0);
+  }
+}
+
+/**
+ * Postgres storage through Drizzle. Every method waits for the connection
+ * and migrations, so the instance can be created synchronously at startup.
+ */
+export class DatabaseStorage implements IStorage {
+  private db: Promise<Database>;
+
+  constructor(db: Promise<Database>) {
+    this.db = db;
+  }
+
+  /**
+   * Best score per player within the window (optionally only `members`),
+   * ranked the same way as rankBestScores
+   */
+  private async ranked(window: ScoreWindow = {}, members?: number[]) {
+    const db = await this.db;
+    const conditions: SQL[] = [];
+    if (window.since) conditions.push(gte(scores.createdAt, window.since));
+    if (window.until) conditions.push(lt(scores.createdAt, window.until));
+    if (members) conditions.push(inArray(scores.telegramId, members));
+
+    const best = db
+      .selectDistinctOn([scores.telegramId], {
+        telegramId: scores.telegramId,
+        name: scores.name,
+        score: scores.score,
+        achievedAt: scores.createdAt
+      })
+      .from(scores)
+      .where(and(...conditions))
+      .orderBy(scores.telegramId, desc(scores.score), asc(scores.createdAt), asc(scores.id))
+      .as("best");
+
+    const ranked = db
+      .select({
+        rank: sql<number>`row_number() over (order by ${best.score} desc, ${best.achievedAt} asc)`
+          .mapWith(Number)
+          .as("rank"),
+        telegramId: best.telegramId,
+        name: best.name,
+        score: best.score,
+        achievedAt: best.achievedAt
+      })
+      .from(best)
+      .as("ranked");
+
+    return { db, ranked };
+  }
+
+  async getPlayer(telegramId: number): Promise<Player | undefined> {
+    const db = await this.db;
+    const [player] = await db.select().from(players).where(eq(players.telegramId, telegramId));
+    return player;
+  }
+
+  async upsertPlayer(insertPlayer: InsertPlayer): Promise<Player> {
+    const db = await this.db;
+    const [player] = await db
+      .insert(players)
+      .values(insertPlayer)
+      .onConflictDoUpdate({
+        target: players.telegramId,
+        set: { ...insertPlayer, lastSeenAt: new Date() }
+      })
+      .returning();
+    return player;
+  }
+
+  async submitScore(insertScore: InsertScore): Promise<Score> {
+    const db = await this.db;
+    const [score] = await db.insert(scores).values(insertScore).returning();
+    return score;
+  }
+
+  async getLeaderboard(limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    const { db, ranked } = await this.ranked(window);
+    return db.select().from(ranked).orderBy(ranked.rank).limit(limit);
+  }
+
+  async getLeaderboardEntry(telegramId: number, window?: ScoreWindow): Promise<LeaderboardEntry | undefined> {
+    const { db, ranked } = await this.ranked(window);
+    const [entry] = await db.select().from(ranked).where(eq(ranked.telegramId, telegramId));
+    return entry;
+  }
+
+  async archiveSeason(season: number, entries: LeaderboardEntry[]): Promise<void> {
+    if (entries.length === 0) return;
+    const db = await this.db;
+    await db.transaction(async (tx) => {
+      const [existing] = await tx
+        .select({ id: seasonStandings.id })
+        .from(seasonStandings)
+        .where(eq(seasonStandings.season, season))
+        .limit(1);
+      if (existing) return;
+
+      await tx.insert(seasonStandings).values(entries.map(entry => ({ season, ...entry })));
+    });
+  }
+
+  async getSeasonStandings(season: number): Promise<LeaderboardEntry[]> {
+    const db = await this.db;
+    return db
+      .select({
+        rank: seasonStandings.rank,
+        telegramId: seasonStandings.telegramId,
+        name: seasonStandings.name,
+        score: seasonStandings.score,
+        achievedAt: seasonStandings.achievedAt
+      })
+      .from(seasonStandings)
+      .where(eq(seasonStandings.season, season))
+      .orderBy(seasonStandings.rank);
+  }
+
+  async getArchivedSeasons(): Promise<number[]> {
+    const db = await this.db;
+    const rows = await db
+      .selectDistinct({ season: seasonStandings.season })
+      .from(seasonStandings)
+      .orderBy(desc(seasonStandings.season));
+    return rows.map(row => row.season);
+  }
+
+  async getLeaderboardAround(telegramId: number, radius: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    const { db, ranked } = await this.ranked(window);
+    const [own] = await db.select({ rank: ranked.rank }).from(ranked).where(eq(ranked.telegramId, telegramId));
+    if (!own) return [];
+
+    return db
+      .select()
+      .from(ranked)
+      .where(and(gte(ranked.rank, own.rank - radius), lte(ranked.rank, own.rank + radius)))
+      .orderBy(ranked.rank);
+  }
+
+  async addFriendship(telegramId: number, friendId: number, source: FriendSource): Promise<boolean> {
+    if (telegramId === friendId) return false;
+    const db = await this.db;
+    const inserted = await db
+      .insert(friendships)
+      .values([
+        { telegramId, friendId, source },
+        { telegramId: friendId, friendId: telegramId, source }
+      ])
+      .onConflictDoNothing()
+      .returning({ id: friendships.id });
+    return inserted.length > 0;
+  }
+
+  async getFriendIds(telegramId: number): Promise<number[]> {
+    const db = await this.db;
+    const rows = await db
+      .select({ friendId: friendships.friendId })
+      .from(friendships)
+      .where(eq(friendships.telegramId, telegramId));
+    return rows.map(row => row.friendId);
+  }
+
+  async getFriendsLeaderboard(telegramId: number, limit: number, window?: ScoreWindow): Promise<LeaderboardEntry[]> {
+    const members = [telegramId, ...(await this.getFriendIds(telegramId))];
+    const { db, ranked } = await this.ranked(window, members);
+    return db.select().from(ranked).orderBy(ranked.rank).limit(limit);
+  }
+
+  async unlockAchievement(telegramId: number, achievementId: string): Promise<boolean> {
+    const db = await this.db;
+    const inserted = await db
+      .insert(achievements)
+      .values({ telegramId, achievementId })
+      .onConflictDoNothing()
+      .returning({ id: achievements.id });
+    return inserted.length > 0;
+  }
+
+  async getAchievements(telegramId: number): Promise<Achievement[]> {
+    const db = await this.db;
+    return db.select().from(achievements).where(eq(achievements.telegramId, telegramId));
+  }
+
+  async getPowerUpStates(telegramId: number): Promise<PowerUpState[]> {
+    const db = await this.db;
+    return db.select().from(powerUpStates).where(eq(powerUpStates.telegramId, telegramId));
+  }
+
+  async savePowerUpState(state: InsertPowerUpState): Promise<PowerUpState> {
+    const db = await this.db;
+    const [saved] = await db
+      .insert(powerUpStates)
+      .values(state)
+      .onConflictDoUpdate({
+        target: [powerUpStates.telegramId, powerUpStates.powerUpId],
+        set: {
+          unlocked: state.unlocked ?? false,
+          activeUntil: state.activeUntil ?? null,
+          cooldownUntil: state.cooldownUntil ?? null,
+          updatedAt: new Date()
+        }
+      })
+      .returning();
+    return saved;
+  }
+
+  async grantRelic(relic: InsertRelic): Promise<boolean> {
+    const db = await this.db;
+    const inserted = await db
+      .insert(relics)
+      .values({ ...relic, metadata: (relic.metadata ?? {}) as Record<string, unknown> })
+      .onConflictDoNothing()
+      .returning({ id: relics.id });
+    return inserted.length > 0;
+  }
+
+  async getRelics(telegramId: number): Promise<Relic[]> {
+    const db = await this.db;
+    return db.select().from(relics).where(eq(relics.telegramId, telegramId));
+  }
+
+  async recordMatch(match: InsertMatch, placings: InsertMatchPlayer[]): Promise<MatchRecord> {
+    const db = await this.db;
+    return db.transaction(async (tx) => {
+      const [saved] = await tx.insert(matches).values(match).returning();
+      const savedPlayers = placings.length === 0
+        ? []
+        : await tx
+          .insert(matchPlayers)
+          .values(placings.map(placing => ({ ...placing, matchId: saved.id })))
+          .returning();
+      return { ...saved, players: savedPlayers };
+    });
+  }
+
+  async getRecentMatches(telegramId: number, limit: number): Promise<MatchRecord[]> {
+    const db = await this.db;
+    const recent = await db
+      .select({ match: matches })
+      .from(matches)
+      .innerJoin(matchPlayers, eq(matchPlayers.matchId, matches.id))
+      .where(eq(matchPlayers.telegramId, telegramId))
+      .orderBy(desc(matches.endedAt))
+      .limit(limit);
+    if (recent.length === 0) return [];
+
+    const placings = await db
+      .select()
+      .from(matchPlayers)
+      .where(inArray(matchPlayers.matchId, recent.map(row => row.match.id)))
+      .orderBy(matchPlayers.rank);
+
+    return recent.map(({ match }) => ({
+      ...match,
+      players: placings.filter(placing => placing.matchId === match.id)
+    }));
+  }
+
+  async saveReplay(replay: InsertMatchReplay, keep: number): Promise<MatchReplayRecord> {
+    const db = await this.db;
+    const [saved] = await db.insert(matchReplays).values(replay).returning();
+    const stale = await db
+      .select({ id: matchReplays.id })
+      .from(matchReplays)
+      .orderBy(desc(matchReplays.recordedAt))
+      .offset(keep);
+    if (stale.length > 0) {
+      await db.delete(matchReplays).where(inArray(matchReplays.id, stale.map(row => row.id)));
+    }
+    return saved;
+  }
+
+  async getReplay(id: string): Promise<MatchReplayRecord | undefined> {
+    const db = await this.db;
+    const [replay] = await db.select().from(matchReplays).where(eq(matchReplays.id, id));
+    return replay;
+  }
+
+  async getCloudSave(telegramId: number): Promise<CloudSave | undefined> {
+    const db = await this.db;
+    const [save] = await db.select().from(cloudSaves).where(eq(cloudSaves.telegramId, telegramId));
+    return save;
+  }
+
+  async putCloudSave(telegramId: number, progress: Progress, expectedRevision: number): Promise<CloudSave | undefined> {
+    const db = await this.db;
+
+    if (expectedRevision === 0) {
+      const [created] = await db
+        .insert(cloudSaves)
+        .values({ telegramId, revision: 1, schemaVersion: PROGRESS_SCHEMA_VERSION, progress })
+        .onConflictDoNothing()
+        .returning();
+      return created;
+    }
+
+    const [updated] = await db
+      .update(cloudSaves)
+      .set({
+        revision: expectedRevision + 1,
+        schemaVersion: PROGRESS_SCHEMA_VERSION,
+        progress,
+        updatedAt: new Date()
+      })
+      .where(and(eq(cloudSaves.telegramId, telegramId), eq(cloudSaves.revision, expectedRevision)))
+      .returning();
+    return updated;
+  }
+
+  async getLastDailyClaim(telegramId: number): Promise<DailyClaim | undefined> {
+    const db = await this.db;
+    const [claim] = await db
+      .select()
+      .from(dailyClaims)
+      .where(eq(dailyClaims.telegramId, telegramId))
+      .orderBy(desc(dailyClaims.day))
+      .limit(1);
+    return claim;
+  }
+
+  async recordDailyClaim(claim: InsertDailyClaim): Promise<DailyClaim | undefined> {
+    const db = await this.db;
+    const [created] = await db.insert(dailyClaims).values(claim).onConflictDoNothing().returning();
+    return created;
+  }
+
+  async getKnockoutCount(telegramId: number): Promise<number> {
+    const db = await this.db;
+    const [row] = await db
+      .select({ total: sql<number>`coalesce(sum(${matchPlayers.knockouts}), 0)`.mapWith(Number) })
+      .from(matchPlayers)
+      .where(eq(matchPlayers.telegramId, telegramId));
+    return row.total;
+  }
+
+  async getLongestDailyStreak(telegramId: number): Promise<number> {
+    const db = await this.db;
+    const [row] = await db
+      .select({ longest: sql<number>`coalesce(max(${dailyClaims.streak}), 0)`.mapWith(Number) })
+      .from(dailyClaims)
+      .where(eq(dailyClaims.telegramId, telegramId));
+    return row.longest;
+  }
+}
+
+/**
+ * DATABASE_URL selects Postgres (or the embedded PGlite stand-in, see
+ * ./db); without it everything lives in memory until the process exits.
+ */
+function createStorage(): IStorage {
+  const url = process.env.DATABASE_URL;
+  if (!url) return new MemStorage();
+
+  const db = connectDatabase(url);
+  // Queries still fail with the original error; this only reports it once
+  db.catch(error => log(`Database connection failed: ${error.message}`));
+  return new DatabaseStorage(db);
 }
 
-export const storage = new MemStorage();
+export const storage = createStorage();
@@ -0,0 +1,79 @@
+import { MAX_TEAMS, MIN_TEAMS } from "@shared/teams";
+import type { ArenaPlayer } from "@shared/protocol";
+
+export interface TeamConfig {
+  count: number;
+  // Slaps on teammates deal damage (but never score) when on
+  friendlyFire: boolean;
+}
+
+export const DEFAULT_TEAM_CONFIG: TeamConfig = {
+  count: 2,
+  friendlyFire: false
+};
+
+/**
+ * Merge user-supplied team settings over the defaults, clamping the team
+ * count to the teams defined in shared/teams.ts.
+ */
+export function normalizeTeamConfig(input: Partial<TeamConfig> = {}): TeamConfig {
+  const config = { ...DEFAULT_TEAM_CONFIG };
+  const count = Number(input.count);
+  if (input.count !== undefined && Number.isFinite(count)) {
+    config.count = Math.round(Math.max(MIN_TEAMS, Math.min(MAX_TEAMS, count)));
+  }
+  if (typeof input.friendlyFire === "boolean") config.friendlyFire = input.friendlyFire;
+  return config;
+}
+
+function rosters(players: ArenaPlayer[], count: number): ArenaPlayer[][] {
+  const teams: ArenaPlayer[][] = Array.from({ length: count }, () => []);
+  for (const player of players) {
+    if (player.team !== undefined && player.team < count) teams[player.team].push(player);
+  }
+  return teams;
+}
+
+/**
+ * The team a newcomer joins: the one with the fewest players, then the
+ * lowest combined score, then the lowest index
+ */
+export function pickTeam(players: ArenaPlayer[], count: number): number {
+  const teams = rosters(players, count);
+  const score = (team: ArenaPlayer[]) => team.reduce((sum, player) => sum + player.score, 0);
+
+  let best = 0;
+  for (let team = 1; team < count; team++) {
+    const size = teams[team].length - teams[best].length;
+    if (size < 0 || (size === 0 && score(teams[team]) < score(teams[best]))) best = team;
+  }
+  return best;
+}
+
+/**
+ * Even out teams that drifted apart as players left, moving the most recent
+ * joiners (highest ids) from the largest team to the smallest until no two
+ * teams differ by more than one player. Players without a valid team are
+ * seated first. Returns the ids of everyone who changed team.
+ */
+export function balanceTeams(players: ArenaPlayer[], count: number): number[] {
+  const moved: number[] = [];
+  for (const player of players) {
+    if (player.team !== undefined && player.team < count) continue;
+    player.team = pickTeam(players.filter(other => other !== player), count);
+    moved.push(player.id);
+  }
+
+  for (;;) {
+    const teams = rosters(players, count);
+    const sizes = teams.map(team => team.length);
+    const largest = sizes.indexOf(Math.max(...sizes));
+    const smallest = sizes.indexOf(Math.min(...sizes));
+    if (sizes[largest] - sizes[smallest] <= 1) break;
+
+    const player = teams[largest].reduce((latest, candidate) => candidate.id > latest.id ? candidate : latest);
+    player.team = smallest;
+    if (!moved.includes(player.id)) moved.push(player.id);
+  }
+  return moved;
+}
@@ -0,0 +1,199 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import type { Request, Response, NextFunction } from "express";
+import type { InsertPlayer } from "@shared/schema";
+
+/**
+ * Telegram Mini App launch data verification.
+ *
+ * Telegram signs `initData` with a key derived from the bot token:
+ *   secret = HMAC_SHA256(key = "WebAppData", data = botToken)
+ *   hash   = hex(HMAC_SHA256(key = secret, data = data_check_string))
+ * where data_check_string is every field except `hash`, sorted by key and
+ * joined as `key=value` lines. See core.telegram.org/bots/webapps.
+ *
+ * Configuration:
+ *   TELEGRAM_BOT_TOKEN        bot token; without it verification is off and
+ *                             players stay anonymous
+ *   TELEGRAM_AUTH_MAX_AGE     seconds an initData stays valid (default 86400)
+ *   TELEGRAM_AUTH_REQUIRED    "true" to turn away players without initData
+ */
+
+export interface TelegramIdentity {
+  id: number;
+  firstName: string;
+  lastName?: string;
+  username?: string;
+  languageCode?: string;
+  isPremium?: boolean;
+  photoUrl?: string;
+  // Deep-link payload the Mini App was opened with; covered by the signature
+  startParam?: string;
+  authDate: number;
+}
+
+export type AuthFailure = "missing" | "malformed" | "bad_signature" | "expired" | "not_configured";
+
+export type VerifyResult =
+  | { ok: true; identity: TelegramIdentity }
+  | { ok: false; reason: AuthFailure };
+
+const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60;
+// Tolerated clock skew for auth_date values from the future
+const FUTURE_SKEW_SECONDS = 60;
+
+// Header carrying initData on REST calls: `Authorization: tma <initData>`
+const AUTH_SCHEME = "tma";
+
+export interface AuthConfig {
+  botToken: string | null;
+  maxAgeSeconds: number;
+  required: boolean;
+}
+
+export function authConfig(env: NodeJS.ProcessEnv = process.env): AuthConfig {
+  const maxAge = Number(env.TELEGRAM_AUTH_MAX_AGE);
+  return {
+    botToken: env.TELEGRAM_BOT_TOKEN || null,
+    maxAgeSeconds: Number.isFinite(maxAge) && maxAge > 0 ? maxAge : DEFAULT_MAX_AGE_SECONDS,
+    required: env.TELEGRAM_AUTH_REQUIRED === "true"
+  };
+}
+
+function signatureFor(dataCheckString: string, botToken: string): Buffer {
+  const secret = createHmac("sha256", "WebAppData").update(botToken).digest();
+  return createHmac("sha256", secret).update(dataCheckString).digest();
+}
+
+/**
+ * Check the signature and freshness of a raw initData query string and
+ * extract the Telegram user it vouches for.
+ */
+export function verifyInitData(
+  initData: string,
+  config: AuthConfig = authConfig(),
+  now = Date.now()
+): VerifyResult {
+  if (!config.botToken) return { ok: false, reason: "not_configured" };
+  if (!initData) return { ok: false, reason: "missing" };
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get("hash");
+  if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return { ok: false, reason: "malformed" };
+  params.delete("hash");
+
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+
+  const expected = signatureFor(dataCheckString, config.botToken);
+  if (!timingSafeEqual(expected, Buffer.from(hash, "hex"))) {
+    return { ok: false, reason: "bad_signature" };
+  }
+
+  const authDate = Number(params.get("auth_date"));
+  if (!Number.isInteger(authDate)) return { ok: false, reason: "malformed" };
+
+  const ageSeconds = now / 1000 - authDate;
+  if (ageSeconds > config.maxAgeSeconds || ageSeconds < -FUTURE_SKEW_SECONDS) {
+    return { ok: false, reason: "expired" };
+  }
+
+  let user: any;
+  try {
+    user = JSON.parse(params.get("user") ?? "");
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  if (!user || typeof user.id !== "number" || typeof user.first_name !== "string") {
+    return { ok: false, reason: "malformed" };
+  }
+
+  return {
+    ok: true,
+    identity: {
+      id: user.id,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      username: user.username,
+      languageCode: user.language_code,
+      isPremium: user.is_premium,
+      photoUrl: user.photo_url,
+      startParam: params.get("start_param") ?? undefined,
+      authDate
+    }
+  };
+}
+
+/** In-game name for a verified player, within the 20 character profile limit */
+export function displayName(identity: TelegramIdentity): string {
+  return (identity.username || identity.firstName).substring(0, 20);
+}
+
+/** Row for the players table */
+export function playerRecord(identity: TelegramIdentity): InsertPlayer {
+  return {
+    telegramId: identity.id,
+    name: displayName(identity),
+    username: identity.username ?? null,
+    languageCode: identity.languageCode ?? null,
+    isPremium: Boolean(identity.isPremium)
+  };
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      telegramUser?: TelegramIdentity;
+    }
+  }
+}
+
+function initDataFrom(req: Request): string | null {
+  const header = req.get("authorization");
+  if (header) {
+    const [scheme, ...rest] = header.split(" ");
+    if (scheme.toLowerCase() === AUTH_SCHEME) return rest.join(" ");
+  }
+  return req.get("x-telegram-init-data") ?? null;
+}
+
+/**
+ * Express middleware: verify initData from the request headers and attach
+ * the player as `req.telegramUser`. With `optional`, requests without
+ * initData pass through anonymously; invalid initData is always rejected.
+ */
+export function telegramAuth({ optional = false }: { optional?: boolean } = {}) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const config = authConfig();
+    const initData = initDataFrom(req);
+
+    if (!initData) {
+      if (optional || !config.botToken) return next();
+      return res.status(401).json({ message: "Telegram authorization required" });
+    }
+
+    // Without a bot token there is nothing to check the signature against
+    if (!config.botToken) return next();
+
+    const result = verifyInitData(initData, config);
+    if (!result.ok) {
+      return res.status(401).json({ message: `Telegram authorization failed: ${result.reason}` });
+    }
+
+    req.telegramUser = result.identity;
+    next();
+  };
+}
+
+/**
+ * Express middleware for routes that act on a player's own data. Goes after
+ * telegramAuth(), which lets anonymous requests through when no bot token
+ * is configured.
+ */
+export function requireTelegramUser(req: Request, res: Response, next: NextFunction) {
+  if (!req.telegramUser) {
+    return res.status(401).json({ message: "This needs a verified Telegram user" });
+  }
+  next();
+}
@@ -0,0 +1,75 @@
+import type { Circle, ZoneInfo } from "@shared/protocol";
+import { ZONE_STAGES, initialZone, isInsideZone, nextZone, zoneCircleAt, type ZoneStage } from "@shared/zone";
+
+/**
+ * The battle-royale zone for one round. Stages run back to back on the
+ * ZONE_STAGES schedule; the last one leaves the zone closed until the round
+ * ends. The room polls update() from its tick and broadcasts info() whenever
+ * a new stage begins.
+ */
+export class ShrinkingZone {
+  private map: { width: number; height: number };
+  private startRadius: number;
+  private stage = 0;
+  private from: Circle;
+  private to: Circle;
+  private stageStartedAt: number;
+
+  constructor(map: { width: number; height: number }, now = Date.now()) {
+    this.map = map;
+    this.from = initialZone(map);
+    this.startRadius = this.from.radius;
+    this.to = nextZone(this.from, this.startRadius * ZONE_STAGES[0].radiusFraction, map);
+    this.stageStartedAt = now;
+  }
+
+  private get current(): ZoneStage {
+    return ZONE_STAGES[this.stage];
+  }
+
+  /** Begin the next stage once this one has closed. Returns true if it did. */
+  update(now = Date.now()): boolean {
+    const { waitMs, shrinkMs } = this.current;
+    if (now - this.stageStartedAt < waitMs + shrinkMs) return false;
+    if (this.stage === ZONE_STAGES.length - 1) return false;
+
+    this.stage++;
+    this.from = this.to;
+    this.to = nextZone(this.from, this.startRadius * this.current.radiusFraction, this.map);
+    this.stageStartedAt = now;
+    return true;
+  }
+
+  circle(now = Date.now()): Circle {
+    return zoneCircleAt(this.stageTiming(), now - this.stageStartedAt);
+  }
+
+  /** Damage per second at (x, y): the stage's rate outside the zone, else 0 */
+  damageAt(x: number, y: number, now = Date.now()): number {
+    return isInsideZone(this.circle(now), x, y) ? 0 : this.current.damagePerSecond;
+  }
+
+  /**
+   * The stage as clients should see it from `now`: a shrink already under
+   * way is sent as starting from the current circle with its remaining time
+   */
+  info(now = Date.now()): ZoneInfo {
+    const elapsed = now - this.stageStartedAt;
+    const { waitMs, shrinkMs, damagePerSecond } = this.current;
+    const base = { stage: this.stage, stages: ZONE_STAGES.length, to: this.to, damagePerSecond };
+
+    if (elapsed < waitMs) {
+      return { ...base, from: this.from, shrinkInMs: waitMs - elapsed, shrinkMs };
+    }
+    return {
+      ...base,
+      from: this.circle(now),
+      shrinkInMs: 0,
+      shrinkMs: Math.max(0, shrinkMs - (elapsed - waitMs))
+    };
+  }
+
+  private stageTiming() {
+    return { from: this.from, to: this.to, shrinkInMs: this.current.waitMs, shrinkMs: this.current.shrinkMs };
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Achievement catalog, shared by the /api/achievements endpoints, the rooms
+ * that grant multiplayer achievements and client/modules/state.js.
+ *
+ * Every achievement unlocks when one counter reaches its target. Most
+ * counters are kept on the device and the client reports the unlock; the
+ * ones in SERVER_STATS are counted by the server, which grants those
+ * achievements itself and refuses them from clients.
+ *
+ * Names and descriptions are localized on the client under
+ * `achievements.<id>`. Ids are stored in cloud saves and the achievements
+ * table, so never rename one.
+ */
+
+export const ACHIEVEMENT_TIERS = ["bronze", "silver", "gold", "platinum"] as const;
+export type AchievementTier = (typeof ACHIEVEMENT_TIERS)[number];
+
+export const ACHIEVEMENT_STATS = [
+  "score",
+  "totalSlaps",
+  "highestCombo",
+  "playTime",
+  "knockouts",
+  "dailyStreak",
+] as const;
+export type AchievementStat = (typeof ACHIEVEMENT_STATS)[number];
+
+export const SERVER_STATS: readonly AchievementStat[] = ["knockouts", "dailyStreak"];
+
+export type AchievementStats = Record<AchievementStat, number>;
+
+export interface AchievementDefinition {
+  id: string;
+  stat: AchievementStat;
+  // Counter value that unlocks it; play time is in milliseconds
+  target: number;
+  tier: AchievementTier;
+  icon: string;
+  // Kept off the achievements screen until unlocked
+  hidden?: boolean;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ACHIEVEMENTS: readonly AchievementDefinition[] = [
+  { id: "score_100", stat: "score", target: 100, tier: "bronze", icon: "💯" },
+  { id: "score_500", stat: "score", target: 500, tier: "bronze", icon: "⭐" },
+  { id: "score_1000", stat: "score", target: 1000, tier: "silver", icon: "🌟" },
+  { id: "score_5000", stat: "score", target: 5000, tier: "silver", icon: "✨" },
+  { id: "score_10000", stat: "score", target: 10000, tier: "gold", icon: "🏅" },
+  { id: "score_50000", stat: "score", target: 50000, tier: "gold", icon: "🏆" },
+  { id: "score_100000", stat: "score", target: 100000, tier: "platinum", icon: "👑", hidden: true },
+  { id: "slaps_100", stat: "totalSlaps", target: 100, tier: "bronze", icon: "👋" },
+  { id: "slaps_1000", stat: "totalSlaps", target: 1000, tier: "silver", icon: "🖐️" },
+  { id: "slaps_10000", stat: "totalSlaps", target: 10000, tier: "gold", icon: "🙌" },
+  { id: "combo_10", stat: "highestCombo", target: 10, tier: "bronze", icon: "🔥" },
+  { id: "combo_25", stat: "highestCombo", target: 25, tier: "silver", icon: "⚡" },
+  { id: "combo_50", stat: "highestCombo", target: 50, tier: "gold", icon: "💥", hidden: true },
+  { id: "playtime_1h", stat: "playTime", target: HOUR_MS, tier: "bronze", icon: "⏱️" },
+  { id: "playtime_10h", stat: "playTime", target: 10 * HOUR_MS, tier: "gold", icon: "⏳" },
+  { id: "ko_1", stat: "knockouts", target: 1, tier: "bronze", icon: "🥊" },
+  { id: "ko_25", stat: "knockouts", target: 25, tier: "silver", icon: "💪" },
+  { id: "ko_100", stat: "knockouts", target: 100, tier: "platinum", icon: "☠️" },
+  { id: "streak_3", stat: "dailyStreak", target: 3, tier: "bronze", icon: "🎁" },
+  { id: "streak_7", stat: "dailyStreak", target: 7, tier: "silver", icon: "📅" },
+  { id: "streak_30", stat: "dailyStreak", target: 30, tier: "platinum", icon: "🗓️", hidden: true },
+];
+
+const byId = new Map(ACHIEVEMENTS.map(achievement => [achievement.id, achievement]));
+
+export function getAchievement(id: string): AchievementDefinition | undefined {
+  return byId.get(id);
+}
+
+export function isServerAchievement(achievement: AchievementDefinition): boolean {
+  return SERVER_STATS.includes(achievement.stat);
+}
+
+/** How far along the counter is, capped at the target */
+export function achievementProgress(achievement: AchievementDefinition, stats: Partial<AchievementStats>) {
+  const current = Math.min(stats[achievement.stat] ?? 0, achievement.target);
+  return { current, target: achievement.target, complete: current >= achievement.target };
+}
+
+/** Ids of the achievements whose target the given counters have reached */
+export function reachedAchievements(stats: Partial<AchievementStats>): string[] {
+  return ACHIEVEMENTS
+    .filter(achievement => achievementProgress(achievement, stats).complete)
+    .map(achievement => achievement.id);
+}
@@ -0,0 +1,36 @@
+/**
+ * Movement limits shared by the server's validation and the clients' local
+ * prediction, so both sides agree on what a legal move is, plus the slap
+ * rules bots plan around. The arena's layout and size come from the map
+ * being played (see shared/maps.ts).
+ */
+
+export interface Bounds {
+  minX: number;
+  maxX: number;
+  minY: number;
+  maxY: number;
+}
+
+// Players are drawn and collide as circles of this radius
+export const PLAYER_RADIUS = 20;
+
+// Pixels per second a player may cover; keyboard movement runs at ~180 (255 diagonally)
+export const MAX_MOVE_SPEED = 320;
+
+// A slap lands on targets closer than this, for this much gas and damage
+export const SLAP_RANGE = 60;
+export const SLAP_GAS_COST = 20;
+export const SLAP_DAMAGE = 25;
+
+export function clampToBounds(x: number, y: number, bounds: Bounds) {
+  return {
+    x: Math.max(bounds.minX, Math.min(bounds.maxX, x)),
+    y: Math.max(bounds.minY, Math.min(bounds.maxY, y)),
+  };
+}
+
+// Clients draw remote players this far in the past so there is usually a
+// snapshot on either side of the render time. The server rewinds by the same
+// amount when judging what an attacker could see.
+export const INTERPOLATION_DELAY_MS = 100;
@@ -0,0 +1,76 @@
+/**
+ * Daily reward rules, shared by the /api/daily-reward endpoints and the
+ * clients that draw the reward calendar.
+ *
+ * Days are UTC calendar days, so everyone's day rolls over at the same
+ * moment whatever their time zone. One claim per day:
+ *   - claiming on the day after the previous claim continues the streak
+ *   - missing a whole day starts the streak over at day 1
+ *   - rewards climb through a seven-day week, then the week repeats, so a
+ *     long streak keeps collecting the day-7 bonus once a week
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reward for each day of the streak week, day 1 first
+export const DAILY_REWARDS = [100, 150, 200, 250, 300, 400, 1000] as const;
+export const STREAK_WEEK = DAILY_REWARDS.length;
+
+/** The previous claim, as far as the rules are concerned */
+export interface LastDailyClaim {
+  day: number;
+  streak: number;
+}
+
+export type CalendarDayState = "claimed" | "today" | "upcoming";
+
+export interface CalendarDay {
+  streak: number;
+  reward: number;
+  state: CalendarDayState;
+}
+
+export interface DailyRewardStatus {
+  canClaim: boolean;
+  // Consecutive days claimed so far; 0 once the streak is broken
+  streak: number;
+  nextStreak: number;
+  nextReward: number;
+  // When the next claim opens (ms since epoch); now if it already has
+  nextClaimAt: number;
+  // The streak week the player is in
+  calendar: CalendarDay[];
+}
+
+/** Days since the Unix epoch, in UTC */
+export function utcDay(time: number): number {
+  return Math.floor(time / DAY_MS);
+}
+
+export function rewardForStreak(streak: number): number {
+  return DAILY_REWARDS[(Math.max(1, streak) - 1) % STREAK_WEEK];
+}
+
+export function dailyRewardStatus(last: LastDailyClaim | null | undefined, now: number): DailyRewardStatus {
+  const today = utcDay(now);
+  const claimedToday = last?.day === today;
+  const streak = last && (claimedToday || last.day === today - 1) ? last.streak : 0;
+  const nextStreak = streak + 1;
+
+  // Show the week of today's claim, or of the claim that is still to make
+  const weekStart = Math.floor(((claimedToday ? streak : nextStreak) - 1) / STREAK_WEEK) * STREAK_WEEK;
+  const calendar = DAILY_REWARDS.map((reward, index): CalendarDay => {
+    const day = weekStart + index + 1;
+    const state = day <= streak ? "claimed" : day === nextStreak && !claimedToday ? "today" : "upcoming";
+    return { streak: day, reward, state };
+  });
+
+  return {
+    canClaim: !claimedToday,
+    streak,
+    nextStreak,
+    nextReward: rewardForStreak(nextStreak),
+    nextClaimAt: claimedToday ? (today + 1) * DAY_MS : now,
+    calendar,
+  };
+}
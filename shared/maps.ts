@@ -0,0 +1,164 @@
+import { z } from "zod";
+import { PLAYER_RADIUS, clampToBounds, type Bounds } from "./arena";
+import classic from "./maps/classic.json";
+import pillars from "./maps/pillars.json";
+import lavaPit from "./maps/lava-pit.json";
+
+/**
+ * Arena maps, loaded from the JSON files in shared/maps by both the server
+ * (collision, line of sight, hazards) and the Phaser client (rendering and
+ * movement prediction), so the two always agree on the layout.
+ *
+ * Every area is an axis-aligned rectangle in map pixels:
+ *   walls      block movement and slaps
+ *   cover      blocks slaps but can be walked through
+ *   slowZones  scale movement speed by `speedMultiplier` while inside
+ *   hazards    deal `damagePerSecond` to anyone standing in them
+ *
+ * Adding a map takes a JSON file here and an entry in MAPS.
+ */
+
+const rectSchema = z.object({
+  x: z.number().finite(),
+  y: z.number().finite(),
+  width: z.number().positive(),
+  height: z.number().positive(),
+});
+
+export type Rect = z.infer<typeof rectSchema>;
+
+export const arenaMapSchema = z.object({
+  id: z.string().regex(/^[a-z][a-z0-9-]*$/).max(32),
+  name: z.string().min(1).max(32),
+  width: z.number().int().min(200).max(4000),
+  height: z.number().int().min(200).max(4000),
+  spawns: z.array(z.object({ x: z.number().finite(), y: z.number().finite() })).min(1),
+  walls: z.array(rectSchema).default([]),
+  cover: z.array(rectSchema).default([]),
+  slowZones: z.array(rectSchema.extend({ speedMultiplier: z.number().positive().max(1) })).default([]),
+  hazards: z.array(rectSchema.extend({ damagePerSecond: z.number().positive() })).default([]),
+}).superRefine((map, ctx) => {
+  map.spawns.forEach((spawn, index) => {
+    if (!isOpenGround(map, spawn.x, spawn.y, PLAYER_RADIUS)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["spawns", index], message: "Spawn point is blocked" });
+    }
+  });
+});
+
+export type ArenaMap = z.infer<typeof arenaMapSchema>;
+
+// Parsed at load so a malformed map fails loudly instead of misbehaving
+export const MAPS: readonly ArenaMap[] = z.array(arenaMapSchema)
+  .refine(list => new Set(list.map(map => map.id)).size === list.length, "Map ids must be unique")
+  .parse([classic, pillars, lavaPit]);
+
+export const DEFAULT_MAP_ID = "classic";
+
+const byId = new Map(MAPS.map(map => [map.id, map]));
+
+export function getMap(id: string): ArenaMap | undefined {
+  return byId.get(id);
+}
+
+/** Where a player's centre may go: the map inset by the player's radius */
+export function mapBounds(map: Pick<ArenaMap, "width" | "height">): Bounds {
+  return {
+    minX: PLAYER_RADIUS,
+    maxX: map.width - PLAYER_RADIUS,
+    minY: PLAYER_RADIUS,
+    maxY: map.height - PLAYER_RADIUS,
+  };
+}
+
+function containsPoint(rect: Rect, x: number, y: number): boolean {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+function overlapsCircle(rect: Rect, x: number, y: number, radius: number): boolean {
+  const nearestX = Math.max(rect.x, Math.min(rect.x + rect.width, x));
+  const nearestY = Math.max(rect.y, Math.min(rect.y + rect.height, y));
+  const dx = x - nearestX;
+  const dy = y - nearestY;
+  return dx * dx + dy * dy < radius * radius;
+}
+
+/** Whether the segment from (x1, y1) to (x2, y2) passes through `rect` */
+function crossesRect(rect: Rect, x1: number, y1: number, x2: number, y2: number): boolean {
+  // Liang–Barsky clipping against each pair of edges
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  let enter = 0;
+  let exit = 1;
+  const edges: [number, number][] = [
+    [-dx, x1 - rect.x],
+    [dx, rect.x + rect.width - x1],
+    [-dy, y1 - rect.y],
+    [dy, rect.y + rect.height - y1],
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) enter = Math.max(enter, t);
+    else exit = Math.min(exit, t);
+    if (enter > exit) return false;
+  }
+  return true;
+}
+
+/** Movement speed factor at a point; overlapping slow zones keep the slowest */
+export function speedMultiplierAt(map: ArenaMap, x: number, y: number): number {
+  return map.slowZones
+    .filter(zone => containsPoint(zone, x, y))
+    .reduce((slowest, zone) => Math.min(slowest, zone.speedMultiplier), 1);
+}
+
+/** Damage per second at a point; overlapping hazards add up */
+export function hazardDamageAt(map: ArenaMap, x: number, y: number): number {
+  return map.hazards
+    .filter(hazard => containsPoint(hazard, x, y))
+    .reduce((total, hazard) => total + hazard.damagePerSecond, 0);
+}
+
+/** Free of walls and hazards for a circle of `radius` at (x, y) */
+export function isOpenGround(map: Pick<ArenaMap, "walls" | "hazards">, x: number, y: number, radius: number): boolean {
+  return !map.walls.some(wall => overlapsCircle(wall, x, y, radius))
+    && !map.hazards.some(hazard => overlapsCircle(hazard, x, y, radius));
+}
+
+/** Walls and cover both stop a slap */
+export function blocksLineOfSight(map: ArenaMap, x1: number, y1: number, x2: number, y2: number): boolean {
+  return map.walls.some(wall => crossesRect(wall, x1, y1, x2, y2))
+    || map.cover.some(cover => crossesRect(cover, x1, y1, x2, y2));
+}
+
+function hitsWall(map: ArenaMap, x: number, y: number): boolean {
+  return map.walls.some(wall => overlapsCircle(wall, x, y, PLAYER_RADIUS));
+}
+
+/**
+ * Where a player moving from `from` towards (x, y) ends up. The target is
+ * clamped to the map, and the move is walked in steps no longer than half
+ * a player radius so it cannot tunnel through a wall. A step into a wall
+ * slides along it on whichever axis is still free, or stops the move.
+ */
+export function moveWithCollision(map: ArenaMap, from: { x: number; y: number }, x: number, y: number) {
+  const target = clampToBounds(x, y, mapBounds(map));
+  const distance = Math.hypot(target.x - from.x, target.y - from.y);
+  const steps = Math.max(1, Math.ceil(distance / (PLAYER_RADIUS / 2)));
+  const stepX = (target.x - from.x) / steps;
+  const stepY = (target.y - from.y) / steps;
+
+  let position = { x: from.x, y: from.y };
+  for (let i = 0; i < steps; i++) {
+    const nextX = position.x + stepX;
+    const nextY = position.y + stepY;
+    if (!hitsWall(map, nextX, nextY)) position = { x: nextX, y: nextY };
+    else if (stepX !== 0 && !hitsWall(map, nextX, position.y)) position = { x: nextX, y: position.y };
+    else if (stepY !== 0 && !hitsWall(map, position.x, nextY)) position = { x: position.x, y: nextY };
+    else break;
+  }
+  return position;
+}
@@ -0,0 +1,150 @@
+import { z } from "zod";
+import { ACHIEVEMENT_STATS } from "./achievements";
+
+/**
+ * Power-up definitions and the effect engine, shared by
+ * client/modules/state.js and the multiplayer server.
+ *
+ * A power-up is pure data: the effects it has while active, how long it
+ * lasts, its cooldown and what unlocks it. Adding one takes an entry in
+ * POWER_UPS plus a name and description under `powerups.<id>` in the client
+ * localization; the engine already knows every effect type.
+ *
+ * Every effect is a multiplier on a base value, 1 meaning no change:
+ *   scoreMultiplier  points earned per slap
+ *   tapRate          taps per second allowed by the rate limiter
+ *   comboWindow      time allowed between taps before the combo breaks
+ *   gasCost          gas spent per slap in the arena
+ *   damageTaken      arena damage received; 0 absorbs every hit
+ *   pickupRadius     distance at which arena pickups are collected
+ *
+ * When several active power-ups share an effect, each effect's stacking
+ * rule decides how they combine: "multiply" magnitudes multiply together,
+ * "max" and "min" keep only the strongest one in that direction.
+ */
+
+export const POWER_UP_EFFECTS = [
+  "scoreMultiplier",
+  "tapRate",
+  "comboWindow",
+  "gasCost",
+  "damageTaken",
+  "pickupRadius",
+] as const;
+export type PowerUpEffect = (typeof POWER_UP_EFFECTS)[number];
+
+export const STACKING_RULES = ["multiply", "max", "min"] as const;
+export type StackingRule = (typeof STACKING_RULES)[number];
+
+export const powerUpDefinitionSchema = z.object({
+  id: z.string().regex(/^[a-z][a-zA-Z0-9]*$/).max(32),
+  icon: z.string().min(1),
+  // Aura drawn around players who have it active in the arena
+  color: z.string().regex(/^#[0-9a-f]{6}$/i),
+  effects: z.array(z.object({
+    type: z.enum(POWER_UP_EFFECTS),
+    magnitude: z.number().nonnegative(),
+    stacking: z.enum(STACKING_RULES),
+  })).min(1),
+  durationMs: z.number().int().positive(),
+  cooldownMs: z.number().int().nonnegative(),
+  // Unlocks once one of the achievement counters reaches `atLeast`
+  unlock: z.object({
+    stat: z.enum(ACHIEVEMENT_STATS),
+    atLeast: z.number().nonnegative(),
+  }),
+});
+
+export type PowerUpDefinition = z.infer<typeof powerUpDefinitionSchema>;
+
+// Parsed at load so a malformed entry fails loudly instead of misbehaving
+export const POWER_UPS: readonly PowerUpDefinition[] = z.array(powerUpDefinitionSchema)
+  .refine(list => new Set(list.map(powerUp => powerUp.id)).size === list.length, "Power-up ids must be unique")
+  .parse([
+    {
+      id: "doublePoints",
+      icon: "⚡",
+      color: "#ffd60a",
+      effects: [{ type: "scoreMultiplier", magnitude: 2, stacking: "multiply" }],
+      durationMs: 30000,
+      cooldownMs: 120000,
+      unlock: { stat: "score", atLeast: 500 },
+    },
+    {
+      id: "rapidFire",
+      icon: "🔥",
+      color: "#ff6b35",
+      effects: [
+        { type: "tapRate", magnitude: 2, stacking: "max" },
+        { type: "scoreMultiplier", magnitude: 1.5, stacking: "multiply" },
+        { type: "gasCost", magnitude: 0.5, stacking: "min" },
+      ],
+      durationMs: 15000,
+      cooldownMs: 90000,
+      unlock: { stat: "score", atLeast: 1000 },
+    },
+    {
+      id: "shield",
+      icon: "🛡️",
+      color: "#4cc9f0",
+      effects: [
+        { type: "damageTaken", magnitude: 0, stacking: "min" },
+        { type: "comboWindow", magnitude: 3, stacking: "max" },
+      ],
+      durationMs: 60000,
+      cooldownMs: 180000,
+      unlock: { stat: "score", atLeast: 2000 },
+    },
+    {
+      id: "magnet",
+      icon: "🧲",
+      color: "#c77dff",
+      effects: [{ type: "pickupRadius", magnitude: 3, stacking: "max" }],
+      durationMs: 20000,
+      cooldownMs: 150000,
+      unlock: { stat: "score", atLeast: 5000 },
+    },
+    {
+      id: "boost",
+      icon: "🚀",
+      color: "#ff3366",
+      effects: [{ type: "scoreMultiplier", magnitude: 3, stacking: "multiply" }],
+      durationMs: 10000,
+      cooldownMs: 300000,
+      unlock: { stat: "score", atLeast: 10000 },
+    },
+  ]);
+
+const byId = new Map(POWER_UPS.map(powerUp => [powerUp.id, powerUp]));
+
+export function getPowerUp(id: string): PowerUpDefinition | undefined {
+  return byId.get(id);
+}
+
+export type EffectModifiers = Record<PowerUpEffect, number>;
+
+/**
+ * Combined multiplier for every effect, given the ids of the active
+ * power-ups. Unknown ids are ignored.
+ */
+export function effectModifiers(activeIds: Iterable<string>): EffectModifiers {
+  const product = {} as Record<PowerUpEffect, number>;
+  const highest = {} as Partial<Record<PowerUpEffect, number>>;
+  const lowest = {} as Partial<Record<PowerUpEffect, number>>;
+  for (const type of POWER_UP_EFFECTS) product[type] = 1;
+
+  for (const id of Array.from(activeIds)) {
+    for (const effect of getPowerUp(id)?.effects ?? []) {
+      const { type, magnitude } = effect;
+      if (effect.stacking === "multiply") product[type] *= magnitude;
+      else if (effect.stacking === "max") highest[type] = Math.max(highest[type] ?? magnitude, magnitude);
+      else lowest[type] = Math.min(lowest[type] ?? magnitude, magnitude);
+    }
+  }
+
+  const modifiers = {} as EffectModifiers;
+  for (const type of POWER_UP_EFFECTS) {
+    modifiers[type] = product[type] * (highest[type] ?? 1) * (lowest[type] ?? 1);
+  }
+  return modifiers;
+}
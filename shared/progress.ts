@@ -0,0 +1,72 @@
+import { z } from "zod";
+
+/**
+ * Cloud save format for a player's long-lived progress, shared by the
+ * /api/progress endpoint and client/modules/state.js.
+ *
+ * Only durable progress is synced. Per-session values (current combo, slap
+ * timestamps) and power-up timers stay on the device that produced them.
+ *
+ * Two copies are reconciled field by field, so merging is order-independent
+ * and never loses progress made on either device:
+ *   - counters (score, slaps, statistics) only grow: take the higher value
+ *   - achievements: union of both lists
+ *   - power-ups: unlocked on either copy means unlocked
+ *   - daily reward: the copy with the later claim decides `dailyClaimed`
+ */
+
+// Bump when the snapshot shape changes; older clients get a 400 rather than
+// silently dropping fields they do not know about
+export const PROGRESS_SCHEMA_VERSION = 1;
+
+const MAX_ACHIEVEMENTS = 200;
+const counter = z.number().int().nonnegative().max(Number.MAX_SAFE_INTEGER);
+
+export const progressSchema = z.object({
+  score: counter,
+  totalSlaps: counter,
+  dailyClaimed: z.boolean(),
+  lastDailyClaim: counter,
+  achievements: z.array(z.string().min(1).max(64)).max(MAX_ACHIEVEMENTS),
+  statistics: z.object({
+    totalPlayTime: counter,
+    highestCombo: counter,
+    totalTaps: counter,
+    sessionsPlayed: counter,
+  }),
+  powerUps: z.record(z.string().max(32), z.object({ unlocked: z.boolean() })),
+});
+
+export const progressSnapshotSchema = z.object({
+  schemaVersion: z.literal(PROGRESS_SCHEMA_VERSION),
+  progress: progressSchema,
+});
+
+export type Progress = z.infer<typeof progressSchema>;
+export type ProgressSnapshot = z.infer<typeof progressSnapshotSchema>;
+
+export function mergeProgress(a: Progress, b: Progress): Progress {
+  const laterClaim = a.lastDailyClaim === b.lastDailyClaim
+    ? { dailyClaimed: a.dailyClaimed || b.dailyClaimed }
+    : a.lastDailyClaim > b.lastDailyClaim ? a : b;
+
+  const powerUps: Progress["powerUps"] = {};
+  for (const id of Object.keys({ ...a.powerUps, ...b.powerUps })) {
+    powerUps[id] = { unlocked: Boolean(a.powerUps[id]?.unlocked || b.powerUps[id]?.unlocked) };
+  }
+
+  return {
+    score: Math.max(a.score, b.score),
+    totalSlaps: Math.max(a.totalSlaps, b.totalSlaps),
+    dailyClaimed: laterClaim.dailyClaimed,
+    lastDailyClaim: Math.max(a.lastDailyClaim, b.lastDailyClaim),
+    achievements: Array.from(new Set(a.achievements.concat(b.achievements))).slice(0, MAX_ACHIEVEMENTS),
+    statistics: {
+      totalPlayTime: Math.max(a.statistics.totalPlayTime, b.statistics.totalPlayTime),
+      highestCombo: Math.max(a.statistics.highestCombo, b.statistics.highestCombo),
+      totalTaps: Math.max(a.statistics.totalTaps, b.statistics.totalTaps),
+      sessionsPlayed: Math.max(a.statistics.sessionsPlayed, b.statistics.sessionsPlayed),
+    },
+    powerUps,
+  };
+}
@@ -0,0 +1,617 @@
+import { z } from "zod";
+import { fromZodError } from "zod-validation-error";
+
+/**
+ * WebSocket protocol shared by the multiplayer server and every client.
+ *
+ * Each frame is a JSON object with a `type` discriminator. Clients open with
+ * a `hello` carrying their protocol version; the server answers with `init`
+ * (including the negotiated version) or an `error` frame and closes.
+ */
+
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// From this version on, clients receive delta `snapshot` frames instead of
+// per-move `playerMoved` and per-tick `gasRecharge` broadcasts
+export const SNAPSHOT_PROTOCOL_VERSION = 2;
+
+// Close code sent with fatal handshake errors (4000-4999 is application space)
+export const PROTOCOL_CLOSE_CODE = 4001;
+// Close code for a socket whose player was resumed on a newer connection
+export const SESSION_REPLACED_CLOSE_CODE = 4002;
+// Close code for a hello whose Telegram initData failed verification
+export const AUTH_CLOSE_CODE = 4003;
+
+const coordinate = z.number().finite();
+const playerId = z.number().int().positive();
+// Client input sequence number, echoed back so the client can reconcile
+const inputSeq = z.number().int().nonnegative();
+
+export const roundPhaseSchema = z.enum([
+  "waiting",
+  "countdown",
+  "active",
+  "sudden_death",
+  "results",
+  "intermission",
+]);
+
+// "classic" scores slaps; "battleRoyale" shrinks a safe zone and places
+// players by how long they survive. Either can be played in teams through
+// the separate `teams` room option (see shared/teams.ts).
+export const gameModeSchema = z.enum(["classic", "battleRoyale"]);
+
+export const roundConfigInputSchema = z.object({
+  minPlayers: z.number().finite(),
+  countdownMs: z.number().finite(),
+  roundMs: z.number().finite(),
+  suddenDeathMs: z.number().finite(),
+  resultsMs: z.number().finite(),
+  intermissionMs: z.number().finite(),
+}).partial();
+
+// Present to play in teams. Clamped to 2–4 teams by the server; friendly
+// fire is off by default
+export const teamConfigInputSchema = z.object({
+  count: z.number().finite(),
+  friendlyFire: z.boolean(),
+}).partial();
+
+const team = z.number().int().nonnegative();
+
+export const botDifficultySchema = z.enum(["easy", "normal", "hard"]);
+
+// Server-run bots keep the arena at `fill` players while at least one human
+// is in it, giving up a seat for each human who joins
+export const botConfigInputSchema = z.object({
+  fill: z.number().finite(),
+  difficulty: botDifficultySchema,
+}).partial();
+
+export const playerSchema = z.object({
+  id: playerId,
+  x: coordinate,
+  y: coordinate,
+  health: z.number(),
+  gas: z.number(),
+  alive: z.boolean(),
+  score: z.number(),
+  combo: z.number(),
+  name: z.string().optional(),
+  // Index into TEAMS, in rooms with teams only
+  team: team.optional(),
+  // Set on server-run bots
+  bot: z.boolean().optional(),
+});
+
+export const pickupKindSchema = z.enum(["gas", "health", "score", "powerUp"]);
+
+// A collectible lying in the arena. `amount` is the gas, health or score it
+// gives; power-up crates carry the power-up they start instead.
+export const pickupSchema = z.object({
+  id: z.number().int().positive(),
+  kind: pickupKindSchema,
+  x: coordinate,
+  y: coordinate,
+  amount: z.number().optional(),
+  powerUpId: z.string().optional(),
+});
+
+// One row of a room's spawn table; rows are picked in proportion to weight.
+// A powerUp row without a powerUpId spawns a random power-up.
+export const spawnEntrySchema = z.object({
+  kind: pickupKindSchema,
+  weight: z.number().positive().finite(),
+  amount: z.number().finite().optional(),
+  powerUpId: z.string().min(1).max(32).optional(),
+});
+
+export const pickupConfigInputSchema = z.object({
+  intervalMs: z.number().finite(),
+  maxActive: z.number().finite(),
+  lifetimeMs: z.number().finite(),
+  table: z.array(spawnEntrySchema).min(1).max(16),
+}).partial();
+
+// Changed fields of one player; every field is present for a new player
+export const playerDeltaSchema = playerSchema.omit({ id: true }).partial();
+
+export const roomSummarySchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  playerCount: z.number().int(),
+  maxPlayers: z.number().int(),
+  createdAt: z.number(),
+  private: z.boolean(),
+  ownerId: playerId.nullable(),
+  phase: roundPhaseSchema,
+  // Map being played (see shared/maps.ts)
+  mapId: z.string(),
+  mode: gameModeSchema,
+  // Team settings in rooms with teams, null otherwise
+  teams: z.object({ count: z.number().int(), friendlyFire: z.boolean() }).nullable(),
+});
+
+export const roundResultSchema = z.object({
+  id: playerId,
+  name: z.string().optional(),
+  rank: z.number().int(),
+  score: z.number(),
+  alive: z.boolean(),
+  // Battle royale: time from the start of the round until elimination, or
+  // until the round ended for survivors
+  survivedMs: z.number().optional(),
+  // Rooms with teams: players share their team's rank
+  team: team.optional(),
+});
+
+export const teamResultSchema = z.object({
+  team,
+  rank: z.number().int(),
+  score: z.number(),
+  // Players still standing when the round ended
+  survivors: z.number().int(),
+});
+
+export const circleSchema = z.object({
+  x: coordinate,
+  y: coordinate,
+  radius: z.number().nonnegative(),
+});
+
+// One stage of the battle-royale safe zone: it holds at `from` for
+// `shrinkInMs`, then closes to `to` over `shrinkMs`. Anyone outside the
+// current circle takes `damagePerSecond`.
+export const zoneSchema = z.object({
+  stage: z.number().int().nonnegative(),
+  stages: z.number().int().positive(),
+  from: circleSchema,
+  to: circleSchema,
+  shrinkInMs: z.number().nonnegative(),
+  shrinkMs: z.number().nonnegative(),
+  damagePerSecond: z.number().nonnegative(),
+});
+
+export const roundInfoSchema = z.object({
+  phase: roundPhaseSchema,
+  round: z.number().int(),
+  startedAt: z.number(),
+  endsAt: z.number().nullable(),
+  remainingMs: z.number().nullable(),
+  minPlayers: z.number().int(),
+  results: z.array(roundResultSchema).optional(),
+  teamResults: z.array(teamResultSchema).optional(),
+});
+
+const roomName = z.string().trim().min(1).max(32);
+// Map ids a room rotates through, one per round; unknown ids are skipped
+const mapPool = z.array(z.string().min(1).max(32)).min(1).max(8);
+const powerUpId = z.string().min(1).max(32);
+
+// Why the server refused an activatePowerUp
+export const powerUpRejectionSchema = z.enum([
+  "unknown",
+  "cooling_down",
+  "already_active",
+  "not_in_combat",
+  // The player hasn't unlocked it, or is a guest and it needs unlocking
+  "locked",
+]);
+
+// A power-up running on some player; times are relative to avoid clock skew
+export const activePowerUpSchema = z.object({
+  id: playerId,
+  powerUpId,
+  remainingMs: z.number().nonnegative(),
+});
+
+/** Frames sent by clients, keyed by `type` */
+export const clientMessageSchemas = {
+  hello: z.object({
+    type: z.literal("hello"),
+    version: z.number().int().nonnegative(),
+    invite: z.string().regex(/^[A-Za-z0-9]{4,12}$/).optional(),
+    // Token from a previous `init`; reclaims that player if still in grace
+    resume: z.string().min(1).max(64).optional(),
+    // Snapshot wire format; binary frames are sent as WebSocket binary messages
+    encoding: z.enum(["json", "binary"]).optional(),
+    // Raw Telegram WebApp initData, verified server-side against the bot token
+    initData: z.string().max(4096).optional(),
+  }),
+  move: z.object({
+    type: z.literal("move"),
+    x: coordinate,
+    y: coordinate,
+    seq: inputSeq.optional(),
+  }),
+  slap: z.object({
+    type: z.literal("slap"),
+    targetId: playerId.nullable().optional(),
+  }),
+  updateProfile: z.object({
+    type: z.literal("updateProfile"),
+    name: z.string().trim().min(1).max(20),
+  }),
+  listRooms: z.object({
+    type: z.literal("listRooms"),
+  }),
+  createRoom: z.object({
+    type: z.literal("createRoom"),
+    name: roomName.optional(),
+    round: roundConfigInputSchema.optional(),
+    pickups: pickupConfigInputSchema.optional(),
+    maps: mapPool.optional(),
+    mode: gameModeSchema.optional(),
+    teams: teamConfigInputSchema.optional(),
+    bots: botConfigInputSchema.optional(),
+  }),
+  createPrivateRoom: z.object({
+    type: z.literal("createPrivateRoom"),
+    name: roomName.optional(),
+    round: roundConfigInputSchema.optional(),
+    pickups: pickupConfigInputSchema.optional(),
+    maps: mapPool.optional(),
+    mode: gameModeSchema.optional(),
+    teams: teamConfigInputSchema.optional(),
+    bots: botConfigInputSchema.optional(),
+  }),
+  joinRoom: z.object({
+    type: z.literal("joinRoom"),
+    roomId: z.string().min(1).max(32),
+  }),
+  joinInvite: z.object({
+    type: z.literal("joinInvite"),
+    code: z.string().regex(/^[A-Za-z0-9]{4,12}$/),
+  }),
+  leaveRoom: z.object({
+    type: z.literal("leaveRoom"),
+  }),
+  kickPlayer: z.object({
+    type: z.literal("kickPlayer"),
+    playerId,
+  }),
+  startRound: z.object({
+    type: z.literal("startRound"),
+  }),
+  ping: z.object({
+    type: z.literal("ping"),
+    t: z.number().finite(),
+  }),
+  snapshotAck: z.object({
+    type: z.literal("snapshotAck"),
+    seq: z.number().int().positive(),
+  }),
+  activatePowerUp: z.object({
+    type: z.literal("activatePowerUp"),
+    powerUpId,
+  }),
+};
+
+export const errorCodeSchema = z.enum([
+  "malformed_json",
+  "unknown_type",
+  "invalid_message",
+  "handshake_required",
+  "unsupported_version",
+  "unauthorized",
+]);
+
+/** Frames sent by the server, keyed by `type` */
+export const serverMessageSchemas = {
+  init: z.object({
+    type: z.literal("init"),
+    protocolVersion: z.number().int(),
+    id: playerId,
+    roomId: z.string(),
+    room: roomSummarySchema,
+    inviteCode: z.string().nullable(),
+    round: roundInfoSchema,
+    players: z.record(playerSchema),
+    // Present this in the next hello to get the same player back after a drop
+    resumeToken: z.string(),
+    resumed: z.boolean(),
+    // Verified Telegram user this player is bound to, null when anonymous
+    telegramId: z.number().int().nullable(),
+    // Power-ups already running, so auras show for players who join mid-effect
+    powerUps: z.array(activePowerUpSchema),
+    pickups: z.array(pickupSchema),
+    // Battle-royale zone stage in progress, null outside one
+    zone: zoneSchema.nullable(),
+  }),
+  error: z.object({
+    type: z.literal("error"),
+    code: errorCodeSchema,
+    message: z.string(),
+    ref: z.string().optional(),
+    supported: z.object({ min: z.number(), max: z.number() }).optional(),
+  }),
+  playerJoined: z.object({
+    type: z.literal("playerJoined"),
+    player: playerSchema,
+  }),
+  playerLeft: z.object({
+    type: z.literal("playerLeft"),
+    id: playerId,
+  }),
+  playerMoved: z.object({
+    type: z.literal("playerMoved"),
+    id: playerId,
+    x: coordinate,
+    y: coordinate,
+    seq: inputSeq.optional(),
+  }),
+  positionCorrection: z.object({
+    type: z.literal("positionCorrection"),
+    x: coordinate,
+    y: coordinate,
+    reason: z.enum(["speed", "bounds", "wall"]),
+    seq: inputSeq.optional(),
+  }),
+  snapshot: z.object({
+    type: z.literal("snapshot"),
+    seq: z.number().int().positive(),
+    // Snapshot this one is a delta against; 0 means a full snapshot
+    baseline: z.number().int().nonnegative(),
+    // Last movement input applied for the receiving player
+    ack: inputSeq.optional(),
+    players: z.record(playerDeltaSchema),
+    removed: z.array(playerId),
+  }),
+  pong: z.object({
+    type: z.literal("pong"),
+    t: z.number(),
+    serverTime: z.number(),
+  }),
+  playerHit: z.object({
+    type: z.literal("playerHit"),
+    id: playerId,
+    health: z.number(),
+    attacker: playerId,
+    damage: z.number(),
+    // Attacker-to-target distance after lag compensation, and how far back
+    // the target was rewound to measure it
+    distance: z.number(),
+    rewindMs: z.number(),
+  }),
+  // Damage from a map hazard or the battle-royale zone rather than another
+  // player
+  hazardHit: z.object({
+    type: z.literal("hazardHit"),
+    id: playerId,
+    health: z.number(),
+    damage: z.number(),
+    source: z.enum(["hazard", "zone"]),
+  }),
+  playerDied: z.object({
+    type: z.literal("playerDied"),
+    id: playerId,
+    // null when a hazard or the zone finished them off
+    killerId: playerId.nullable(),
+  }),
+  playerUpdate: z.object({
+    type: z.literal("playerUpdate"),
+    id: playerId,
+    gas: z.number(),
+    score: z.number(),
+    combo: z.number(),
+  }),
+  gasRecharge: z.object({
+    type: z.literal("gasRecharge"),
+    players: z.record(playerSchema),
+  }),
+  // Everyone respawned, on `mapId` when the room rotated to a new map
+  gameReset: z.object({
+    type: z.literal("gameReset"),
+    players: z.record(playerSchema),
+    mapId: z.string(),
+  }),
+  phaseChanged: roundInfoSchema.extend({
+    type: z.literal("phaseChanged"),
+    previous: roundPhaseSchema,
+  }),
+  roomList: z.object({
+    type: z.literal("roomList"),
+    rooms: z.array(roomSummarySchema),
+  }),
+  roomError: z.object({
+    type: z.literal("roomError"),
+    reason: z.string(),
+    roomId: z.string().optional(),
+    code: z.string().optional(),
+  }),
+  inviteCreated: z.object({
+    type: z.literal("inviteCreated"),
+    roomId: z.string(),
+    code: z.string(),
+    link: z.string().nullable(),
+  }),
+  ownerChanged: z.object({
+    type: z.literal("ownerChanged"),
+    roomId: z.string(),
+    ownerId: playerId,
+  }),
+  kicked: z.object({
+    type: z.literal("kicked"),
+    roomId: z.string(),
+  }),
+  // Server-granted achievements (see shared/achievements.ts) newly unlocked
+  // by the round that just ended
+  achievementsUnlocked: z.object({
+    type: z.literal("achievementsUnlocked"),
+    ids: z.array(z.string()),
+  }),
+  // A player's power-up (see shared/powerups.ts) took effect. `cooldownMs`
+  // counts from now until that player may use it again.
+  powerUpActivated: z.object({
+    type: z.literal("powerUpActivated"),
+    id: playerId,
+    powerUpId,
+    durationMs: z.number().nonnegative(),
+    cooldownMs: z.number().nonnegative(),
+  }),
+  powerUpExpired: z.object({
+    type: z.literal("powerUpExpired"),
+    id: playerId,
+    powerUpId,
+  }),
+  // Sent only to the player whose activation was refused
+  powerUpRejected: z.object({
+    type: z.literal("powerUpRejected"),
+    powerUpId,
+    reason: powerUpRejectionSchema,
+    retryInMs: z.number().nonnegative().optional(),
+  }),
+  // A new zone stage began, or null when the zone went away with the round
+  zoneChanged: z.object({
+    type: z.literal("zoneChanged"),
+    zone: zoneSchema.nullable(),
+  }),
+  pickupSpawned: z.object({
+    type: z.literal("pickupSpawned"),
+    pickup: pickupSchema,
+  }),
+  // Collected by `playerId`; their new gas, health or score follows in the
+  // usual state updates
+  pickupCollected: z.object({
+    type: z.literal("pickupCollected"),
+    id: z.number().int().positive(),
+    playerId,
+    kind: pickupKindSchema,
+    amount: z.number().optional(),
+    powerUpId: z.string().optional(),
+  }),
+  // Lay uncollected for its whole lifetime
+  pickupExpired: z.object({
+    type: z.literal("pickupExpired"),
+    id: z.number().int().positive(),
+  }),
+  // The round that just ended was recorded; fetch it from /api/replays/:id
+  replaySaved: z.object({
+    type: z.literal("replaySaved"),
+    id: z.string(),
+    round: z.number().int(),
+  }),
+};
+
+type SchemaMap = Record<string, z.ZodTypeAny>;
+type MessageOf<M extends SchemaMap> = { [K in keyof M]: z.infer<M[K]> }[keyof M];
+
+export type ClientMessageType = keyof typeof clientMessageSchemas;
+export type ClientMessage = MessageOf<typeof clientMessageSchemas>;
+export type ServerMessageType = keyof typeof serverMessageSchemas;
+export type ServerMessage = MessageOf<typeof serverMessageSchemas>;
+export type ProtocolErrorCode = z.infer<typeof errorCodeSchema>;
+export type ProtocolError = z.infer<typeof serverMessageSchemas.error>;
+export type RoundPhase = z.infer<typeof roundPhaseSchema>;
+export type RoundInfo = z.infer<typeof roundInfoSchema>;
+export type RoundResult = z.infer<typeof roundResultSchema>;
+export type RoomSummary = z.infer<typeof roomSummarySchema>;
+export type ArenaPlayer = z.infer<typeof playerSchema>;
+export type PlayerDelta = z.infer<typeof playerDeltaSchema>;
+export type SnapshotMessage = z.infer<typeof serverMessageSchemas.snapshot>;
+export type PowerUpRejection = z.infer<typeof powerUpRejectionSchema>;
+export type ActivePowerUp = z.infer<typeof activePowerUpSchema>;
+export type Pickup = z.infer<typeof pickupSchema>;
+export type PickupKind = z.infer<typeof pickupKindSchema>;
+export type SpawnEntry = z.infer<typeof spawnEntrySchema>;
+export type GameMode = z.infer<typeof gameModeSchema>;
+export type Circle = z.infer<typeof circleSchema>;
+export type ZoneInfo = z.infer<typeof zoneSchema>;
+export type TeamResult = z.infer<typeof teamResultSchema>;
+export type BotDifficulty = z.infer<typeof botDifficultySchema>;
+
+export type DecodeResult<T> =
+  | { ok: true; message: T }
+  | { ok: false; error: ProtocolError };
+
+export function protocolError(code: ProtocolErrorCode, message: string, ref?: string): ProtocolError {
+  return { type: "error", code, message, ref };
+}
+
+function decode<M extends SchemaMap>(schemas: M, raw: string): DecodeResult<MessageOf<M>> {
+  let data: unknown;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return { ok: false, error: protocolError("malformed_json", "Frame is not valid JSON") };
+  }
+
+  const type = (data as { type?: unknown } | null)?.type;
+  if (typeof type !== "string" || !Object.prototype.hasOwnProperty.call(schemas, type)) {
+    return {
+      ok: false,
+      error: protocolError("unknown_type", `Unknown message type: ${String(type)}`),
+    };
+  }
+
+  const parsed = schemas[type].safeParse(data);
+  if (!parsed.success) {
+    return {
+      ok: false,
+      error: protocolError("invalid_message", fromZodError(parsed.error).message, type),
+    };
+  }
+
+  return { ok: true, message: parsed.data };
+}
+
+export function decodeClientMessage(raw: string): DecodeResult<ClientMessage> {
+  return decode(clientMessageSchemas, raw);
+}
+
+export function decodeServerMessage(raw: string): DecodeResult<ServerMessage> {
+  return decode(serverMessageSchemas, raw);
+}
+
+export function encodeServerMessage(message: ServerMessage): string {
+  return JSON.stringify(message);
+}
+
+/**
+ * Pick the version both sides speak, or null when the client is too old.
+ * Newer clients are served at our version.
+ */
+export function negotiateVersion(clientVersion: number): number | null {
+  if (clientVersion < MIN_PROTOCOL_VERSION) return null;
+  return Math.min(clientVersion, PROTOCOL_VERSION);
+}
+
+export function unsupportedVersionError(clientVersion: number): ProtocolError {
+  return {
+    ...protocolError(
+      "unsupported_version",
+      `Protocol version ${clientVersion} is not supported`,
+      "hello",
+    ),
+    supported: { min: MIN_PROTOCOL_VERSION, max: PROTOCOL_VERSION },
+  };
+}
+
+type Payload<K extends ClientMessageType> = Omit<z.input<(typeof clientMessageSchemas)[K]>, "type">;
+
+export type ProtocolSender = {
+  [K in ClientMessageType]: (...payload: {} extends Payload<K> ? [Payload<K>?] : [Payload<K>]) => boolean;
+};
+
+/**
+ * Build one typed send function per client message type. Each validates its
+ * payload against the schema before handing the encoded frame to `transport`;
+ * invalid payloads are dropped and reported as `false`.
+ */
+export function createProtocolSender(transport: (raw: string) => boolean): ProtocolSender {
+  const sender: Record<string, (payload?: object) => boolean> = {};
+
+  for (const type of Object.keys(clientMessageSchemas) as ClientMessageType[]) {
+    sender[type] = (payload = {}) => {
+      const parsed = clientMessageSchemas[type].safeParse({ ...payload, type });
+      if (!parsed.success) {
+        console.warn(`Dropped invalid ${type} message:`, fromZodError(parsed.error).message);
+        return false;
+      }
+      return transport(JSON.stringify(parsed.data));
+    };
+  }
+
+  return sender as ProtocolSender;
+}
@@ -0,0 +1,148 @@
+import { z } from "zod";
+import { fromZodError } from "zod-validation-error";
+import {
+  gameModeSchema,
+  playerSchema,
+  roundResultSchema,
+  teamResultSchema,
+  zoneSchema,
+  type ArenaPlayer,
+  type ZoneInfo
+} from "./protocol";
+
+/**
+ * Match replays: a compact, timestamped log of one round, recorded by the
+ * server (server/replays.ts) and played back by the replay viewer.
+ *
+ * `players` is everyone as they stood when the round went active. Each
+ * event is a tuple led by its time in ms since then:
+ *
+ *   [t, "join", player]                              seated mid-round
+ *   [t, "leave", id]
+ *   [t, "move", id, x, y]                            sampled, whole pixels
+ *   [t, "slap", id, targetId | null]                 aimed at, hit or not
+ *   [t, "hit", id, attackerId | null, damage, health]  null: hazard or zone
+ *   [t, "death", id, killerId | null]
+ *   [t, "zone", zone | null]                         battle-royale stage
+ */
+
+export const REPLAY_VERSION = 1;
+// Positions are logged at most this often per player, and only when changed
+export const REPLAY_SAMPLE_MS = 100;
+
+const time = z.number().int().nonnegative();
+const playerId = z.number().int().positive();
+
+export const replayEventSchema = z.union([
+  z.tuple([time, z.literal("join"), playerSchema]),
+  z.tuple([time, z.literal("leave"), playerId]),
+  z.tuple([time, z.literal("move"), playerId, z.number(), z.number()]),
+  z.tuple([time, z.literal("slap"), playerId, playerId.nullable()]),
+  z.tuple([time, z.literal("hit"), playerId, playerId.nullable(), z.number(), z.number()]),
+  z.tuple([time, z.literal("death"), playerId, playerId.nullable()]),
+  z.tuple([time, z.literal("zone"), zoneSchema.nullable()]),
+]);
+
+export const matchReplaySchema = z.object({
+  version: z.literal(REPLAY_VERSION),
+  roomId: z.string(),
+  round: z.number().int(),
+  mode: gameModeSchema,
+  mapId: z.string(),
+  // Server time the round went active; event times count from here
+  startedAt: z.number(),
+  durationMs: z.number().nonnegative(),
+  players: z.record(playerSchema),
+  events: z.array(replayEventSchema),
+  results: z.array(roundResultSchema),
+  teamResults: z.array(teamResultSchema).optional(),
+});
+
+export type ReplayEvent = z.infer<typeof replayEventSchema>;
+export type MatchReplay = z.infer<typeof matchReplaySchema>;
+
+export type ReplayDecodeResult =
+  | { ok: true; replay: MatchReplay }
+  | { ok: false; error: string };
+
+/** Validate a replay fetched from the server or loaded from a file */
+export function decodeReplay(raw: unknown): ReplayDecodeResult {
+  const result = matchReplaySchema.safeParse(raw);
+  if (!result.success) return { ok: false, error: fromZodError(result.error).message };
+  return { ok: true, replay: result.data };
+}
+
+/**
+ * The world at some point in a replay. `zoneAt` is when the current zone
+ * stage began, in replay time, so zoneCircleAt(zone, t - zoneAt) places it.
+ */
+export interface ReplayState {
+  players: Record<number, ArenaPlayer>;
+  zone: ZoneInfo | null;
+  zoneAt: number;
+  // Index of the next event to apply
+  cursor: number;
+}
+
+export function initialReplayState(replay: MatchReplay): ReplayState {
+  const players: Record<number, ArenaPlayer> = {};
+  for (const player of Object.values(replay.players)) players[player.id] = { ...player };
+  return { players, zone: null, zoneAt: 0, cursor: 0 };
+}
+
+export function applyReplayEvent(state: ReplayState, event: ReplayEvent) {
+  const [t] = event;
+  switch (event[1]) {
+    case "join":
+      state.players[event[2].id] = { ...event[2] };
+      break;
+    case "leave":
+      delete state.players[event[2]];
+      break;
+    case "move": {
+      const player = state.players[event[2]];
+      if (player) {
+        player.x = event[3];
+        player.y = event[4];
+      }
+      break;
+    }
+    case "hit": {
+      const player = state.players[event[2]];
+      if (player) player.health = event[5];
+      break;
+    }
+    case "death": {
+      const player = state.players[event[2]];
+      if (player) player.alive = false;
+      break;
+    }
+    case "zone":
+      state.zone = event[2];
+      state.zoneAt = t;
+      break;
+    case "slap":
+      break;
+  }
+}
+
+/**
+ * Apply every event up to and including time `t`, returning the ones
+ * applied. Events are in time order, so playback calls this each frame.
+ */
+export function advanceReplay(replay: MatchReplay, state: ReplayState, t: number): ReplayEvent[] {
+  const applied: ReplayEvent[] = [];
+  while (state.cursor < replay.events.length && replay.events[state.cursor][0] <= t) {
+    const event = replay.events[state.cursor++];
+    applyReplayEvent(state, event);
+    applied.push(event);
+  }
+  return applied;
+}
+
+/** The world `t` ms into the replay, rebuilt from the start */
+export function replayStateAt(replay: MatchReplay, t: number): ReplayState {
+  const state = initialReplayState(replay);
+  advanceReplay(replay, state, t);
+  return state;
+}
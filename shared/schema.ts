@@ -1,17 +1,251 @@
-import { pgTable, text, serial, integer, boolean } from "drizzle-orm/pg-core";
+import { pgTable, text, serial, integer, boolean, bigint, timestamp, jsonb, index, uniqueIndex } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
+import type { Progress } from "./progress";
+import type { MatchReplay } from "./replay";
 
-export const users = pgTable("users", {
-  id: serial("id").primaryKey(),
-  username: text("username").notNull().unique(),
-  password: text("password").notNull(),
+// Everyone who has played with a verified Telegram account. There are no
+// passwords: Telegram's signed initData is the only way in.
+export const players = pgTable("players", {
+  telegramId: bigint("telegram_id", { mode: "number" }).primaryKey(),
+  name: text("name").notNull(),
+  username: text("username"),
+  languageCode: text("language_code"),
+  isPremium: boolean("is_premium").notNull().default(false),
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+  lastSeenAt: timestamp("last_seen_at").notNull().defaultNow(),
 });
 
-export const insertUserSchema = createInsertSchema(users).pick({
+export const insertPlayerSchema = createInsertSchema(players, {
+  name: (schema) => schema.trim().min(1).max(50),
+}).pick({
+  telegramId: true,
+  name: true,
   username: true,
-  password: true,
+  languageCode: true,
+  isPremium: true,
+});
+
+export type InsertPlayer = z.infer<typeof insertPlayerSchema>;
+export type Player = typeof players.$inferSelect;
+
+// Upper bound on a single submitted score; anything above is not a real game
+export const MAX_SCORE = 10_000_000;
+
+// One row per submitted score, so boards can be cut by time window
+export const scores = pgTable("scores", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  name: text("name").notNull(),
+  score: integer("score").notNull(),
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+}, (table) => [
+  // Matches the boards' DISTINCT ON (telegram_id) ... ORDER BY telegram_id,
+  // score DESC, and covers lookups by player on its own
+  index("scores_telegram_id_score_idx").on(table.telegramId, table.score.desc()),
+  index("scores_score_idx").on(table.score),
+  // Daily and weekly boards filter on the window
+  index("scores_created_at_idx").on(table.createdAt),
+]);
+
+export const insertScoreSchema = createInsertSchema(scores, {
+  score: (schema) => schema.int().min(0).max(MAX_SCORE),
+  name: (schema) => schema.trim().min(1).max(50),
+}).pick({
+  telegramId: true,
+  name: true,
+  score: true,
+});
+
+export type InsertScore = z.infer<typeof insertScoreSchema>;
+export type Score = typeof scores.$inferSelect;
+
+// Final standings of finished seasons, written once when a season ends
+export const seasonStandings = pgTable("season_standings", {
+  id: serial("id").primaryKey(),
+  season: integer("season").notNull(),
+  rank: integer("rank").notNull(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  name: text("name").notNull(),
+  score: integer("score").notNull(),
+  achievedAt: timestamp("achieved_at").notNull(),
+}, (table) => [
+  uniqueIndex("season_standings_season_player_idx").on(table.season, table.telegramId),
+]);
+
+export const FRIEND_SOURCES = ["referral", "invite"] as const;
+export type FriendSource = (typeof FRIEND_SOURCES)[number];
+
+// Players linked by a referral or private match invite. Stored once per
+// direction so either side can list their friends with one lookup.
+export const friendships = pgTable("friendships", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  friendId: bigint("friend_id", { mode: "number" }).notNull(),
+  source: text("source").$type<FriendSource>().notNull(),
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex("friendships_pair_idx").on(table.telegramId, table.friendId),
+]);
+
+export type Friendship = typeof friendships.$inferSelect;
+
+// Achievements a player has unlocked, one row each
+export const achievements = pgTable("achievements", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  achievementId: text("achievement_id").notNull(),
+  unlockedAt: timestamp("unlocked_at").notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex("achievements_player_achievement_idx").on(table.telegramId, table.achievementId),
+]);
+
+export type Achievement = typeof achievements.$inferSelect;
+
+// Per-player power-up progress. Times are absolute so state survives restarts.
+export const powerUpStates = pgTable("power_up_states", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  powerUpId: text("power_up_id").notNull(),
+  unlocked: boolean("unlocked").notNull().default(false),
+  activeUntil: timestamp("active_until"),
+  cooldownUntil: timestamp("cooldown_until"),
+  updatedAt: timestamp("updated_at").notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex("power_up_states_player_power_up_idx").on(table.telegramId, table.powerUpId),
+]);
+
+export const insertPowerUpStateSchema = createInsertSchema(powerUpStates).pick({
+  telegramId: true,
+  powerUpId: true,
+  unlocked: true,
+  activeUntil: true,
+  cooldownUntil: true,
 });
 
-export type InsertUser = z.infer<typeof insertUserSchema>;
-export type User = typeof users.$inferSelect;
+export type InsertPowerUpState = z.infer<typeof insertPowerUpStateSchema>;
+export type PowerUpState = typeof powerUpStates.$inferSelect;
+
+// Collectible relics from the No_Gas_Labs shrine
+export const relics = pgTable("relics", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  relicId: text("relic_id").notNull(),
+  name: text("name").notNull(),
+  metadata: jsonb("metadata").$type<Record<string, unknown>>().notNull().default({}),
+  acquiredAt: timestamp("acquired_at").notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex("relics_player_relic_idx").on(table.telegramId, table.relicId),
+]);
+
+export const insertRelicSchema = createInsertSchema(relics, {
+  name: (schema) => schema.trim().min(1).max(100),
+}).pick({
+  telegramId: true,
+  relicId: true,
+  name: true,
+  metadata: true,
+});
+
+export type InsertRelic = z.infer<typeof insertRelicSchema>;
+export type Relic = typeof relics.$inferSelect;
+
+// Finished multiplayer rounds and where everyone placed
+export const matches = pgTable("matches", {
+  id: serial("id").primaryKey(),
+  roomId: text("room_id").notNull(),
+  round: integer("round").notNull(),
+  startedAt: timestamp("started_at").notNull(),
+  endedAt: timestamp("ended_at").notNull().defaultNow(),
+}, (table) => [
+  index("matches_room_id_idx").on(table.roomId),
+]);
+
+export const matchPlayers = pgTable("match_players", {
+  id: serial("id").primaryKey(),
+  matchId: integer("match_id").notNull().references(() => matches.id, { onDelete: "cascade" }),
+  // Null for anonymous players
+  telegramId: bigint("telegram_id", { mode: "number" }),
+  playerId: integer("player_id").notNull(),
+  name: text("name"),
+  rank: integer("rank").notNull(),
+  score: integer("score").notNull(),
+  alive: boolean("alive").notNull(),
+  knockouts: integer("knockouts").notNull().default(0),
+}, (table) => [
+  index("match_players_match_id_idx").on(table.matchId),
+  index("match_players_telegram_id_idx").on(table.telegramId),
+]);
+
+export type InsertMatch = typeof matches.$inferInsert;
+export type Match = typeof matches.$inferSelect;
+export type InsertMatchPlayer = Omit<typeof matchPlayers.$inferInsert, "id" | "matchId">;
+export type MatchPlayer = typeof matchPlayers.$inferSelect;
+
+/** A finished match with its placings */
+export interface MatchRecord extends Match {
+  players: MatchPlayer[];
+}
+
+// Recorded rounds for the replay viewer (see shared/replay.ts). Ids are
+// random so only people who were handed one can fetch the replay; saving
+// prunes all but the newest MAX_REPLAYS (see server/replays.ts).
+export const matchReplays = pgTable("match_replays", {
+  id: text("id").primaryKey(),
+  roomId: text("room_id").notNull(),
+  round: integer("round").notNull(),
+  recordedAt: timestamp("recorded_at").notNull().defaultNow(),
+  replay: jsonb("replay").$type<MatchReplay>().notNull(),
+}, (table) => [
+  index("match_replays_recorded_at_idx").on(table.recordedAt),
+]);
+
+export type InsertMatchReplay = Omit<typeof matchReplays.$inferInsert, "recordedAt">;
+export type MatchReplayRecord = typeof matchReplays.$inferSelect;
+
+// Latest reconciled progress per player (see shared/progress.ts). `revision`
+// goes up by one on every write so concurrent saves can detect each other.
+export const cloudSaves = pgTable("cloud_saves", {
+  telegramId: bigint("telegram_id", { mode: "number" }).primaryKey(),
+  revision: integer("revision").notNull(),
+  schemaVersion: integer("schema_version").notNull(),
+  progress: jsonb("progress").$type<Progress>().notNull(),
+  updatedAt: timestamp("updated_at").notNull().defaultNow(),
+});
+
+export type CloudSave = typeof cloudSaves.$inferSelect;
+
+// One row per claimed UTC day (see shared/daily-reward.ts). The newest row
+// carries the running streak; the unique index makes a second claim on the
+// same day fail instead of paying out twice.
+export const dailyClaims = pgTable("daily_claims", {
+  id: serial("id").primaryKey(),
+  telegramId: bigint("telegram_id", { mode: "number" }).notNull(),
+  day: integer("day").notNull(),
+  streak: integer("streak").notNull(),
+  reward: integer("reward").notNull(),
+  claimedAt: timestamp("claimed_at").notNull().defaultNow(),
+}, (table) => [
+  uniqueIndex("daily_claims_player_day_idx").on(table.telegramId, table.day),
+]);
+
+export type DailyClaim = typeof dailyClaims.$inferSelect;
+export type InsertDailyClaim = Omit<typeof dailyClaims.$inferInsert, "id" | "claimedAt">;
+
+export const LEADERBOARD_BOARDS = ["daily", "weekly", "season", "all"] as const;
+export type LeaderboardBoard = (typeof LEADERBOARD_BOARDS)[number];
+
+/** Only count scores submitted within [since, until) */
+export interface ScoreWindow {
+  since?: Date | null;
+  until?: Date | null;
+}
+
+/** A player's best score and their position on the board */
+export interface LeaderboardEntry {
+  rank: number;
+  telegramId: number;
+  name: string;
+  score: number;
+  achievedAt: Date;
+}
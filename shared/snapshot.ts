@@ -0,0 +1,282 @@
+import type { ArenaPlayer, PlayerDelta, SnapshotMessage } from "./protocol";
+
+/**
+ * Delta-compressed world snapshots.
+ *
+ * The server captures every player at a fixed rate and sends each client only
+ * the fields that changed since the last snapshot that client acknowledged
+ * (`baseline`). Baseline 0 means "no baseline": the frame carries everyone in
+ * full. Both ends keep a short history of reconstructed states so either side
+ * can diff or patch against any recent acknowledged frame.
+ */
+
+// 20 snapshots per second, two per client interpolation window
+export const SNAPSHOT_INTERVAL_MS = 50;
+
+// Frames kept for use as baselines. A client whose last ack falls out of
+// this window gets a full snapshot instead.
+export const SNAPSHOT_HISTORY = 32;
+
+export type SnapshotEncoding = "json" | "binary";
+export type WorldState = Record<number, ArenaPlayer>;
+
+const DELTA_FIELDS = ["x", "y", "health", "gas", "alive", "score", "combo", "name", "team", "bot"] as const;
+type DeltaField = (typeof DELTA_FIELDS)[number];
+
+export function captureState(players: Record<number, ArenaPlayer>): WorldState {
+  const state: WorldState = {};
+  for (const id in players) state[id] = { ...players[id] };
+  return state;
+}
+
+/**
+ * Fields of `current` that differ from `base`. Players missing from `base`
+ * are sent in full; players missing from `current` are listed as removed.
+ */
+export function diffStates(base: WorldState | undefined, current: WorldState) {
+  const players: Record<number, PlayerDelta> = {};
+  const removed: number[] = [];
+
+  for (const id in current) {
+    const before = base?.[id];
+    const after = current[id];
+    const delta: PlayerDelta = {};
+    let changed = false;
+
+    for (const field of DELTA_FIELDS) {
+      if (before && before[field] === after[field]) continue;
+      if (!before && after[field] === undefined) continue;
+      (delta as Record<DeltaField, unknown>)[field] = after[field];
+      changed = true;
+    }
+
+    if (changed) players[after.id] = delta;
+  }
+
+  if (base) {
+    for (const id in base) {
+      if (!current[id]) removed.push(base[id].id);
+    }
+  }
+
+  return { players, removed };
+}
+
+export function applyDelta(base: WorldState, snapshot: Pick<SnapshotMessage, "players" | "removed">): WorldState {
+  const next: WorldState = {};
+  for (const id in base) next[id] = { ...base[id] };
+
+  for (const id of snapshot.removed) delete next[id];
+
+  for (const key in snapshot.players) {
+    const id = Number(key);
+    next[id] = { ...(next[id] ?? { id }), ...snapshot.players[key] } as ArenaPlayer;
+  }
+
+  return next;
+}
+
+/**
+ * Ring of recent states keyed by snapshot sequence number
+ */
+export class SnapshotHistory {
+  private frames = new Map<number, WorldState>();
+  private limit: number;
+
+  constructor(limit = SNAPSHOT_HISTORY) {
+    this.limit = limit;
+  }
+
+  store(seq: number, state: WorldState) {
+    this.frames.set(seq, state);
+    if (this.frames.size > this.limit) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      this.frames.delete(this.frames.keys().next().value!);
+    }
+  }
+
+  get(seq: number): WorldState | undefined {
+    return this.frames.get(seq);
+  }
+
+  reset() {
+    this.frames.clear();
+  }
+}
+
+/**
+ * Client end of the snapshot stream. `apply` rebuilds the full world from a
+ * delta, or returns null when the frame is stale or its baseline is unknown
+ * (the server falls back to a full snapshot once our ack ages out).
+ */
+export class SnapshotReceiver {
+  private history = new SnapshotHistory();
+  private lastSeq = 0;
+
+  apply(snapshot: SnapshotMessage): WorldState | null {
+    if (snapshot.seq <= this.lastSeq) return null;
+
+    let base: WorldState | undefined = {};
+    if (snapshot.baseline !== 0) base = this.history.get(snapshot.baseline);
+    if (!base) return null;
+
+    const state = applyDelta(base, snapshot);
+    this.history.store(snapshot.seq, state);
+    this.lastSeq = snapshot.seq;
+
+    // Callers may mutate what we return; the stored copy stays pristine
+    return captureState(state);
+  }
+
+  /** Forget everything, e.g. when moving to a room with its own sequence */
+  reset() {
+    this.history.reset();
+    this.lastSeq = 0;
+  }
+}
+
+// Binary layout, little-endian:
+//   u8 tag, u32 seq, u32 baseline, u8 hasAck, u32 ack,
+//   u16 count, then per player: u32 id, u16 field mask, present fields,
+//   u16 removed count, u32 ids.
+// Coordinates are fixed point at 1/8 px; names are u8 length + UTF-8.
+const SNAPSHOT_TAG = 1;
+const COORD_SCALE = 8;
+const FIELD_BITS: Record<DeltaField, number> = {
+  x: 1 << 0,
+  y: 1 << 1,
+  health: 1 << 2,
+  gas: 1 << 3,
+  alive: 1 << 4,
+  score: 1 << 5,
+  combo: 1 << 6,
+  name: 1 << 7,
+  team: 1 << 8,
+  bot: 1 << 9,
+};
+const MAX_NAME_BYTES = 255;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export function encodeSnapshot(snapshot: SnapshotMessage): Uint8Array {
+  const entries = Object.keys(snapshot.players).map(key => {
+    const delta = snapshot.players[key as unknown as number];
+    const name = delta.name === undefined ? undefined : textEncoder.encode(delta.name).slice(0, MAX_NAME_BYTES);
+    return { id: Number(key), delta, name };
+  });
+
+  let size = 1 + 4 + 4 + 1 + 4 + 2 + 2 + snapshot.removed.length * 4;
+  for (const { delta, name } of entries) {
+    size += 4 + 2;
+    if (delta.x !== undefined) size += 2;
+    if (delta.y !== undefined) size += 2;
+    if (delta.health !== undefined) size += 2;
+    if (delta.gas !== undefined) size += 2;
+    if (delta.alive !== undefined) size += 1;
+    if (delta.score !== undefined) size += 4;
+    if (delta.combo !== undefined) size += 1;
+    if (name) size += 1 + name.length;
+    if (delta.team !== undefined) size += 1;
+    if (delta.bot !== undefined) size += 1;
+  }
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  view.setUint8(offset, SNAPSHOT_TAG); offset += 1;
+  view.setUint32(offset, snapshot.seq, true); offset += 4;
+  view.setUint32(offset, snapshot.baseline, true); offset += 4;
+  view.setUint8(offset, snapshot.ack === undefined ? 0 : 1); offset += 1;
+  view.setUint32(offset, snapshot.ack ?? 0, true); offset += 4;
+  view.setUint16(offset, entries.length, true); offset += 2;
+
+  for (const { id, delta, name } of entries) {
+    let mask = 0;
+    for (const field of DELTA_FIELDS) {
+      if (delta[field] !== undefined) mask |= FIELD_BITS[field];
+    }
+
+    view.setUint32(offset, id, true); offset += 4;
+    view.setUint16(offset, mask, true); offset += 2;
+
+    if (delta.x !== undefined) { view.setUint16(offset, Math.round(delta.x * COORD_SCALE), true); offset += 2; }
+    if (delta.y !== undefined) { view.setUint16(offset, Math.round(delta.y * COORD_SCALE), true); offset += 2; }
+    if (delta.health !== undefined) { view.setInt16(offset, Math.round(delta.health), true); offset += 2; }
+    if (delta.gas !== undefined) { view.setInt16(offset, Math.round(delta.gas), true); offset += 2; }
+    if (delta.alive !== undefined) { view.setUint8(offset, delta.alive ? 1 : 0); offset += 1; }
+    if (delta.score !== undefined) { view.setUint32(offset, Math.max(0, Math.round(delta.score)), true); offset += 4; }
+    if (delta.combo !== undefined) { view.setUint8(offset, Math.min(255, Math.round(delta.combo))); offset += 1; }
+    if (name) {
+      view.setUint8(offset, name.length); offset += 1;
+      bytes.set(name, offset); offset += name.length;
+    }
+    if (delta.team !== undefined) { view.setUint8(offset, delta.team); offset += 1; }
+    if (delta.bot !== undefined) { view.setUint8(offset, delta.bot ? 1 : 0); offset += 1; }
+  }
+
+  view.setUint16(offset, snapshot.removed.length, true); offset += 2;
+  for (const id of snapshot.removed) {
+    view.setUint32(offset, id, true); offset += 4;
+  }
+
+  return bytes;
+}
+
+/**
+ * Inverse of encodeSnapshot. Throws a RangeError on truncated input.
+ */
+export function decodeSnapshot(data: ArrayBuffer | Uint8Array): SnapshotMessage {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const tag = view.getUint8(offset); offset += 1;
+  if (tag !== SNAPSHOT_TAG) throw new RangeError(`Unknown binary frame tag ${tag}`);
+
+  const seq = view.getUint32(offset, true); offset += 4;
+  const baseline = view.getUint32(offset, true); offset += 4;
+  const hasAck = view.getUint8(offset) === 1; offset += 1;
+  const ack = view.getUint32(offset, true); offset += 4;
+  const count = view.getUint16(offset, true); offset += 2;
+
+  const players: Record<number, PlayerDelta> = {};
+  for (let i = 0; i < count; i++) {
+    const id = view.getUint32(offset, true); offset += 4;
+    const mask = view.getUint16(offset, true); offset += 2;
+    const delta: PlayerDelta = {};
+
+    if (mask & FIELD_BITS.x) { delta.x = view.getUint16(offset, true) / COORD_SCALE; offset += 2; }
+    if (mask & FIELD_BITS.y) { delta.y = view.getUint16(offset, true) / COORD_SCALE; offset += 2; }
+    if (mask & FIELD_BITS.health) { delta.health = view.getInt16(offset, true); offset += 2; }
+    if (mask & FIELD_BITS.gas) { delta.gas = view.getInt16(offset, true); offset += 2; }
+    if (mask & FIELD_BITS.alive) { delta.alive = view.getUint8(offset) === 1; offset += 1; }
+    if (mask & FIELD_BITS.score) { delta.score = view.getUint32(offset, true); offset += 4; }
+    if (mask & FIELD_BITS.combo) { delta.combo = view.getUint8(offset); offset += 1; }
+    if (mask & FIELD_BITS.name) {
+      const length = view.getUint8(offset); offset += 1;
+      if (offset + length > bytes.length) throw new RangeError("Truncated snapshot name");
+      delta.name = textDecoder.decode(bytes.subarray(offset, offset + length)); offset += length;
+    }
+    if (mask & FIELD_BITS.team) { delta.team = view.getUint8(offset); offset += 1; }
+    if (mask & FIELD_BITS.bot) { delta.bot = view.getUint8(offset) === 1; offset += 1; }
+
+    players[id] = delta;
+  }
+
+  const removedCount = view.getUint16(offset, true); offset += 2;
+  const removed: number[] = [];
+  for (let i = 0; i < removedCount; i++) {
+    removed.push(view.getUint32(offset, true)); offset += 4;
+  }
+
+  return {
+    type: "snapshot",
+    seq,
+    baseline,
+    ack: hasAck ? ack : undefined,
+    players,
+    removed,
+  };
+}
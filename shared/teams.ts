@@ -0,0 +1,42 @@
+import type { ArenaPlayer } from "./protocol";
+
+/**
+ * Team play, shared by the server (assignment, friendly fire and team
+ * scoring) and every client (team colors and live scores). Teams are a room
+ * option rather than a game mode: a room created with `teams` settings
+ * plays classic or battle royale in teams, using the first `count` listed
+ * here.
+ */
+
+export interface TeamDefinition {
+  name: string;
+  color: string;
+}
+
+export const TEAMS: readonly TeamDefinition[] = [
+  { name: "Red", color: "#ef4444" },
+  { name: "Blue", color: "#3b82f6" },
+  { name: "Green", color: "#22c55e" },
+  { name: "Gold", color: "#eab308" },
+];
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = TEAMS.length;
+
+export function getTeam(team: number | undefined): TeamDefinition | undefined {
+  return team === undefined ? undefined : TEAMS[team];
+}
+
+/** Both players are on the same team; always false in rooms without teams */
+export function isTeammate(a: Pick<ArenaPlayer, "team">, b: Pick<ArenaPlayer, "team">): boolean {
+  return a.team !== undefined && a.team === b.team;
+}
+
+/** A team's score is the sum of its players' scores */
+export function teamScores(players: Record<number, ArenaPlayer>, count: number): number[] {
+  const scores = new Array<number>(count).fill(0);
+  for (const player of Object.values(players)) {
+    if (player.team !== undefined && player.team < count) scores[player.team] += player.score;
+  }
+  return scores;
+}
@@ -0,0 +1,71 @@
+import type { Circle, ZoneInfo } from "./protocol";
+
+/**
+ * Battle-royale safe zone, shared by the server (which runs the schedule and
+ * deals damage) and the Phaser client (which draws the circle between
+ * updates). The zone starts out covering the whole map; each stage holds,
+ * then shrinks to a smaller circle somewhere inside the previous one.
+ */
+
+export interface ZoneStage {
+  // How long the zone holds before it starts to shrink
+  waitMs: number;
+  shrinkMs: number;
+  // Target radius as a fraction of the starting radius
+  radiusFraction: number;
+  // Taken by anyone outside the zone during this stage
+  damagePerSecond: number;
+}
+
+// 100 seconds from full map to nothing, inside the default 2-minute round
+export const ZONE_STAGES: readonly ZoneStage[] = [
+  { waitMs: 20000, shrinkMs: 15000, radiusFraction: 0.65, damagePerSecond: 5 },
+  { waitMs: 15000, shrinkMs: 12000, radiusFraction: 0.35, damagePerSecond: 10 },
+  { waitMs: 10000, shrinkMs: 10000, radiusFraction: 0.12, damagePerSecond: 20 },
+  { waitMs: 10000, shrinkMs: 8000, radiusFraction: 0, damagePerSecond: 40 },
+];
+
+/** A circle centred on the map that just covers its corners */
+export function initialZone(map: { width: number; height: number }): Circle {
+  return {
+    x: map.width / 2,
+    y: map.height / 2,
+    radius: Math.hypot(map.width, map.height) / 2,
+  };
+}
+
+/**
+ * A circle of `radius` placed at random entirely inside `current`, with its
+ * centre kept on the map
+ */
+export function nextZone(current: Circle, radius: number, map: { width: number; height: number }): Circle {
+  const slack = Math.max(0, current.radius - radius);
+  const angle = Math.random() * Math.PI * 2;
+  const distance = Math.sqrt(Math.random()) * slack;
+  return {
+    x: Math.max(0, Math.min(map.width, current.x + Math.cos(angle) * distance)),
+    y: Math.max(0, Math.min(map.height, current.y + Math.sin(angle) * distance)),
+    radius,
+  };
+}
+
+/**
+ * The zone `elapsedMs` after its stage began: holding at `from`, then
+ * closing linearly on `to`
+ */
+export function zoneCircleAt(zone: Pick<ZoneInfo, "from" | "to" | "shrinkInMs" | "shrinkMs">, elapsedMs: number): Circle {
+  const shrinking = elapsedMs - zone.shrinkInMs;
+  if (shrinking <= 0) return zone.from;
+  if (shrinking >= zone.shrinkMs) return zone.to;
+
+  const t = shrinking / zone.shrinkMs;
+  return {
+    x: zone.from.x + (zone.to.x - zone.from.x) * t,
+    y: zone.from.y + (zone.to.y - zone.from.y) * t,
+    radius: zone.from.radius + (zone.to.radius - zone.from.radius) * t,
+  };
+}
+
+export function isInsideZone(circle: Circle, x: number, y: number): boolean {
+  return Math.hypot(x - circle.x, y - circle.y) <= circle.radius;
+}